@@ -0,0 +1,137 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { writeFileAtomic } = require('../lib/atomic');
+const { getJournalDir, startRun, backupFile, finishRun, listRuns, restoreLastRun } = require('../lib/backup');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-backup-dir');
+const JOURNAL_DIR = path.join(TEMP_DIR, '.favicon-journal');
+
+beforeEach(async () => {
+  await fs.emptyDir(TEMP_DIR);
+});
+
+afterAll(async () => {
+  await fs.remove(TEMP_DIR);
+});
+
+describe('writeFileAtomic', () => {
+  test('should replace the file without leaving a temporary file behind', async () => {
+    const testFile = path.join(TEMP_DIR, 'index.html');
+    await fs.writeFile(testFile, 'old');
+
+    await writeFileAtomic(testFile, 'new');
+
+    expect(await fs.readFile(testFile, 'utf8')).toBe('new');
+    expect(await fs.readdir(TEMP_DIR)).toEqual(['index.html']);
+  });
+
+  test('should keep the file mode', async () => {
+    const testFile = path.join(TEMP_DIR, 'index.html');
+    await fs.writeFile(testFile, 'old');
+    await fs.chmod(testFile, 0o640);
+
+    await writeFileAtomic(testFile, 'new');
+
+    expect((await fs.stat(testFile)).mode & 0o777).toBe(0o640);
+  });
+
+  test('should write through symlinks', async () => {
+    const target = path.join(TEMP_DIR, 'target.html');
+    const link = path.join(TEMP_DIR, 'link.html');
+    await fs.writeFile(target, 'old');
+    await fs.symlink(target, link);
+
+    await writeFileAtomic(link, 'new');
+
+    expect((await fs.lstat(link)).isSymbolicLink()).toBe(true);
+    expect(await fs.readFile(target, 'utf8')).toBe('new');
+  });
+
+  test('should leave the original alone when the write fails', async () => {
+    const testFile = path.join(TEMP_DIR, 'index.html');
+    await fs.writeFile(testFile, 'old');
+    const renameMock = jest.spyOn(fs, 'rename').mockRejectedValue(new Error('disk full'));
+
+    await expect(writeFileAtomic(testFile, 'new')).rejects.toThrow('disk full');
+
+    expect(await fs.readFile(testFile, 'utf8')).toBe('old');
+    expect(await fs.readdir(TEMP_DIR)).toEqual(['index.html']);
+    renameMock.mockRestore();
+  });
+});
+
+describe('journal', () => {
+  test('should default to a directory inside the scanned directory', () => {
+    expect(getJournalDir(TEMP_DIR, null)).toBe(JOURNAL_DIR);
+    expect(getJournalDir(TEMP_DIR, '/var/journal')).toBe(path.resolve('/var/journal'));
+  });
+
+  test('should keep originals under their relative path and restore them', async () => {
+    const page = path.join(TEMP_DIR, 'docs', 'page.html');
+    await fs.outputFile(page, 'original');
+
+    const run = await startRun(JOURNAL_DIR, TEMP_DIR, 'inject');
+    const backupPath = await backupFile(page, 'journal', run);
+    await fs.writeFile(page, 'changed');
+
+    expect(backupPath).toBe(path.join(run.dir, 'files', 'docs', 'page.html.orig'));
+    expect(await finishRun(run)).toBe(true);
+
+    const restored = await restoreLastRun(JOURNAL_DIR);
+    expect(restored).toEqual({ run: run.id, root: TEMP_DIR, files: [{ file: page, error: null }] });
+    expect(await fs.readFile(page, 'utf8')).toBe('original');
+    expect(await listRuns(JOURNAL_DIR)).toEqual([]);
+  });
+
+  test('should drop runs that changed nothing', async () => {
+    const run = await startRun(JOURNAL_DIR, TEMP_DIR, 'inject');
+
+    expect(await finishRun(run)).toBe(false);
+    expect(await listRuns(JOURNAL_DIR)).toEqual([]);
+    expect(await restoreLastRun(JOURNAL_DIR)).toEqual({ run: null, root: null, files: [] });
+  });
+
+  test('should restore the most recent run first', async () => {
+    const page = path.join(TEMP_DIR, 'index.html');
+    await fs.writeFile(page, 'first');
+
+    const first = await startRun(JOURNAL_DIR, TEMP_DIR, 'inject');
+    await backupFile(page, 'journal', first);
+    await fs.writeFile(page, 'second');
+    const second = await startRun(JOURNAL_DIR, TEMP_DIR, 'remove');
+    await backupFile(page, 'journal', second);
+    await fs.writeFile(page, 'third');
+
+    expect(await listRuns(JOURNAL_DIR)).toEqual([first.id, second.id]);
+
+    await restoreLastRun(JOURNAL_DIR);
+    expect(await fs.readFile(page, 'utf8')).toBe('second');
+    await restoreLastRun(JOURNAL_DIR);
+    expect(await fs.readFile(page, 'utf8')).toBe('first');
+  });
+
+  test('should refuse to back up files outside the run root', async () => {
+    const outside = path.join(__dirname, 'temp-backup-outside.html');
+    const run = await startRun(JOURNAL_DIR, path.join(TEMP_DIR, 'site'), 'inject');
+    await fs.writeFile(outside, 'x');
+
+    try {
+      await expect(backupFile(outside, 'journal', run)).rejects.toThrow('outside');
+    } finally {
+      await fs.remove(outside);
+    }
+  });
+});
+
+describe('bak backups', () => {
+  test('should copy the original next to the file', async () => {
+    const page = path.join(TEMP_DIR, 'index.html');
+    await fs.writeFile(page, 'original');
+
+    expect(await backupFile(page, 'bak')).toBe(`${page}.bak`);
+    expect(await fs.readFile(`${page}.bak`, 'utf8')).toBe('original');
+  });
+});
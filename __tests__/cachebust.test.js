@@ -0,0 +1,75 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { hashFile, addVersionParam, hashedName, cacheBustIcon } = require('../lib/cachebust');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-cachebust-dir');
+
+describe('addVersionParam', () => {
+  test('should add or replace the v parameter', () => {
+    expect(addVersionParam('/favicon.ico', 'abc')).toBe('/favicon.ico?v=abc');
+    expect(addVersionParam('/favicon.ico?v=old&x=1#top', 'abc')).toBe('/favicon.ico?x=1&v=abc#top');
+  });
+});
+
+describe('hashedName', () => {
+  test('should put the hash before the extension', () => {
+    expect(hashedName('/img/favicon.ico', '1a2b3c4d')).toBe('/img/favicon.1a2b3c4d.ico');
+    expect(hashedName('icon', '1a2b3c4d')).toBe('icon.1a2b3c4d');
+  });
+});
+
+describe('cacheBustIcon', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.outputFile(path.join(TEMP_DIR, 'img/favicon.png'), 'png data');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+  
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  // Settings for a fresh run
+  function settings(mode, extra = {}) {
+    return { mode, root: TEMP_DIR, dryRun: false, cache: new Map(), ...extra };
+  }
+  
+  test('should hash the icon file into the query string', async () => {
+    const hash = await hashFile(path.join(TEMP_DIR, 'img/favicon.png'));
+    const icon = await cacheBustIcon({ path: '/img/favicon.png', rel: 'icon' }, settings('query'));
+    
+    expect(hash).toMatch(/^[0-9a-f]{8}$/);
+    expect(icon).toEqual({ path: `/img/favicon.png?v=${hash}`, rel: 'icon' });
+  });
+  
+  test('should copy the icon to a hashed file name', async () => {
+    const hash = await hashFile(path.join(TEMP_DIR, 'img/favicon.png'));
+    const icon = await cacheBustIcon({ path: 'img/favicon.png' }, settings('filename'));
+    
+    expect(icon.path).toBe(`img/favicon.${hash}.png`);
+    expect(await fs.readFile(path.join(TEMP_DIR, `img/favicon.${hash}.png`), 'utf8')).toBe('png data');
+  });
+  
+  test('should not write copies in a dry run', async () => {
+    const icon = await cacheBustIcon({ path: 'img/favicon.png' }, settings('filename', { dryRun: true }));
+    
+    expect(icon.path).toMatch(/^img\/favicon\.[0-9a-f]{8}\.png$/);
+    expect(await fs.readdir(path.join(TEMP_DIR, 'img'))).toEqual(['favicon.png']);
+  });
+  
+  test('should leave missing files and full URLs alone', async () => {
+    const missing = { path: '/missing.ico' };
+    const remote = { path: 'https://cdn.example.com/favicon.ico' };
+    
+    expect(await cacheBustIcon(missing, settings('query'))).toBe(missing);
+    expect(await cacheBustIcon(remote, settings('query'))).toBe(remote);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Cannot cache-bust /missing.ico'));
+  });
+});
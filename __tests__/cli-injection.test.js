@@ -3,35 +3,76 @@
 // This test file specifically tests the CLI implementation directly
 // rather than through the command-line interface
 jest.mock('commander', () => {
+  // Subcommands get their own mock so their action doesn't replace the main one
+  const mockCommand = () => {
+    const command = {
+      description: jest.fn().mockReturnThis(),
+      argument: jest.fn().mockReturnThis(),
+      option: jest.fn().mockReturnThis(),
+      action: jest.fn().mockImplementation(function(callback) {
+        command.actionCallback = callback;
+        return this;
+      }),
+      actionCallback: null
+    };
+    return command;
+  };
+
   const mockProgram = {
     name: jest.fn().mockReturnThis(),
     description: jest.fn().mockReturnThis(),
     version: jest.fn().mockReturnThis(),
+    enablePositionalOptions: jest.fn().mockReturnThis(),
     argument: jest.fn().mockReturnThis(),
     option: jest.fn().mockReturnThis(),
     action: jest.fn().mockImplementation(function(callback) {
       mockProgram.actionCallback = callback;
       return this;
     }),
+    command: jest.fn().mockImplementation(name => {
+      mockProgram.commands[name] = mockCommand();
+      return mockProgram.commands[name];
+    }),
     parse: jest.fn().mockReturnThis(),
-    // Store the action callback for testing
-    actionCallback: null
+    // Store the action callbacks for testing
+    actionCallback: null,
+    commands: {}
   };
   return { program: mockProgram };
 });
 
 jest.mock('../lib/injector', () => ({
+  validateOptions: jest.fn(options => options),
   injectDir: jest.fn().mockResolvedValue({
     total: 5,
     injected: 3,
     skipped: 2,
     failed: 0
+  }),
+  removeDir: jest.fn().mockResolvedValue({
+    total: 4,
+    removed: 2,
+    links: 3,
+    skipped: 2,
+    failed: 0
+  }),
+  checkDir: jest.fn().mockResolvedValue({
+    total: 3,
+    complete: 1,
+    missing: 1,
+    skipped: 0,
+    failed: 0,
+    files: [
+      { file: '/test/dir/index.html', status: 'complete', reason: 'All required icon roles present', missing: [] },
+      { file: '/test/dir/about.html', status: 'missing', reason: 'Missing icon roles: apple-touch-icon', missing: ['apple-touch-icon'] }
+    ],
+    passed: false
   })
 }));
 
 const path = require('path');
 const fs = require('fs-extra');
-const { injectDir } = require('../lib/injector');
+const { injectDir, removeDir, checkDir } = require('../lib/injector');
 const { program } = require('commander');
 
 // Require the CLI script to test it directly
@@ -39,14 +80,20 @@ const { program } = require('commander');
 require('../bin/inject-favicon');
 
 describe('CLI Script Implementation', () => {
+  let exitCode;
+
   // Spy on console methods
   beforeEach(() => {
+    // The CLI reports failures through process.exitCode; keep them from failing the test run
+    exitCode = process.exitCode;
     jest.spyOn(console, 'log').mockImplementation(() => {});
     jest.spyOn(console, 'error').mockImplementation(() => {});
     jest.spyOn(process, 'exit').mockImplementation(() => {});
     
     // Reset mock implementation to ensure clean state
     injectDir.mockClear();
+    removeDir.mockClear();
+    checkDir.mockClear();
   });
   
   afterEach(() => {
@@ -54,6 +101,7 @@ describe('CLI Script Implementation', () => {
     console.log.mockRestore();
     console.error.mockRestore();
     process.exit.mockRestore();
+    process.exitCode = exitCode;
   });
   
   test('should correctly set up program options', () => {
@@ -136,6 +184,7 @@ describe('CLI Script Implementation', () => {
     
     // Verify failed files were reported
     expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Files failed to inject: 2'));
+    expect(process.exitCode).toBe(1);
   });
   
   test('should handle a non-existent directory', async () => {
@@ -236,4 +285,67 @@ describe('CLI Script Implementation', () => {
       }
     );
   });
-}); 
\ No newline at end of file
+
+  test('should register the remove command', () => {
+    expect(program.command).toHaveBeenCalledWith('remove');
+    expect(program.commands.remove.argument).toHaveBeenCalledWith('<dir>', expect.any(String));
+  });
+  
+  test('should call removeDir with the filter options', async () => {
+    jest.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    
+    await program.commands.remove.actionCallback('/test/dir', {
+      rel: ['apple-touch-icon'],
+      href: '/legacy/*',
+      type: 'image/png'
+    });
+    
+    expect(removeDir).toHaveBeenCalledWith(
+      path.resolve('/test/dir'),
+      { rel: ['apple-touch-icon'], href: '/legacy/*', type: 'image/png' }
+    );
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Files with favicon links removed: 2 (3 links)'));
+  });
+  
+  test('should remove all icon links when no filter is given', async () => {
+    jest.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    
+    await program.commands.remove.actionCallback('/test/dir', { rel: [] });
+    
+    expect(removeDir).toHaveBeenCalledWith(path.resolve('/test/dir'), {});
+  });
+
+  test('should exit with code 0 when every file was processed', async () => {
+    jest.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    process.exitCode = undefined;
+    
+    await program.actionCallback('/test/dir', {});
+    
+    expect(process.exitCode).toBeUndefined();
+  });
+  
+  test('should call checkDir and fail when pages miss icons', async () => {
+    jest.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    
+    await program.commands.check.actionCallback('/test/dir', { role: ['icon', 'apple-touch-icon'], maxMissing: '0' });
+    
+    expect(checkDir).toHaveBeenCalledWith(path.resolve('/test/dir'), { roles: ['icon', 'apple-touch-icon'], maxMissing: 0 });
+    expect(console.log).toHaveBeenCalledWith(`${path.relative(path.resolve('/test/dir'), '/test/dir/about.html')}: Missing icon roles: apple-touch-icon`);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('Check failed.'));
+    expect(process.exitCode).toBe(1);
+  });
+  
+  test('should reject an unknown --role', async () => {
+    jest.spyOn(fs, 'pathExists').mockResolvedValue(true);
+    process.exit.mockImplementation(() => {
+      throw new Error('Process exited');
+    });
+    
+    await expect(program.commands.check.actionCallback('/test/dir', { role: ['favicon'] }))
+      .rejects
+      .toThrow('Process exited');
+    
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining("Invalid --role 'favicon'"));
+    expect(checkDir).not.toHaveBeenCalled();
+  });
+});
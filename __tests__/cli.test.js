@@ -41,10 +41,10 @@ function hasFavicon(html, expectedFaviconPath = null) {
   return false;
 }
 
-// Helper function to run the CLI with arguments
-function runCLI(args) {
+// Helper function to run the CLI with arguments, optionally from another working directory
+function runCLI(args, options = {}) {
   return new Promise((resolve, reject) => {
-    const cli = spawn('node', [CLI_PATH, ...args]);
+    const cli = spawn('node', [CLI_PATH, ...args], options);
     
     let stdout = '';
     let stderr = '';
@@ -168,4 +168,308 @@ describe('CLI', () => {
     expect(link.attr('type')).toBe('image/png');
     expect(link.attr('sizes')).toBe('32x32');
   });
-}); 
\ No newline at end of file
+
+  test('should inject every --icon given', async () => {
+    await fs.writeFile(
+      path.join(TEMP_DIR, 'test.html'), 
+      '<!DOCTYPE html><html><head><title>Test</title></head><body></body></html>'
+    );
+    
+    const result = await runCLI([
+      TEMP_DIR,
+      '--icon', '/favicon.svg',
+      '--icon', '/apple-touch-icon.png,rel=apple-touch-icon,sizes=180x180'
+    ]);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('apple-touch-icon 180x180 (/apple-touch-icon.png): 1 injected');
+    
+    const $ = cheerio.load(await fs.readFile(path.join(TEMP_DIR, 'test.html'), 'utf8'));
+    expect($('link[rel="icon"]').attr('href')).toBe('/favicon.svg');
+    expect($('link[rel="apple-touch-icon"]').attr('sizes')).toBe('180x180');
+  });
+
+  test('should replace existing favicons with --replace', async () => {
+    await fs.writeFile(
+      path.join(TEMP_DIR, 'test.html'), 
+      '<!DOCTYPE html><html><head><title>Test</title><link rel="icon" href="/existing.ico"></head><body></body></html>'
+    );
+    
+    const result = await runCLI([TEMP_DIR, '--favicon', '/new.ico', '--replace']);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Files with favicon replaced: 1');
+    
+    const testHtml = await fs.readFile(path.join(TEMP_DIR, 'test.html'), 'utf8');
+    expect(hasFavicon(testHtml, '/new.ico')).toBe(true);
+  });
+
+  test('should reject an unknown --mode', async () => {
+    const result = await runCLI([TEMP_DIR, '--mode', 'overwrite']);
+    
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('Invalid mode');
+  });
+
+  test('should remove favicon links with the remove command', async () => {
+    await fs.writeFile(
+      path.join(TEMP_DIR, 'test.html'), 
+      '<!DOCTYPE html><html><head><title>Test</title><link rel="icon" href="/existing.ico"><link rel="apple-touch-icon" href="/touch.png"></head><body></body></html>'
+    );
+    
+    const result = await runCLI(['remove', TEMP_DIR, '--rel', 'apple-touch-icon']);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Files with favicon links removed: 1 (1 links)');
+    
+    const $ = cheerio.load(await fs.readFile(path.join(TEMP_DIR, 'test.html'), 'utf8'));
+    expect($('link[rel="icon"]').length).toBe(1);
+    expect($('link[rel="apple-touch-icon"]').length).toBe(0);
+  });
+
+  test('should report and optionally handle files without a head', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, '_partial.html'), '<footer>Footer</footer>');
+    
+    let result = await runCLI([TEMP_DIR]);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Files skipped (no <head>, e.g. partials): 1');
+    expect(await fs.readFile(path.join(TEMP_DIR, '_partial.html'), 'utf8')).toBe('<footer>Footer</footer>');
+    
+    result = await runCLI([TEMP_DIR, '--missing-head', 'create-head']);
+    
+    expect(result.code).toBe(0);
+    expect(await fs.readFile(path.join(TEMP_DIR, '_partial.html'), 'utf8'))
+      .toBe('<head><link rel="icon" href="/favicon.ico" type="image/x-icon"></head><footer>Footer</footer>');
+  });
+
+  test('should print diffs without writing files in a dry run', async () => {
+    const html = '<!DOCTYPE html>\n<html>\n<head>\n<title>Test</title>\n</head>\n</html>\n';
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), html);
+    
+    const result = await runCLI([TEMP_DIR, '--dry-run']);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('+++ b/');
+    expect(result.stdout).toContain('+<link rel="icon" href="/favicon.ico" type="image/x-icon">');
+    expect(result.stdout).toContain('Dry run completed, no files were written.');
+    expect(await fs.readFile(path.join(TEMP_DIR, 'test.html'), 'utf8')).toBe(html);
+  });
+
+  test('should skip excluded files and report per-pattern counts', async () => {
+    const html = '<!DOCTYPE html><html><head><title>Test</title></head></html>';
+    await fs.outputFile(path.join(TEMP_DIR, 'index.html'), html);
+    await fs.outputFile(path.join(TEMP_DIR, 'drafts/wip.html'), html);
+    await fs.outputFile(path.join(TEMP_DIR, 'node_modules/pkg/readme.html'), html);
+    
+    const result = await runCLI([TEMP_DIR, '--exclude', 'drafts/**']);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Total HTML files found: 1');
+    expect(result.stdout).toContain('Excluded by node_modules: 1');
+    expect(result.stdout).toContain('Excluded by drafts/**: 1');
+    expect(await fs.readFile(path.join(TEMP_DIR, 'drafts/wip.html'), 'utf8')).toBe(html);
+    expect(hasFavicon(await fs.readFile(path.join(TEMP_DIR, 'index.html'), 'utf8'))).toBe(true);
+  });
+
+  test('should process template files given with --extensions', async () => {
+    const template = '<html><head><title>{{title}}</title></head><body>{{{body}}}</body></html>';
+    await fs.writeFile(path.join(TEMP_DIR, 'layout.hbs'), template);
+    
+    const result = await runCLI([TEMP_DIR, '--extensions', 'html,hbs']);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Files injected with favicon: 1');
+    expect(await fs.readFile(path.join(TEMP_DIR, 'layout.hbs'), 'utf8')).toBe(
+      '<html><head><title>{{title}}</title><link rel="icon" href="/favicon.ico" type="image/x-icon"></head><body>{{{body}}}</body></html>'
+    );
+  });
+
+  test('should read settings from a config file and let flags override them', async () => {
+    const html = '<!DOCTYPE html><html><head><title>Test</title></head></html>';
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), html);
+    await fs.writeJson(path.join(TEMP_DIR, '.faviconrc.json'), { path: '/config.png', sizes: '32x32' });
+    
+    let result = await runCLI([TEMP_DIR, '--dry-run']);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('+<!DOCTYPE html><html><head><title>Test</title><link rel="icon" href="/config.png" type="image/png" sizes="32x32"></head></html>');
+    
+    result = await runCLI([TEMP_DIR, '--dry-run', '--favicon', '/flag.ico']);
+    
+    expect(result.stdout).toContain('href="/flag.ico" type="image/x-icon" sizes="32x32"');
+    
+    result = await runCLI([TEMP_DIR, '--dry-run', '--no-config']);
+    
+    expect(result.stdout).toContain('<link rel="icon" href="/favicon.ico" type="image/x-icon"></head>');
+  });
+
+  test('should reject invalid settings in a config file', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head></head></html>');
+    await fs.writeJson(path.join(TEMP_DIR, '.faviconrc'), { mode: 'bogus' });
+    
+    const result = await runCLI([TEMP_DIR]);
+    
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain(`Invalid mode 'bogus' (expected one of: skip, replace, merge) (in ${path.join(TEMP_DIR, '.faviconrc')})`);
+    expect(result.stdout).not.toContain('Operation completed successfully!');
+    expect(await fs.readFile(path.join(TEMP_DIR, 'test.html'), 'utf8')).toBe('<html><head></head></html>');
+  });
+
+  test('should resolve a config siteRoot the same from any working directory', async () => {
+    const page = path.join(TEMP_DIR, 'dist', 'docs', 'index.html');
+    await fs.outputFile(page, '<html><head></head></html>');
+    await fs.writeJson(path.join(TEMP_DIR, '.faviconrc'), { path: 'favicon.svg', siteRoot: 'dist' });
+    
+    for (const cwd of [TEMP_DIR, path.join(TEMP_DIR, 'dist', 'docs')]) {
+      const result = await runCLI([path.join(TEMP_DIR, 'dist'), '--dry-run'], { cwd });
+      
+      expect(result.code).toBe(0);
+      expect(result.stdout).toContain('<link rel="icon" href="../favicon.svg" type="image/svg+xml">');
+    }
+  });
+
+  test.each([
+    ['favicon.config.mjs', null],
+    ['.faviconrc.js', { type: 'module' }]
+  ])('should load an ES module config from %s', async (name, pkg) => {
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, name), "export default { path: '/esm.svg' };");
+    if (pkg) {
+      await fs.writeJson(path.join(TEMP_DIR, 'package.json'), pkg);
+    }
+    
+    const result = await runCLI([TEMP_DIR, '--dry-run']);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('<link rel="icon" href="/esm.svg" type="image/svg+xml">');
+  });
+
+  test('should fail on a missing --config file', async () => {
+    const result = await runCLI([TEMP_DIR, '--config', path.join(TEMP_DIR, 'missing.json')]);
+    
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain('does not exist');
+  });
+
+  test('should cache-bust favicon hrefs', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'favicon.ico'), 'icon');
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head></head></html>');
+    
+    let result = await runCLI([TEMP_DIR, '--cache-bust']);
+    
+    expect(result.code).toBe(0);
+    const $ = cheerio.load(await fs.readFile(path.join(TEMP_DIR, 'test.html'), 'utf8'));
+    expect($('link[rel="icon"]').attr('href')).toMatch(/^\/favicon\.ico\?v=[0-9a-f]{8}$/);
+    
+    result = await runCLI([TEMP_DIR, '--cache-bust', 'timestamp']);
+    
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain("Invalid --cache-bust mode 'timestamp'");
+  });
+
+  test('should validate --concurrency', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head></head></html>');
+    
+    let result = await runCLI([TEMP_DIR, '--concurrency', '2']);
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Files injected with favicon: 1');
+    
+    result = await runCLI([TEMP_DIR, '--concurrency', 'many']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain("Invalid --concurrency 'many'");
+  });
+
+  test('should write machine-readable reports', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head></head></html>');
+    
+    let result = await runCLI([TEMP_DIR, '--dry-run', '--reporter', 'json', '--verbose']);
+    
+    expect(result.code).toBe(0);
+    const report = JSON.parse(result.stdout);
+    expect(report.summary.injected).toBe(1);
+    expect(report.files).toEqual([expect.objectContaining({ file: 'test.html', status: 'injected' })]);
+    expect(result.stderr).toContain('Scanning directory');
+    
+    const output = path.join(TEMP_DIR, 'reports/favicons.xml');
+    result = await runCLI([TEMP_DIR, '--dry-run', '--reporter', 'junit', '--output', output]);
+    
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Files injected with favicon: 1');
+    expect(result.stdout).toContain(`Report written to ${output}`);
+    expect(await fs.readFile(output, 'utf8')).toContain('<failure message="Missing favicon links');
+    
+    result = await runCLI([TEMP_DIR, '--reporter', 'xml']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain("Invalid --reporter 'xml'");
+  });
+
+  test('should fail the check command when pages miss icons', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'ok.html'), '<html><head><link rel="icon" href="/x.ico"></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'bare.html'), '<html><head></head></html>');
+    
+    let result = await runCLI(['check', TEMP_DIR]);
+    
+    expect(result.code).toBe(1);
+    expect(result.stdout).toContain('bare.html: Missing icon roles: icon');
+    expect(result.stdout).not.toContain('ok.html:');
+    expect(await fs.readFile(path.join(TEMP_DIR, 'bare.html'), 'utf8')).toBe('<html><head></head></html>');
+    
+    result = await runCLI(['check', TEMP_DIR, '--max-missing', '1']);
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Check passed.');
+  });
+
+  test('should fail the check command on a page that leaves out its head tags', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'index.html'), '<!DOCTYPE html><html lang="en"><title>Home</title><body><p>Hi</p></body></html>');
+    
+    const result = await runCLI(['check', TEMP_DIR]);
+    
+    expect(result.code).toBe(1);
+    expect(result.stdout).toContain('index.html: Missing icon roles: icon');
+    expect(result.stdout).toContain('Check failed.');
+  });
+
+  test('should fail the check command when it finds no pages', async () => {
+    const result = await runCLI(['check', TEMP_DIR, '--role', 'apple-touch-icon']);
+    
+    expect(result.code).toBe(1);
+    expect(result.stdout).toContain('Check failed.');
+    expect(result.stdout).toContain('Total HTML files found: 0');
+  });
+
+  test('should report broken and mismatched icons with --validate', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'favicon.ico'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head><link rel="apple-touch-icon" href="/touch.png"></head></html>');
+    
+    const result = await runCLI([TEMP_DIR, '--validate', '--no-config']);
+    
+    expect(result.code).toBe(1);
+    expect(result.stdout).toContain('Configured icon: /favicon.ico is declared as image/x-icon but contains image/png');
+    expect(result.stdout).toContain('test.html: /touch.png not found');
+    // The injected link declares the type the file really has
+    expect(result.stdout).toContain('Broken: 1, mismatched type: 1, oversized: 0');
+  });
+
+  test('should back up changed files and undo the run', async () => {
+    const testFile = path.join(TEMP_DIR, 'test.html');
+    await fs.writeFile(testFile, '<html><head></head></html>');
+    
+    let result = await runCLI([TEMP_DIR, '--backup']);
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain(`Originals saved in ${path.join(TEMP_DIR, '.favicon-journal')}`);
+    expect(hasFavicon(await fs.readFile(testFile, 'utf8'))).toBe(true);
+    
+    result = await runCLI(['undo', TEMP_DIR]);
+    expect(result.code).toBe(0);
+    expect(result.stdout).toContain('Files restored: 1');
+    expect(await fs.readFile(testFile, 'utf8')).toBe('<html><head></head></html>');
+    
+    result = await runCLI(['undo', TEMP_DIR]);
+    expect(result.stdout).toContain('Nothing to undo.');
+    
+    result = await runCLI([TEMP_DIR, '--backup', 'tar']);
+    expect(result.code).toBe(1);
+    expect(result.stderr).toContain("Invalid --backup mode 'tar'");
+  });
+});
@@ -0,0 +1,72 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { mapLimit, workerCount, createWorkerPool } = require('../lib/concurrency');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-concurrency-dir');
+
+describe('mapLimit', () => {
+  test('should keep results in item order', async () => {
+    const delays = [30, 5, 20, 0, 10];
+    const results = await mapLimit(delays, 3, delay => new Promise(resolve => setTimeout(() => resolve(delay * 2), delay)));
+    
+    expect(results).toEqual([60, 10, 40, 0, 20]);
+  });
+  
+  test('should never run more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+    
+    await mapLimit(Array.from({ length: 10 }, (_, i) => i), 4, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+    });
+    
+    expect(peak).toBe(4);
+  });
+  
+  test('should handle empty input', async () => {
+    expect(await mapLimit([], 4, async () => 1)).toEqual([]);
+  });
+});
+
+describe('workerCount', () => {
+  test('should use spare cores for true and stay on the main thread by default', () => {
+    expect(workerCount(true)).toBeGreaterThanOrEqual(1);
+    expect(workerCount(3)).toBe(3);
+    expect(workerCount(undefined)).toBe(0);
+  });
+});
+
+describe('createWorkerPool', () => {
+  beforeAll(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    for (let i = 0; i < 4; i++) {
+      await fs.writeFile(path.join(TEMP_DIR, `page${i}.html`), '<html><head></head></html>');
+    }
+  });
+  
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  test('should inject favicons in worker threads', async () => {
+    const pool = createWorkerPool(2, { options: { path: '/favicon.ico', onFile: () => {} }, root: TEMP_DIR });
+    
+    try {
+      const results = await Promise.all([0, 1, 2, 3].map(i => pool.run(path.join(TEMP_DIR, `page${i}.html`))));
+      
+      expect(results.map(result => result.status)).toEqual(['injected', 'injected', 'injected', 'injected']);
+      expect(results[0].added).toEqual([{ path: '/favicon.ico', rel: 'icon', type: 'image/x-icon', sizes: null }]);
+    } finally {
+      await pool.close();
+    }
+    
+    expect(await fs.readFile(path.join(TEMP_DIR, 'page3.html'), 'utf8'))
+      .toBe('<html><head><link rel="icon" href="/favicon.ico" type="image/x-icon"></head></html>');
+  });
+});
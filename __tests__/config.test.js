@@ -0,0 +1,106 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { loadConfig } = require('../lib/config');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-config-dir');
+const SITE_DIR = path.join(TEMP_DIR, 'project', 'public');
+
+describe('loadConfig', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.mkdirp(SITE_DIR);
+  });
+  
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  test('should find a .faviconrc in a parent directory', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'project', '.faviconrc'), '{ "path": "/favicon.svg", "mode": "replace" }');
+    
+    const result = await loadConfig(SITE_DIR);
+    
+    expect(result.config).toEqual({ path: '/favicon.svg', mode: 'replace' });
+    expect(result.filePath).toBe(path.join(TEMP_DIR, 'project', '.faviconrc'));
+  });
+  
+  test('should prefer the nearest config', async () => {
+    await fs.writeJson(path.join(TEMP_DIR, 'project', '.faviconrc.json'), { path: '/outer.ico' });
+    await fs.writeJson(path.join(SITE_DIR, '.faviconrc.json'), { path: '/inner.ico' });
+    
+    expect((await loadConfig(SITE_DIR)).config.path).toBe('/inner.ico');
+  });
+  
+  test('should load JavaScript configs', async () => {
+    await fs.writeFile(
+      path.join(TEMP_DIR, 'project', 'favicon.config.js'),
+      "module.exports = { icons: [{ path: '/favicon.svg' }, { path: '/apple.png', rel: 'apple-touch-icon' }] };"
+    );
+    
+    const { config } = await loadConfig(SITE_DIR);
+    
+    expect(config.icons).toHaveLength(2);
+    expect(config.icons[1].rel).toBe('apple-touch-icon');
+  });
+  
+  test('should load CommonJS configs with a .cjs extension', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'project', '.faviconrc.cjs'), "module.exports = '/favicon.svg';");
+    
+    expect((await loadConfig(SITE_DIR)).config).toEqual({ path: '/favicon.svg' });
+  });
+  
+  test('should read the favicon key from package.json', async () => {
+    await fs.writeJson(path.join(TEMP_DIR, 'project', 'package.json'), { name: 'site' });
+    await fs.writeJson(path.join(TEMP_DIR, 'package.json'), { name: 'root', favicon: '/root.ico' });
+    
+    const result = await loadConfig(SITE_DIR);
+    
+    // A package.json without the key doesn't stop the search
+    expect(result.config).toEqual({ path: '/root.ico' });
+    expect(result.filePath).toBe(path.join(TEMP_DIR, 'package.json'));
+  });
+  
+  test('should load an explicit config file', async () => {
+    const configFile = path.join(TEMP_DIR, 'favicons.json');
+    await fs.writeJson(configFile, [{ path: '/a.png' }]);
+    await fs.writeJson(path.join(SITE_DIR, '.faviconrc.json'), { path: '/ignored.ico' });
+    
+    const result = await loadConfig(SITE_DIR, { configFile });
+    
+    expect(result.config).toEqual({ icons: [{ path: '/a.png' }] });
+    expect(result.filePath).toBe(configFile);
+  });
+  
+  test('should report missing and invalid config files', async () => {
+    await expect(loadConfig(SITE_DIR, { configFile: path.join(TEMP_DIR, 'missing.json') }))
+      .rejects.toThrow('does not exist');
+    
+    await fs.writeFile(path.join(SITE_DIR, '.faviconrc'), '{ path: ');
+    await expect(loadConfig(SITE_DIR)).rejects.toThrow(/Invalid config in .*\.faviconrc/);
+  });
+  
+  test('should resolve directory settings against the config file', async () => {
+    await fs.writeJson(path.join(TEMP_DIR, 'project', '.faviconrc'), { path: 'favicon.svg', siteRoot: 'public', journalDir: '/var/journal' });
+    const cwd = process.cwd();
+    process.chdir(SITE_DIR);
+    
+    try {
+      const { config } = await loadConfig(SITE_DIR);
+      
+      expect(config).toEqual({ path: 'favicon.svg', siteRoot: SITE_DIR, journalDir: path.resolve('/var/journal') });
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+  
+  test('should return an empty config when none is found', async () => {
+    // Don't let configs outside the test directory leak in
+    const statSpy = jest.spyOn(fs, 'stat').mockRejectedValue(new Error('ENOENT'));
+    
+    expect(await loadConfig(SITE_DIR)).toEqual({ config: {}, filePath: null });
+    statSpy.mockRestore();
+  });
+});
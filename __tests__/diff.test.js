@@ -0,0 +1,34 @@
+'use strict';
+
+const path = require('path');
+const { unifiedDiff } = require('../lib/diff');
+
+describe('unifiedDiff', () => {
+  test('should produce a git-style unified diff', () => {
+    const file = path.join(process.cwd(), 'public', 'index.html');
+    const before = '<html>\n<head>\n<title>T</title>\n</head>\n</html>\n';
+    const after = '<html>\n<head>\n<title>T</title>\n<link rel="icon" href="/favicon.ico">\n</head>\n</html>\n';
+    
+    expect(unifiedDiff(file, before, after)).toBe([
+      '--- a/public/index.html',
+      '+++ b/public/index.html',
+      '@@ -1,5 +1,6 @@',
+      ' <html>',
+      ' <head>',
+      ' <title>T</title>',
+      '+<link rel="icon" href="/favicon.ico">',
+      ' </head>',
+      ' </html>',
+      ''
+    ].join('\n'));
+  });
+  
+  test('should return an empty string when nothing changed', () => {
+    expect(unifiedDiff('index.html', 'same\n', 'same\n')).toBe('');
+  });
+  
+  test('should note a missing newline at end of file', () => {
+    expect(unifiedDiff('index.html', '<head></head>', '<head><link></head>'))
+      .toContain('\\ No newline at end of file');
+  });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const iconv = require('iconv-lite');
+const { detectEncoding, readDocument, encodeDocument } = require('../lib/encoding');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-encoding-dir');
+
+describe('detectEncoding', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+  
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+  
+  test('should let a byte order mark win', () => {
+    const html = Buffer.from('\uFEFF<meta charset="windows-1252">');
+    
+    expect(detectEncoding(html)).toEqual({ encoding: 'utf-8', bom: true });
+    expect(detectEncoding(iconv.encode('<html>', 'utf-16le', { addBOM: true }))).toEqual({ encoding: 'utf-16le', bom: true });
+    expect(detectEncoding(iconv.encode('<html>', 'utf-16be', { addBOM: true }))).toEqual({ encoding: 'utf-16be', bom: true });
+  });
+  
+  test('should read meta charset, http-equiv and XML declarations', () => {
+    expect(detectEncoding(Buffer.from('<meta charset="Shift_JIS">')).encoding).toBe('shift_jis');
+    expect(detectEncoding(Buffer.from('<meta http-equiv="Content-Type" content="text/html; charset=windows-1252">')).encoding)
+      .toBe('windows-1252');
+    expect(detectEncoding(Buffer.from('<?xml version="1.0" encoding="ISO-8859-1"?><html>')).encoding).toBe('iso-8859-1');
+  });
+  
+  test('should fall back for files that declare nothing or something unknown', () => {
+    expect(detectEncoding(Buffer.from('<html>'), 'windows-1252')).toEqual({ encoding: 'windows-1252', bom: false });
+    expect(detectEncoding(Buffer.from('<meta charset="x-made-up">')).encoding).toBe('utf-8');
+    expect(console.warn).toHaveBeenCalledWith("Unsupported charset 'x-made-up', reading as utf-8");
+    expect(detectEncoding(Buffer.from('<meta charset="utf-16">')).encoding).toBe('utf-8');
+  });
+});
+
+describe('readDocument', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  test('should decode a file and encode it back byte for byte', async () => {
+    const file = path.join(TEMP_DIR, 'legacy.html');
+    const bytes = iconv.encode('<meta charset="shift_jis"><title>日本語</title>', 'shift_jis');
+    await fs.writeFile(file, bytes);
+    
+    const source = await readDocument(file);
+    
+    expect(source.html).toBe('<meta charset="shift_jis"><title>日本語</title>');
+    expect(encodeDocument(source.html, source).equals(bytes)).toBe(true);
+  });
+  
+  test('should keep a BOM out of the source and put it back', async () => {
+    const file = path.join(TEMP_DIR, 'bom.html');
+    const bytes = Buffer.from('\uFEFF<html></html>');
+    await fs.writeFile(file, bytes);
+    
+    const source = await readDocument(file);
+    
+    expect(source.html).toBe('<html></html>');
+    expect(encodeDocument(source.html, source).equals(bytes)).toBe(true);
+  });
+  
+  test('should reject an unknown fallback encoding', async () => {
+    const file = path.join(TEMP_DIR, 'page.html');
+    await fs.writeFile(file, '<html></html>');
+    
+    await expect(readDocument(file, { fallbackEncoding: 'nope' })).rejects.toThrow("Unknown encoding 'nope'");
+  });
+});
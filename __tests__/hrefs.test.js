@@ -0,0 +1,82 @@
+'use strict';
+
+const path = require('path');
+const cheerio = require('cheerio');
+const { isAbsoluteUrl, getBaseHref, resolveHref, hrefToFile } = require('../lib/hrefs');
+
+const SITE_ROOT = path.resolve('/srv/site');
+
+// Builds the resolution context for a page under the site root
+function page(relPath, extra = {}) {
+  return { filePath: path.join(SITE_ROOT, relPath), siteRoot: SITE_ROOT, publicPath: null, baseHref: null, ...extra };
+}
+
+describe('isAbsoluteUrl', () => {
+  test('should recognise full URLs', () => {
+    expect(isAbsoluteUrl('https://cdn.example.com/icon.png')).toBe(true);
+    expect(isAbsoluteUrl('//cdn.example.com/icon.png')).toBe(true);
+    expect(isAbsoluteUrl('data:image/png;base64,AAAA')).toBe(true);
+    expect(isAbsoluteUrl('/favicon.ico')).toBe(false);
+    expect(isAbsoluteUrl('assets/icon.png')).toBe(false);
+  });
+});
+
+describe('getBaseHref', () => {
+  test('should read the first base href', () => {
+    expect(getBaseHref(cheerio.load('<head><base target="_blank"><base href=" /app/ "></head>'))).toBe('/app/');
+    expect(getBaseHref(cheerio.load('<head></head>'))).toBeNull();
+  });
+});
+
+describe('resolveHref', () => {
+  test('should make hrefs relative to each page', () => {
+    expect(resolveHref('assets/icon.png', page('index.html'))).toBe('assets/icon.png');
+    expect(resolveHref('/assets/icon.png', page('blog/2024/post.html'))).toBe('../../assets/icon.png');
+    expect(resolveHref('favicon.ico', page('docs/index.html'))).toBe('../favicon.ico');
+  });
+  
+  test('should keep query strings and fragments', () => {
+    expect(resolveHref('/icon.svg?v=3#mark', page('a/index.html'))).toBe('../icon.svg?v=3#mark');
+  });
+  
+  test('should resolve against the page base href', () => {
+    expect(resolveHref('assets/icon.png', page('a/b/index.html', { baseHref: '/' }))).toBe('assets/icon.png');
+    expect(resolveHref('assets/icon.png', page('index.html', { baseHref: '/docs/v2/' }))).toBe('../../assets/icon.png');
+    expect(resolveHref('assets/icon.png', page('a/index.html', { baseHref: '../' }))).toBe('assets/icon.png');
+    expect(resolveHref('assets/icon.png', page('index.html', { baseHref: 'https://example.com/docs/page.html' })))
+      .toBe('../assets/icon.png');
+  });
+  
+  test('should prefix the public path', () => {
+    const context = page('blog/post.html', { publicPath: '/my-project', baseHref: '/elsewhere/' });
+    
+    expect(resolveHref('assets/icon.png', context)).toBe('/my-project/assets/icon.png');
+    expect(resolveHref('/favicon.ico', { ...context, publicPath: 'https://cdn.example.com/site/' }))
+      .toBe('https://cdn.example.com/site/favicon.ico');
+  });
+  
+  test('should leave full URLs alone', () => {
+    expect(resolveHref('https://cdn.example.com/icon.png', page('a/b.html', { publicPath: '/x/' })))
+      .toBe('https://cdn.example.com/icon.png');
+  });
+});
+
+describe('hrefToFile', () => {
+  test('should find the file behind root-relative and page-relative hrefs', () => {
+    expect(hrefToFile('/img/favicon.png?v=1a2b', page('blog/post.html'))).toBe(path.join(SITE_ROOT, 'img/favicon.png'));
+    expect(hrefToFile('../favicon.ico', page('blog/post.html'))).toBe(path.join(SITE_ROOT, 'favicon.ico'));
+    expect(hrefToFile('icon%20v2.svg', page('blog/post.html', { baseHref: '/assets/' }))).toBe(path.join(SITE_ROOT, 'assets/icon v2.svg'));
+  });
+  
+  test('should look up hrefs under the public path in the site root', () => {
+    expect(hrefToFile('/my-project/favicon.svg', page('index.html', { publicPath: '/my-project/' }))).toBe(path.join(SITE_ROOT, 'favicon.svg'));
+    expect(hrefToFile('https://cdn.example.com/app/favicon.svg', page('index.html', { publicPath: 'https://cdn.example.com/app' })))
+      .toBe(path.join(SITE_ROOT, 'favicon.svg'));
+  });
+  
+  test('should not resolve full URLs or leave the site root', () => {
+    expect(hrefToFile('https://example.com/favicon.ico', page('index.html'))).toBeNull();
+    expect(hrefToFile('data:image/png;base64,AAAA', page('index.html'))).toBeNull();
+    expect(hrefToFile('../../../etc/passwd', page('blog/post.html'))).toBe(path.join(SITE_ROOT, 'etc/passwd'));
+  });
+});
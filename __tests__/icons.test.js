@@ -0,0 +1,81 @@
+'use strict';
+
+const { parseRel, getRole, normalizeIcons, buildLinkTag, parseIconSpec } = require('../lib/icons');
+
+describe('getRole', () => {
+  test('should split rel tokens and ignore case', () => {
+    expect(parseRel('  Shortcut\tICON ')).toEqual(['shortcut', 'icon']);
+  });
+
+  test.each([
+    ['icon', 'icon'],
+    ['ICON', 'icon'],
+    ['shortcut icon', 'icon'],
+    ['icon shortcut', 'icon'],
+    ['apple-touch-icon', 'apple-touch-icon'],
+    ['apple-touch-icon-precomposed', 'apple-touch-icon'],
+    ['mask-icon', 'mask-icon'],
+    ['stylesheet', null],
+    [undefined, null]
+  ])('should map rel %p to role %p', (rel, role) => {
+    expect(getRole(rel)).toBe(role);
+  });
+});
+
+describe('normalizeIcons', () => {
+  test('should accept a favicon path string', () => {
+    expect(normalizeIcons('/favicon.png')).toEqual([
+      { path: '/favicon.png', rel: 'icon', type: 'image/png', sizes: null }
+    ]);
+  });
+
+  test('should accept an array of descriptors', () => {
+    const icons = normalizeIcons([
+      '/favicon.ico',
+      { path: '/apple-touch-icon.png', rel: 'apple-touch-icon', sizes: '180x180' }
+    ]);
+
+    expect(icons).toHaveLength(2);
+    expect(icons[0].type).toBe('image/x-icon');
+    expect(icons[1]).toEqual({
+      path: '/apple-touch-icon.png',
+      rel: 'apple-touch-icon',
+      type: 'image/png',
+      sizes: '180x180'
+    });
+  });
+
+  test('should fall back to the default favicon for an empty set', () => {
+    expect(normalizeIcons({ icons: [] })[0].path).toBe('/favicon.ico');
+  });
+
+  test('should know the types of newer image formats', () => {
+    expect(normalizeIcons({ icons: ['/icon.webp', '/icon.avif', '/icon.gif'] }).map(icon => icon.type))
+      .toEqual(['image/webp', 'image/avif', 'image/gif']);
+  });
+});
+
+describe('buildLinkTag', () => {
+  test('should escape attribute values', () => {
+    expect(buildLinkTag({ path: '/icon.png?a="b"&c', rel: 'icon' }))
+      .toBe('<link rel="icon" href="/icon.png?a=&quot;b&quot;&amp;c">');
+  });
+});
+
+describe('parseIconSpec', () => {
+  test('should parse a path with attributes', () => {
+    expect(parseIconSpec('/apple-touch-icon.png,rel=apple-touch-icon,sizes=180x180')).toEqual({
+      path: '/apple-touch-icon.png',
+      rel: 'apple-touch-icon',
+      sizes: '180x180'
+    });
+  });
+
+  test('should reject unknown attributes', () => {
+    expect(() => parseIconSpec('/favicon.ico,color=red')).toThrow('unknown attribute');
+  });
+
+  test('should reject a missing path', () => {
+    expect(() => parseIconSpec(',rel=icon')).toThrow('missing favicon path');
+  });
+});
@@ -1,6 +1,7 @@
 'use strict';
 
 const path = require('path');
+const { execFileSync } = require('child_process');
 const fs = require('fs-extra');
 const api = require('../index');
 
@@ -70,4 +71,45 @@ describe('Index API', () => {
     expect(stats.total).toBe(1);
     expect(stats.injected).toBe(1);
   });
-}); 
\ No newline at end of file
+  
+  test('loadConfig should be exported correctly', async () => {
+    await fs.writeJson(path.join(TEMP_DIR, '.faviconrc.json'), { path: '/config-favicon.svg' });
+    
+    expect(typeof api.loadConfig).toBe('function');
+    const { config, filePath } = await api.loadConfig(TEMP_DIR);
+    expect(config).toEqual({ path: '/config-favicon.svg' });
+    expect(filePath).toBe(path.join(TEMP_DIR, '.faviconrc.json'));
+  });
+
+  test('checkDir should be exported correctly', async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head><link rel="icon" href="/favicon.ico"></head></html>');
+    
+    expect(typeof api.checkDir).toBe('function');
+    const stats = await api.checkDir(TEMP_DIR, { roles: ['icon'] });
+    expect(stats.complete).toBe(1);
+    expect(stats.passed).toBe(true);
+  });
+
+  test('injectHtml and detectFavicons should be exported correctly', () => {
+    const { html, status } = api.injectHtml('<html><head></head></html>', '/favicon.svg');
+    
+    expect(status).toBe('injected');
+    expect(api.detectFavicons(html)).toEqual([
+      { role: 'icon', rel: 'icon', href: '/favicon.svg', type: 'image/svg+xml', sizes: null }
+    ]);
+  });
+
+  test('should keep deep requires working next to the exports map', () => {
+    const ids = ['auto-favicon-injector/lib/injector', 'auto-favicon-injector/lib/cachebust.js', 'auto-favicon-injector/vite'];
+    const script = `console.log(JSON.stringify(${JSON.stringify(ids)}.map(id => require.resolve(id))))`;
+    
+    const resolved = JSON.parse(execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..') }).toString());
+    
+    expect(resolved).toEqual([
+      path.join(__dirname, '../lib/injector.js'),
+      path.join(__dirname, '../lib/cachebust.js'),
+      path.join(__dirname, '../vite.js')
+    ]);
+  });
+});
@@ -3,7 +3,7 @@
 const path = require('path');
 const fs = require('fs-extra');
 const cheerio = require('cheerio');
-const { injectFavicon, injectDir } = require('../lib/injector');
+const { injectFile, injectFavicon, injectDir, getIconRoles, removeFavicon, removeDir, checkFile, checkDir, validateFile, validateDir, undoLastRun, injectHtml, detectFavicons, validateOptions } = require('../lib/injector');
 
 // Setup test directory
 const TEMP_DIR = path.join(__dirname, 'temp-test-dir');
@@ -110,9 +110,8 @@ describe('injectFavicon', () => {
     expect(hasFavicon(updatedHtml, '/shortcut-favicon.ico')).toBe(true);
   });
   
-  // Skip this test as it's problematic due to Cheerio automatically adding head tags
-  test.skip('should not inject favicon if no head tag exists', async () => {
-    const html = '<!DOCTYPE html><html><body><p>No head tag</p></body></html>';
+  test('should not inject favicon if no head tag exists', async () => {
+    const html = '<p>No head tag</p>';
     const testFile = path.join(TEMP_DIR, 'no-head.html');
     await fs.writeFile(testFile, html);
     
@@ -263,10 +262,141 @@ describe('injectFavicon', () => {
     expect(link.attr('type')).toBe(undefined);
   });
 
-  // Skip due to issues with mocking Cheerio, which automatically adds head tags to HTML
-  test.skip('should update stats when encountering HTML without head tag', async () => {
+  test('should inject a full icon set in a single pass', async () => {
+    const html = '<!DOCTYPE html><html><head><title>Test</title></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'icon-set.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, [
+      { path: '/favicon-32x32.png', sizes: '32x32' },
+      '/favicon.svg',
+      { path: '/apple-touch-icon.png', rel: 'apple-touch-icon', sizes: '180x180' }
+    ]);
+    
+    expect(result).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    const links = $('link');
+    
+    expect(links.length).toBe(3);
+    expect($(links[0]).attr('href')).toBe('/favicon-32x32.png');
+    expect($(links[0]).attr('sizes')).toBe('32x32');
+    expect($(links[1]).attr('type')).toBe('image/svg+xml');
+    expect($(links[2]).attr('rel')).toBe('apple-touch-icon');
+  });
+
+  test('should accept an icons array in the options object', async () => {
+    const html = '<!DOCTYPE html><html><head><title>Test</title></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'icons-option.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, { icons: ['/a.ico', '/b.png'] });
+    
+    expect(result).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    expect($('link[rel="icon"]').length).toBe(2);
+  });
+
+  test('should only inject the icon roles a file is missing', async () => {
+    const html = '<!DOCTYPE html><html><head><title>Test</title><link rel="ICON" href="/existing.ico"></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'partial-set.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, [
+      '/favicon.svg',
+      { path: '/apple-touch-icon.png', rel: 'apple-touch-icon', sizes: '180x180' }
+    ]);
+    
+    expect(result).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    expect($('link').length).toBe(2);
+    expect($('link[rel="ICON"]').attr('href')).toBe('/existing.ico');
+    expect($('link[rel="apple-touch-icon"]').attr('href')).toBe('/apple-touch-icon.png');
+  });
+
+  test('should treat precomposed touch icons as present', async () => {
+    const html = '<!DOCTYPE html><html><head><link rel="icon shortcut" href="/a.ico"><link rel="apple-touch-icon-precomposed" href="/b.png"></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'precomposed.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, [
+      '/favicon.ico',
+      { path: '/apple-touch-icon.png', rel: 'apple-touch-icon' }
+    ]);
+    
+    expect(result).toBe(false);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(html);
+  });
+
+  test('should list the icon roles a file has', async () => {
+    const testFile = path.join(TEMP_DIR, 'roles.html');
+    await fs.writeFile(
+      testFile,
+      '<html><head><link rel="Shortcut Icon" href="/a.ico"><link rel="mask-icon" href="/m.svg" color="#000"><link rel="stylesheet" href="/s.css"></head></html>'
+    );
+    
+    expect(await getIconRoles(testFile)).toEqual(['icon', 'mask-icon']);
+  });
+
+  test('should replace existing favicon links in place', async () => {
+    const html = '<!DOCTYPE html><html><head><meta charset="utf-8"><link rel="shortcut icon" href="/old.ico"><link rel="icon" href="/old.png"><title>Test</title></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'replace.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, { path: '/new.svg', mode: 'replace' });
+    
+    expect(result).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    const children = $('head').children();
+    expect(children.length).toBe(3);
+    expect($(children[1]).attr('href')).toBe('/new.svg');
+    expect($(children[2]).is('title')).toBe(true);
+  });
+
+  test('should leave files alone in replace mode when links already match', async () => {
+    const html = '<!DOCTYPE html><html><head><link rel="icon" href="/new.svg" type="image/svg+xml"></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'replace-same.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, { path: '/new.svg', mode: 'replace' });
+    
+    expect(result).toBe(false);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(html);
+  });
+
+  test('should update matching links and add the rest in merge mode', async () => {
+    const html = '<!DOCTYPE html><html><head><link rel="icon" href="/old-32.png" sizes="32x32"><link rel="icon" href="/keep.svg" type="image/svg+xml"></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'merge.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, {
+      mode: 'merge',
+      icons: [
+        { path: '/new-32.png', sizes: '32x32' },
+        { path: '/apple-touch-icon.png', rel: 'apple-touch-icon' }
+      ]
+    });
+    
+    expect(result).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    expect($('link[sizes="32x32"]').attr('href')).toBe('/new-32.png');
+    expect($('link[href="/keep.svg"]').length).toBe(1);
+    expect($('link[rel="apple-touch-icon"]').length).toBe(1);
+  });
+
+  test('should reject an unknown mode', async () => {
+    const html = '<!DOCTYPE html><html><head></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'bad-mode.html');
+    await fs.writeFile(testFile, html);
+    
+    const result = await injectFavicon(testFile, { mode: 'overwrite' });
+    
+    expect(result).toBe(false);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error injecting favicon'), expect.any(Error));
+  });
+
+  test('should update stats when encountering HTML without head tag', async () => {
     // Create mock file content with no head tag
-    const htmlContent = '<html><body>Test HTML without head tag</body></html>';
+    const htmlContent = '<div>Test HTML without head tag</div>';
     
     // Mock fs.stat to simulate a real file
     const statMock = jest.spyOn(fs, 'stat').mockResolvedValue({
@@ -435,6 +565,34 @@ describe('injectDir', () => {
     pathExistsMock.mockRestore();
   });
   
+  test('should report injections per icon descriptor', async () => {
+    const stats = await injectDir(TEMP_DIR, [
+      '/favicon.svg',
+      { path: '/apple-touch-icon.png', rel: 'apple-touch-icon', sizes: '180x180' }
+    ]);
+    
+    // test2.html already has an icon, so it only gets the touch icon
+    expect(stats.total).toBe(3);
+    expect(stats.injected).toBe(3);
+    expect(stats.skipped).toBe(0);
+    expect(stats.icons).toEqual([
+      expect.objectContaining({ path: '/favicon.svg', rel: 'icon', injected: 2 }),
+      expect.objectContaining({ path: '/apple-touch-icon.png', rel: 'apple-touch-icon', injected: 3 })
+    ]);
+  });
+
+  test('should count replaced files separately', async () => {
+    const stats = await injectDir(TEMP_DIR, { path: '/new.ico', mode: 'replace' });
+    
+    expect(stats.total).toBe(3);
+    expect(stats.injected).toBe(2);
+    expect(stats.replaced).toBe(1);
+    expect(stats.skipped).toBe(0);
+    
+    const $ = cheerio.load(await fs.readFile(path.join(TEMP_DIR, 'test2.html'), 'utf8'));
+    expect($('link[rel="icon"]').attr('href')).toBe('/new.ico');
+  });
+
   test('should return zeroed stats for non-existent directory', async () => {
     const stats = await injectDir(path.join(TEMP_DIR, 'non-existent'));
     
@@ -442,6 +600,44 @@ describe('injectDir', () => {
     expect(stats.injected).toBe(0);
     expect(stats.skipped).toBe(0);
     expect(stats.failed).toBe(0);
+    expect(stats.error.message).toContain('does not exist');
+  });
+
+  test('should report invalid options as the error that stopped the run', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'test.html'), '<html><head></head></html>');
+    
+    const stats = await injectDir(TEMP_DIR, { mode: 'bogus' });
+    
+    expect(stats.total).toBe(0);
+    expect(stats.error.message).toContain("Invalid mode 'bogus'");
+    expect(await fs.readFile(path.join(TEMP_DIR, 'test.html'), 'utf8')).toBe('<html><head></head></html>');
+  });
+
+  test('should count entries the scan could not read as failed', async () => {
+    await fs.outputFile(path.join(TEMP_DIR, 'sl/a.html'), '<html><head></head></html>');
+    await fs.symlink(path.join(TEMP_DIR, 'missing'), path.join(TEMP_DIR, 'sl/broken'));
+    const stat = fs.stat;
+    const statSpy = jest.spyOn(fs, 'stat').mockImplementation((file, ...args) => (
+      file === path.join(TEMP_DIR, 'sl/locked.html') ? Promise.reject(new Error('EACCES')) : stat(file, ...args)
+    ));
+    await fs.outputFile(path.join(TEMP_DIR, 'sl/locked.html'), '<html><head></head></html>');
+    
+    try {
+      const onFile = jest.fn();
+      const onProgress = jest.fn();
+      const stats = await injectDir(path.join(TEMP_DIR, 'sl'), { path: '/favicon.ico', onFile, onProgress });
+      
+      expect(stats).toMatchObject({ total: 2, injected: 1, failed: 1 });
+      expect(stats.files[1]).toMatchObject({ file: path.join(TEMP_DIR, 'sl/locked.html'), status: 'error', reason: 'EACCES' });
+      expect(stats.error).toBeUndefined();
+      expect(onFile).toHaveBeenCalledTimes(2);
+      expect(onProgress.mock.calls.map(([event]) => event)).toEqual([
+        { completed: 1, total: 2, file: path.join(TEMP_DIR, 'sl/a.html'), status: 'injected' },
+        { completed: 2, total: 2, file: path.join(TEMP_DIR, 'sl/locked.html'), status: 'error' }
+      ]);
+    } finally {
+      statSpy.mockRestore();
+    }
   });
 
   test('should handle errors in scanning directory', async () => {
@@ -463,8 +659,15 @@ describe('injectDir', () => {
     expect(stats).toEqual({
       total: 0,
       injected: 0,
+      replaced: 0,
       skipped: 0,
-      failed: 0
+      noHead: 0,
+      failed: 0,
+      excluded: {},
+      notIncluded: 0,
+      icons: [{ path: '/favicon.ico', rel: 'icon', type: 'image/x-icon', sizes: null, injected: 0 }],
+      files: [],
+      error: expect.objectContaining({ message: 'Failed to read directory' })
     });
     
     // Clean up
@@ -564,4 +767,1013 @@ describe('injectDir', () => {
       pathExistsMock.mockRestore();
     });
   });
-}); 
\ No newline at end of file
+});
+
+describe('source-preserving writer', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  test('should only splice in the new tags', async () => {
+    const html = [
+      '<!doctype html>',
+      '<html lang=en>',
+      '  <head>',
+      '    <meta charset=utf-8>',
+      "    <title>Tom &amp; Jerry's</title>",
+      '  </head>',
+      "  <body><p class='x'>Hi&nbsp;there</p></body>",
+      '</html>',
+      ''
+    ].join('\r\n');
+    const testFile = path.join(TEMP_DIR, 'formatted.html');
+    await fs.writeFile(testFile, html);
+    
+    await injectFavicon(testFile, ['/favicon.svg', { path: '/apple-touch-icon.png', rel: 'apple-touch-icon' }]);
+    
+    const expected = html.replace(
+      '  </head>',
+      '    <link rel="icon" href="/favicon.svg" type="image/svg+xml">\r\n' +
+      '    <link rel="apple-touch-icon" href="/apple-touch-icon.png" type="image/png">\r\n' +
+      '  </head>'
+    );
+    expect(await fs.readFile(testFile, 'utf8')).toBe(expected);
+  });
+  
+  test('should not add document wrappers to a single-line file', async () => {
+    const testFile = path.join(TEMP_DIR, 'inline.html');
+    await fs.writeFile(testFile, '<head><title>Test</title></head><p>Body</p>');
+    
+    await injectFavicon(testFile, '/favicon.ico');
+    
+    expect(await fs.readFile(testFile, 'utf8'))
+      .toBe('<head><title>Test</title><link rel="icon" href="/favicon.ico" type="image/x-icon"></head><p>Body</p>');
+  });
+  
+  test('should match self-closing void tags', async () => {
+    const testFile = path.join(TEMP_DIR, 'xhtml.html');
+    await fs.writeFile(testFile, '<html><head><meta charset="utf-8" /></head><body></body></html>');
+    
+    await injectFavicon(testFile, '/favicon.ico');
+    
+    expect(await fs.readFile(testFile, 'utf8'))
+      .toBe('<html><head><meta charset="utf-8" /><link rel="icon" href="/favicon.ico" type="image/x-icon" /></head><body></body></html>');
+  });
+  
+  test('should replace links in place without touching their neighbours', async () => {
+    const html = '<html>\n<head>\n\t<link rel="icon" href="/old.ico">\n\t<link rel=\'shortcut icon\' href=\'/old2.ico\'>\n\t<title>T</title>\n</head>\n</html>\n';
+    const testFile = path.join(TEMP_DIR, 'replace-source.html');
+    await fs.writeFile(testFile, html);
+    
+    await injectFavicon(testFile, { mode: 'replace', icons: ['/new.svg', '/new.ico'] });
+    
+    expect(await fs.readFile(testFile, 'utf8')).toBe(
+      '<html>\n<head>\n' +
+      '\t<link rel="icon" href="/new.svg" type="image/svg+xml">\n' +
+      '\t<link rel="icon" href="/new.ico" type="image/x-icon">\n' +
+      '\t<title>T</title>\n</head>\n</html>\n'
+    );
+  });
+  
+  test('should only rewrite the href in merge mode', async () => {
+    const testFile = path.join(TEMP_DIR, 'merge-source.html');
+    await fs.writeFile(testFile, "<head><LINK REL=icon HREF='/old.png' sizes=32x32 data-x></head>");
+    
+    await injectFavicon(testFile, { mode: 'merge', path: '/new.png', sizes: '32x32' });
+    
+    expect(await fs.readFile(testFile, 'utf8')).toBe('<head><LINK REL=icon href="/new.png" sizes=32x32 data-x></head>');
+  });
+  
+  test('should remove whole lines when removing links', async () => {
+    const testFile = path.join(TEMP_DIR, 'remove-source.html');
+    await fs.writeFile(testFile, '<head>\n  <title>T</title>\n  <link rel="icon" href="/a.ico">\n</head>\n');
+    
+    await removeFavicon(testFile);
+    
+    expect(await fs.readFile(testFile, 'utf8')).toBe('<head>\n  <title>T</title>\n</head>\n');
+  });
+  
+  test('should reserialize the document when asked to', async () => {
+    const testFile = path.join(TEMP_DIR, 'reserialize.html');
+    await fs.writeFile(testFile, "<head><title class='t'>T</title></head>");
+    
+    await injectFavicon(testFile, { path: '/favicon.ico', reserialize: true });
+    
+    expect(await fs.readFile(testFile, 'utf8')).toBe(
+      '<html><head><title class="t">T</title><link rel="icon" href="/favicon.ico" type="image/x-icon"></head><body></body></html>'
+    );
+  });
+});
+
+describe('dry run', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  test('should not write the file in a dry run', async () => {
+    const html = '<!DOCTYPE html><html><head><title>Test</title></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'dry-run.html');
+    await fs.writeFile(testFile, html);
+    
+    expect(await injectFavicon(testFile, { path: '/favicon.ico', dryRun: true })).toBe(true);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(html);
+  });
+  
+  test('should collect diffs and stats in a dry run', async () => {
+    const html = '<html>\n<head>\n</head>\n</html>\n';
+    await fs.writeFile(path.join(TEMP_DIR, 'a.html'), html);
+    await fs.writeFile(path.join(TEMP_DIR, 'b.html'), '<html><head><link rel="icon" href="/x.ico"></head></html>');
+    
+    const stats = await injectDir(TEMP_DIR, { path: '/favicon.ico', dryRun: true });
+    
+    expect(stats.injected).toBe(1);
+    expect(stats.skipped).toBe(1);
+    expect(stats.diffs).toHaveLength(1);
+    expect(stats.diffs[0].file).toBe(path.join(TEMP_DIR, 'a.html'));
+    expect(stats.diffs[0].diff).toContain('+  <link rel="icon" href="/favicon.ico" type="image/x-icon">');
+    expect(await fs.readFile(path.join(TEMP_DIR, 'a.html'), 'utf8')).toBe(html);
+  });
+  
+  test('should collect diffs during a real run when asked', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'a.html'), '<html><head></head></html>');
+    
+    const stats = await injectDir(TEMP_DIR, { path: '/favicon.ico', diff: true });
+    
+    expect(stats.diffs).toHaveLength(1);
+    expect(await fs.readFile(path.join(TEMP_DIR, 'a.html'), 'utf8')).toContain('/favicon.ico');
+  });
+  
+  test('should not collect diffs by default', async () => {
+    const stats = await injectDir(TEMP_DIR, '/favicon.ico');
+    expect(stats.diffs).toBeUndefined();
+  });
+});
+
+describe('files without a head', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  test('should skip partials by default', async () => {
+    const html = '<nav>\n  <a href="/">Home</a>\n</nav>\n';
+    const testFile = path.join(TEMP_DIR, '_header.html');
+    await fs.writeFile(testFile, html);
+    
+    expect(await injectFavicon(testFile, '/favicon.ico')).toBe(false);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(html);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('No <head> tag found'));
+  });
+  
+  test('should still report partials that already have the icons as up to date', async () => {
+    const testFile = path.join(TEMP_DIR, '_head.html');
+    await fs.writeFile(testFile, '<meta charset="utf-8">\n<link rel="icon" href="/favicon.ico">\n');
+    
+    expect(await injectFavicon(testFile, '/favicon.ico')).toBe(false);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+  
+  test('should add to the implied head of a page without head tags', async () => {
+    const testFile = path.join(TEMP_DIR, 'index.html');
+    await fs.writeFile(testFile, '<!DOCTYPE html><html lang="en"><title>Home</title><body><p>Hi</p></body></html>');
+    
+    expect(await injectFavicon(testFile, '/favicon.ico')).toBe(true);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(
+      '<!DOCTYPE html><html lang="en"><title>Home</title><link rel="icon" href="/favicon.ico" type="image/x-icon"><body><p>Hi</p></body></html>'
+    );
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+  
+  test('should treat a page with only a doctype as a document', () => {
+    expect(injectHtml('<!doctype html>\n<title>Home</title>\n<p>Hi</p>\n', '/favicon.ico').html)
+      .toBe('<!doctype html>\n<title>Home</title>\n<link rel="icon" href="/favicon.ico" type="image/x-icon">\n<p>Hi</p>\n');
+  });
+  
+  test('should create a head after the html tag when the implied head is empty', async () => {
+    const testFile = path.join(TEMP_DIR, 'create-head.html');
+    await fs.writeFile(testFile, '<!DOCTYPE html>\n<html>\n  <body>Hi</body>\n</html>\n');
+    
+    expect(await injectFavicon(testFile, '/favicon.ico')).toBe(true);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(
+      '<!DOCTYPE html>\n<html>\n  <head>\n    <link rel="icon" href="/favicon.ico" type="image/x-icon">\n  </head>\n  <body>Hi</body>\n</html>\n'
+    );
+  });
+  
+  test('should create a single-line head in a single-line document', async () => {
+    const testFile = path.join(TEMP_DIR, 'create-head-inline.html');
+    await fs.writeFile(testFile, '<html><body>Hi</body></html>');
+    
+    await injectFavicon(testFile, '/favicon.ico');
+    expect(await fs.readFile(testFile, 'utf8'))
+      .toBe('<html><head><link rel="icon" href="/favicon.ico" type="image/x-icon"></head><body>Hi</body></html>');
+  });
+  
+  test('should create a head for a fragment when asked to', async () => {
+    const testFile = path.join(TEMP_DIR, '_body.html');
+    await fs.writeFile(testFile, '<p>Hi</p>');
+    
+    expect(await injectFavicon(testFile, { path: '/favicon.ico', noHead: 'create-head' })).toBe(true);
+    expect(await fs.readFile(testFile, 'utf8')).toBe('<head><link rel="icon" href="/favicon.ico" type="image/x-icon"></head><p>Hi</p>');
+  });
+  
+  test('should prepend the tags to a partial', async () => {
+    const testFile = path.join(TEMP_DIR, '_head.html');
+    await fs.writeFile(testFile, '    <meta charset="utf-8">\n    <title>T</title>\n');
+    
+    expect(await injectFavicon(testFile, { path: '/favicon.ico', noHead: 'prepend' })).toBe(true);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(
+      '    <link rel="icon" href="/favicon.ico" type="image/x-icon">\n    <meta charset="utf-8">\n    <title>T</title>\n'
+    );
+  });
+  
+  test('should count files without a head separately', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'page.html'), '<html><head></head><body></body></html>');
+    await fs.writeFile(path.join(TEMP_DIR, '_partial.html'), '<footer>Footer</footer>');
+    
+    const stats = await injectDir(TEMP_DIR, '/favicon.ico');
+    
+    expect(stats.total).toBe(2);
+    expect(stats.injected).toBe(1);
+    expect(stats.noHead).toBe(1);
+    expect(stats.failed).toBe(0);
+  });
+  
+  test('should reject an unknown policy', async () => {
+    const stats = await injectDir(TEMP_DIR, { noHead: 'wrap' });
+    
+    expect(stats.total).toBe(0);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error scanning directory'), expect.any(Error));
+  });
+});
+
+describe('removeFavicon', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  test('should remove every icon link by default', async () => {
+    const testFile = path.join(TEMP_DIR, 'remove-all.html');
+    await fs.writeFile(
+      testFile,
+      '<!DOCTYPE html><html><head><link rel="icon" href="/a.ico"><link rel="apple-touch-icon" href="/b.png"><link rel="stylesheet" href="/s.css"></head><body></body></html>'
+    );
+    
+    const result = await removeFavicon(testFile);
+    
+    expect(result).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    expect($('link').length).toBe(1);
+    expect($('link').attr('rel')).toBe('stylesheet');
+  });
+  
+  test('should only remove links matching the filter', async () => {
+    const testFile = path.join(TEMP_DIR, 'remove-filter.html');
+    await fs.writeFile(
+      testFile,
+      '<!DOCTYPE html><html><head><link rel="shortcut icon" href="/legacy/a.ico"><link rel="icon" href="/b.png" type="image/png"><link rel="apple-touch-icon" href="/legacy/c.png"></head><body></body></html>'
+    );
+    
+    const result = await removeFavicon(testFile, { rel: 'icon', href: '/legacy/*' });
+    
+    expect(result).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    expect($('link').length).toBe(2);
+    expect($('link[href="/legacy/a.ico"]').length).toBe(0);
+  });
+  
+  test('should match links by type and RegExp href', async () => {
+    const testFile = path.join(TEMP_DIR, 'remove-type.html');
+    await fs.writeFile(
+      testFile,
+      '<!DOCTYPE html><html><head><link rel="icon" href="/a.png" type="IMAGE/PNG"><link rel="icon" href="/b.svg" type="image/svg+xml"></head><body></body></html>'
+    );
+    
+    expect(await removeFavicon(testFile, { type: 'image/png', href: /\.png$/ })).toBe(true);
+    const $ = cheerio.load(await fs.readFile(testFile, 'utf8'));
+    expect($('link').attr('href')).toBe('/b.svg');
+  });
+  
+  test('should return false when nothing matches', async () => {
+    const html = '<!DOCTYPE html><html><head><title>Test</title></head><body></body></html>';
+    const testFile = path.join(TEMP_DIR, 'remove-none.html');
+    await fs.writeFile(testFile, html);
+    
+    expect(await removeFavicon(testFile)).toBe(false);
+    expect(await fs.readFile(testFile, 'utf8')).toBe(html);
+  });
+});
+
+describe('removeDir', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.writeFile(
+      path.join(TEMP_DIR, 'test1.html'), 
+      '<!DOCTYPE html><html><head><title>Test</title></head><body></body></html>'
+    );
+    await fs.mkdir(path.join(TEMP_DIR, 'subdir'), { recursive: true });
+    await fs.writeFile(
+      path.join(TEMP_DIR, 'subdir/test2.html'), 
+      '<!DOCTYPE html><html><head><link rel="icon" href="/a.ico"><link rel="apple-touch-icon" href="/b.png"></head><body></body></html>'
+    );
+  });
+  
+  test('should remove links recursively and report stats', async () => {
+    const stats = await removeDir(TEMP_DIR);
+    
+    expect(stats).toEqual({ total: 2, removed: 1, links: 2, skipped: 1, failed: 0, excluded: {}, notIncluded: 0 });
+    const html = await fs.readFile(path.join(TEMP_DIR, 'subdir/test2.html'), 'utf8');
+    expect(cheerio.load(html)('link').length).toBe(0);
+  });
+  
+  test('should return zeroed stats for non-existent directory', async () => {
+    const stats = await removeDir(path.join(TEMP_DIR, 'non-existent'));
+    
+    expect(stats.total).toBe(0);
+    expect(stats.removed).toBe(0);
+  });
+
+  test('should honour scan options in the filter', async () => {
+    await fs.outputFile(path.join(TEMP_DIR, 'keep.html'), '<html><head><link rel="icon" href="/a.ico"></head></html>');
+    await fs.outputFile(path.join(TEMP_DIR, 'vendor/lib.html'), '<html><head><link rel="icon" href="/b.ico"></head></html>');
+    
+    const stats = await removeDir(TEMP_DIR, { exclude: 'vendor' });
+    
+    expect(stats.removed).toBe(2);
+    expect(stats.excluded).toEqual({ vendor: 1 });
+    expect(await fs.readFile(path.join(TEMP_DIR, 'vendor/lib.html'), 'utf8')).toContain('/b.ico');
+  });
+});
+
+describe('template files', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  test('should inject into templates without touching template syntax', async () => {
+    const files = {
+      'layout.ejs': '<html>\n<head>\n  <%- include("meta", { end: "</head>" }) %>\n</head>\n<body><%= body %></body>\n</html>\n',
+      'layout.hbs': '<html>\n<head>\n  <title>{{title}}</title>\n  {{> styles}}\n</head>\n<body>{{{body}}}</body>\n</html>\n',
+      'base.njk': '<html>\n<head>\n  {% block head %}<title>{{ title }}</title>{% endblock %}\n</head>\n</html>\n',
+      'header.php': '<?php $open = "<head>"; ?>\n<html>\n<head>\n  <title><?= $title ?></title>\n</head>\n</html>\n'
+    };
+    for (const [name, html] of Object.entries(files)) {
+      await fs.writeFile(path.join(TEMP_DIR, name), html);
+    }
+    
+    const stats = await injectDir(TEMP_DIR, { path: '/favicon.ico', extensions: ['ejs', 'hbs', 'njk', 'php'] });
+    
+    expect(stats.injected).toBe(4);
+    for (const [name, html] of Object.entries(files)) {
+      const expected = html.replace('</head>\n</html>', '  <link rel="icon" href="/favicon.ico" type="image/x-icon">\n</head>\n</html>')
+        .replace(/<\/head>\n<body>/, '  <link rel="icon" href="/favicon.ico" type="image/x-icon">\n</head>\n<body>');
+      expect(await fs.readFile(path.join(TEMP_DIR, name), 'utf8')).toBe(expected);
+    }
+  });
+  
+  test('should never reserialize a template', async () => {
+    const testFile = path.join(TEMP_DIR, 'page.hbs');
+    await fs.writeFile(testFile, '<head>{{> meta}}</head>{{#each items}}<p>{{this}}</p>{{/each}}');
+    
+    expect(await injectFavicon(testFile, { path: '/favicon.ico', reserialize: true })).toBe(true);
+    expect(await fs.readFile(testFile, 'utf8'))
+      .toBe('<head>{{> meta}}<link rel="icon" href="/favicon.ico" type="image/x-icon"></head>{{#each items}}<p>{{this}}</p>{{/each}}');
+  });
+  
+  test('should leave files with unknown extensions alone', async () => {
+    const html = '<template><head></head></template>';
+    await fs.writeFile(path.join(TEMP_DIR, 'App.vue'), html);
+    
+    expect(await injectFavicon(path.join(TEMP_DIR, 'App.vue'))).toBe(false);
+    const stats = await injectDir(TEMP_DIR, { extensions: ['html', 'vue'] });
+    
+    expect(stats.total).toBe(0);
+    expect(console.warn).toHaveBeenCalledWith('No handler for .vue files, leaving them alone');
+    expect(await fs.readFile(path.join(TEMP_DIR, 'App.vue'), 'utf8')).toBe(html);
+  });
+});
+
+describe('per-file hrefs', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.outputFile(path.join(TEMP_DIR, 'index.html'), '<html><head></head></html>');
+    await fs.outputFile(path.join(TEMP_DIR, 'blog/post.html'), '<html><head></head></html>');
+    await fs.outputFile(path.join(TEMP_DIR, 'blog/based.html'), '<html><head><base href="/"></head></html>');
+  });
+  
+  // Reads the icon href injected into a file
+  async function hrefOf(relPath) {
+    return cheerio.load(await fs.readFile(path.join(TEMP_DIR, relPath), 'utf8'))('link[rel="icon"]').attr('href');
+  }
+  
+  test('should make hrefs relative to each file under the site root', async () => {
+    const stats = await injectDir(TEMP_DIR, { path: 'assets/icon.png', siteRoot: TEMP_DIR });
+    
+    expect(stats.injected).toBe(3);
+    expect(stats.icons[0]).toMatchObject({ path: 'assets/icon.png', injected: 3 });
+    expect(await hrefOf('index.html')).toBe('assets/icon.png');
+    expect(await hrefOf('blog/post.html')).toBe('../assets/icon.png');
+    expect(await hrefOf('blog/based.html')).toBe('assets/icon.png');
+  });
+  
+  test('should prefix hrefs with the public path', async () => {
+    await injectDir(TEMP_DIR, { path: '/favicon.ico', baseUrl: '/my-project/' });
+    
+    expect(await hrefOf('index.html')).toBe('/my-project/favicon.ico');
+    expect(await hrefOf('blog/post.html')).toBe('/my-project/favicon.ico');
+  });
+  
+  test('should treat a file as up to date when its computed href is present', async () => {
+    const options = { path: 'favicon.ico', siteRoot: TEMP_DIR, mode: 'replace' };
+    await injectDir(TEMP_DIR, options);
+    
+    const stats = await injectDir(TEMP_DIR, options);
+    
+    expect(stats.replaced).toBe(0);
+    expect(stats.skipped).toBe(3);
+  });
+});
+
+describe('cache busting', () => {
+  const html = '<html><head><link rel="icon" href="/favicon.ico?v=old"></head></html>';
+  
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.writeFile(path.join(TEMP_DIR, 'favicon.ico'), 'icon v1');
+    await fs.writeFile(path.join(TEMP_DIR, 'index.html'), html);
+    await fs.outputFile(path.join(TEMP_DIR, 'blog/post.html'), '<html><head></head></html>');
+  });
+  
+  // Reads the icon href of a file
+  async function hrefOf(relPath) {
+    return cheerio.load(await fs.readFile(path.join(TEMP_DIR, relPath), 'utf8'))('link[rel="icon"]').attr('href');
+  }
+  
+  test('should only update hrefs when the icon changes', async () => {
+    const options = { path: '/favicon.ico', cacheBust: true, mode: 'replace' };
+    
+    let stats = await injectDir(TEMP_DIR, options);
+    const first = await hrefOf('index.html');
+    
+    expect(stats).toMatchObject({ replaced: 1, injected: 1 });
+    expect(first).toMatch(/^\/favicon\.ico\?v=[0-9a-f]{8}$/);
+    expect(await hrefOf('blog/post.html')).toBe(first);
+    
+    stats = await injectDir(TEMP_DIR, options);
+    expect(stats).toMatchObject({ replaced: 0, skipped: 2 });
+    
+    await fs.writeFile(path.join(TEMP_DIR, 'favicon.ico'), 'icon v2');
+    stats = await injectDir(TEMP_DIR, options);
+    
+    expect(stats.replaced).toBe(2);
+    expect(await hrefOf('index.html')).not.toBe(first);
+  });
+  
+  test('should link to a hashed copy of the icon', async () => {
+    await injectDir(TEMP_DIR, { path: '/favicon.ico', cacheBust: 'filename' });
+    
+    const href = await hrefOf('blog/post.html');
+    expect(href).toMatch(/^\/favicon\.[0-9a-f]{8}\.ico$/);
+    expect(await fs.readFile(path.join(TEMP_DIR, href), 'utf8')).toBe('icon v1');
+    // Skip mode leaves the existing link alone
+    expect(await fs.readFile(path.join(TEMP_DIR, 'index.html'), 'utf8')).toBe(html);
+  });
+  
+  test('should hash icons relative to the HTML file for single files', async () => {
+    expect(await injectFavicon(path.join(TEMP_DIR, 'index.html'), { path: 'favicon.ico', cacheBust: 'query', mode: 'replace' }))
+      .toBe(true);
+    expect(await hrefOf('index.html')).toMatch(/^favicon\.ico\?v=[0-9a-f]{8}$/);
+  });
+  
+  test('should reject unknown cache-busting modes', async () => {
+    const stats = await injectDir(TEMP_DIR, { cacheBust: 'timestamp' });
+    
+    expect(stats.total).toBe(0);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error scanning directory'), expect.any(Error));
+  });
+});
+
+describe('concurrent processing', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    for (let i = 0; i < 12; i++) {
+      const html = i % 4 === 0
+        ? '<html><head><link rel="icon" href="/old.ico"></head></html>'
+        : '<html><head><title>Page</title></head></html>';
+      await fs.outputFile(path.join(TEMP_DIR, `section${i % 3}`, `page${i}.html`), html);
+    }
+    await fs.writeFile(path.join(TEMP_DIR, '_partial.html'), '<nav></nav>');
+  });
+  
+  // Per-file durations differ from run to run
+  const withoutTimings = stats => ({ ...stats, files: stats.files.map(({ duration, ...entry }) => entry) });
+  
+  test('should report the same stats whatever the concurrency', async () => {
+    const sequential = await injectDir(TEMP_DIR, { path: '/favicon.ico', dryRun: true, concurrency: 1 });
+    const concurrent = await injectDir(TEMP_DIR, { path: '/favicon.ico', dryRun: true, concurrency: 5 });
+    
+    expect(withoutTimings(concurrent)).toEqual(withoutTimings(sequential));
+    expect(concurrent).toMatchObject({ total: 13, injected: 9, skipped: 3, noHead: 1, failed: 0 });
+  });
+  
+  test('should give the same results in worker threads', async () => {
+    const inProcess = await injectDir(TEMP_DIR, { path: '/favicon.ico', dryRun: true });
+    const threaded = await injectDir(TEMP_DIR, { path: '/favicon.ico', dryRun: true, workers: 2 });
+    
+    expect(withoutTimings(threaded)).toEqual(withoutTimings(inProcess));
+  });
+  
+  test('should reject an invalid concurrency', async () => {
+    const stats = await injectDir(TEMP_DIR, { concurrency: 0 });
+    
+    expect(stats.total).toBe(0);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error scanning directory'), expect.any(Error));
+  });
+});
+
+describe('injectFile', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  test('should report the link tags it added', async () => {
+    const testFile = path.join(TEMP_DIR, 'test.html');
+    await fs.writeFile(testFile, '<html><head></head></html>');
+    
+    const result = await injectFile(testFile, { icons: [{ path: '/favicon.svg' }, { path: '/a.png', rel: 'apple-touch-icon' }] });
+    
+    expect(result).toEqual({
+      file: testFile,
+      status: 'injected',
+      reason: 'Favicon links added',
+      error: null,
+      added: [
+        { path: '/favicon.svg', rel: 'icon', type: 'image/svg+xml', sizes: null },
+        { path: '/a.png', rel: 'apple-touch-icon', type: 'image/png', sizes: null }
+      ],
+      tags: [
+        '<link rel="icon" href="/favicon.svg" type="image/svg+xml">',
+        '<link rel="apple-touch-icon" href="/a.png" type="image/png">'
+      ],
+      diff: null
+    });
+  });
+  
+  test('should tell apart why a file was left unchanged', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'present.html'), '<html><head><link rel="icon" href="/x.ico"></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'partial.html'), '<nav></nav>');
+    await fs.mkdir(path.join(TEMP_DIR, 'dir.html'));
+    
+    expect((await injectFile(path.join(TEMP_DIR, 'present.html'))).status).toBe('already-present');
+    expect((await injectFile(path.join(TEMP_DIR, 'partial.html'))).status).toBe('no-head');
+    expect((await injectFile(path.join(TEMP_DIR, 'dir.html'))).status).toBe('not-a-file');
+    
+    const missing = await injectFile(path.join(TEMP_DIR, 'missing.html'));
+    expect(missing.status).toBe('error');
+    expect(missing.error.code).toBe('ENOENT');
+    expect(missing.reason).toBe(missing.error.message);
+  });
+  
+  test('should report replaced links', async () => {
+    const testFile = path.join(TEMP_DIR, 'test.html');
+    await fs.writeFile(testFile, '<html><head><link rel="icon" href="/old.ico"></head></html>');
+    
+    const result = await injectFile(testFile, { path: '/new.ico', mode: 'replace' });
+    
+    expect(result.status).toBe('replaced');
+    expect(result.tags).toEqual(['<link rel="icon" href="/new.ico" type="image/x-icon">']);
+  });
+  
+  test('should count failures from the first parse without reading files again', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, 'ok.html'), '<html><head></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'locked.html'), '<html><head></head></html>');
+    const readFile = fs.readFile;
+    const readSpy = jest.spyOn(fs, 'readFile').mockImplementation((file, ...args) => (
+      String(file).endsWith('locked.html') ? Promise.reject(new Error('EACCES')) : readFile(file, ...args)
+    ));
+    
+    const stats = await injectDir(TEMP_DIR);
+    
+    expect(stats).toMatchObject({ total: 2, injected: 1, failed: 1, skipped: 0 });
+    expect(readSpy.mock.calls.filter(([file]) => String(file).endsWith('.html'))).toHaveLength(2);
+    readSpy.mockRestore();
+  });
+});
+
+describe('progress reporting', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.writeFile(path.join(TEMP_DIR, 'a.html'), '<html><head></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'b.html'), '<html><head><link rel="icon" href="/x.ico"></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'c.html'), '<nav></nav>');
+  });
+  
+  test('should list every file in the stats, in traversal order', async () => {
+    const stats = await injectDir(TEMP_DIR, { diff: true });
+    
+    expect(stats.files.map(entry => [path.basename(entry.file), entry.status, entry.reason])).toEqual([
+      ['a.html', 'injected', 'Favicon links added'],
+      ['b.html', 'already-present', 'Favicon links already present'],
+      ['c.html', 'no-head', 'No <head> tag in the source']
+    ]);
+    stats.files.forEach(entry => {
+      expect(entry.duration).toEqual(expect.any(Number));
+      expect(entry).not.toHaveProperty('diff');
+    });
+    expect(stats.diffs).toHaveLength(1);
+  });
+  
+  test('should call onFile and onProgress once per file', async () => {
+    const onFile = jest.fn();
+    const onProgress = jest.fn();
+    
+    const stats = await injectDir(TEMP_DIR, { onFile, onProgress, concurrency: 1 });
+    
+    expect(onFile.mock.calls.map(([entry]) => entry)).toEqual(stats.files);
+    expect(onProgress.mock.calls.map(([event]) => [event.completed, event.total, path.basename(event.file), event.status])).toEqual([
+      [1, 3, 'a.html', 'injected'],
+      [2, 3, 'b.html', 'already-present'],
+      [3, 3, 'c.html', 'no-head']
+    ]);
+  });
+  
+  test('should keep going when a callback throws', async () => {
+    const stats = await injectDir(TEMP_DIR, { onFile: () => { throw new Error('boom'); } });
+    
+    expect(stats.total).toBe(3);
+    expect(stats.injected).toBe(1);
+    expect(console.error).toHaveBeenCalledWith('Error in callback:', expect.any(Error));
+  });
+  
+  test('should report files processed in worker threads', async () => {
+    const onFile = jest.fn();
+    
+    const stats = await injectDir(TEMP_DIR, { workers: 1, onFile });
+    
+    expect(onFile).toHaveBeenCalledTimes(3);
+    expect(stats.files.map(entry => entry.status)).toEqual(['injected', 'already-present', 'no-head']);
+  });
+});
+
+describe('checking for favicons', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.writeFile(path.join(TEMP_DIR, 'full.html'), '<html><head><link rel="icon" href="/x.ico"><link rel="apple-touch-icon" href="/a.png"></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'basic.html'), '<html><head><link rel="shortcut icon" href="/x.ico"></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'none.html'), '<html><head><title>None</title></head></html>');
+    await fs.writeFile(path.join(TEMP_DIR, 'partial.html'), '<nav></nav>');
+  });
+  
+  test('should list the missing roles of a file', async () => {
+    const result = await checkFile(path.join(TEMP_DIR, 'basic.html'), { roles: ['icon', 'apple-touch-icon'] });
+    
+    expect(result).toMatchObject({ status: 'missing', missing: ['apple-touch-icon'], reason: 'Missing icon roles: apple-touch-icon' });
+    expect((await checkFile(path.join(TEMP_DIR, 'basic.html'))).status).toBe('complete');
+    expect((await checkFile(path.join(TEMP_DIR, 'partial.html'))).status).toBe('no-head');
+  });
+  
+  test('should never modify files', async () => {
+    const before = await fs.readFile(path.join(TEMP_DIR, 'none.html'), 'utf8');
+    
+    await checkDir(TEMP_DIR);
+    
+    expect(await fs.readFile(path.join(TEMP_DIR, 'none.html'), 'utf8')).toBe(before);
+  });
+  
+  test('should fail when more pages than allowed miss roles', async () => {
+    let stats = await checkDir(TEMP_DIR, { roles: ['icon', 'apple-touch-icon'] });
+    
+    expect(stats).toMatchObject({ total: 4, complete: 1, missing: 2, skipped: 1, failed: 0, passed: false });
+    expect(stats.files.filter(result => result.status === 'missing').map(result => path.basename(result.file)).sort())
+      .toEqual(['basic.html', 'none.html']);
+    
+    stats = await checkDir(TEMP_DIR, { roles: ['icon', 'apple-touch-icon'], maxMissing: 2 });
+    expect(stats.passed).toBe(true);
+  });
+
+  test('should fail when there are no pages to check', async () => {
+    await fs.emptyDir(TEMP_DIR);
+    
+    const stats = await checkDir(TEMP_DIR, { maxMissing: 5 });
+    
+    expect(stats).toMatchObject({ total: 0, passed: false });
+    expect(stats.error).toBeUndefined();
+  });
+  
+  test('should reject unknown roles', async () => {
+    const stats = await checkDir(TEMP_DIR, { roles: ['favicon'] });
+    
+    expect(stats.passed).toBe(false);
+    expect(stats.error.message).toContain("Invalid role 'favicon'");
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error scanning directory'), expect.any(Error));
+  });
+});
+
+describe('validating favicons', () => {
+  const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+  
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.outputFile(path.join(TEMP_DIR, 'favicon.png'), PNG);
+    await fs.outputFile(path.join(TEMP_DIR, 'favicon.ico'), PNG);
+    await fs.writeFile(path.join(TEMP_DIR, 'index.html'), '<html><head><link rel="icon" href="favicon.png"></head></html>');
+    await fs.outputFile(path.join(TEMP_DIR, 'blog/post.html'), '<html><head><link rel="icon" href="/favicon.ico"><link rel="apple-touch-icon" href="../touch.png"></head></html>');
+  });
+  
+  test('should validate every icon link of a file', async () => {
+    const result = await validateFile(path.join(TEMP_DIR, 'blog/post.html'), { siteRoot: TEMP_DIR });
+    
+    expect(result.status).toBe('invalid');
+    expect(result.icons.map(icon => icon.problems.map(item => item.problem))).toEqual([['mismatched'], ['broken']]);
+  });
+  
+  test('should add up the problems of a directory without changing files', async () => {
+    const before = await fs.readFile(path.join(TEMP_DIR, 'blog/post.html'), 'utf8');
+    
+    const stats = await validateDir(TEMP_DIR);
+    
+    expect(stats).toMatchObject({ total: 2, icons: 3, valid: 1, broken: 1, mismatched: 1, oversized: 0, failed: 0, passed: false });
+    expect(stats.configured).toEqual([]);
+    expect(await fs.readFile(path.join(TEMP_DIR, 'blog/post.html'), 'utf8')).toBe(before);
+  });
+  
+  test('should validate the configured icons against the site root', async () => {
+    await fs.remove(path.join(TEMP_DIR, 'blog'));
+    
+    const stats = await validateDir(TEMP_DIR, { icons: ['/favicon.png', { path: 'missing.svg' }], maxSize: 5 });
+    
+    expect(stats.configured.map(icon => icon.problems.map(item => item.problem))).toEqual([['oversized'], ['broken']]);
+    expect(stats).toMatchObject({ icons: 3, oversized: 2, broken: 1, passed: false });
+  });
+  
+  test('should pass when every icon is valid', async () => {
+    await fs.remove(path.join(TEMP_DIR, 'blog'));
+    
+    const stats = await validateDir(TEMP_DIR, '/favicon.png');
+    
+    expect(stats.passed).toBe(true);
+    expect(stats.valid).toBe(2);
+  });
+});
+
+describe('icon detection', () => {
+  // A 32x32 PNG header
+  const PNG = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]),
+    Buffer.from('IHDR', 'latin1'),
+    Buffer.from([0x00, 0x00, 0x00, 0x20, 0x00, 0x00, 0x00, 0x20])
+  ]);
+  
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.outputFile(path.join(TEMP_DIR, 'favicon.ico'), PNG);
+    await fs.writeFile(path.join(TEMP_DIR, 'index.html'), '<html><head></head></html>');
+  });
+  
+  test('should link local icons with the type and sizes of the file', async () => {
+    const stats = await injectDir(TEMP_DIR, '/favicon.ico');
+    
+    const html = await fs.readFile(path.join(TEMP_DIR, 'index.html'), 'utf8');
+    expect(html).toContain('<link rel="icon" href="/favicon.ico" type="image/png" sizes="32x32">');
+    expect(stats.icons[0].injected).toBe(1);
+  });
+  
+  test('should keep the type and sizes given in the options', async () => {
+    await injectFavicon(path.join(TEMP_DIR, 'index.html'), { path: 'favicon.ico', type: 'image/x-icon', sizes: '16x16' });
+    
+    const html = await fs.readFile(path.join(TEMP_DIR, 'index.html'), 'utf8');
+    expect(html).toContain('<link rel="icon" href="favicon.ico" type="image/x-icon" sizes="16x16">');
+  });
+  
+  test('should not read icon files with detect: false', async () => {
+    await injectFavicon(path.join(TEMP_DIR, 'index.html'), { path: '/favicon.ico', detect: false });
+    
+    const html = await fs.readFile(path.join(TEMP_DIR, 'index.html'), 'utf8');
+    expect(html).toContain('<link rel="icon" href="/favicon.ico" type="image/x-icon">');
+  });
+});
+
+describe('encodings and line endings', () => {
+  const iconv = require('iconv-lite');
+  
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+  });
+  
+  test('should write legacy pages back in their declared encoding', async () => {
+    const testFile = path.join(TEMP_DIR, 'legacy.html');
+    const html = '<html><head><meta charset="windows-1252"><title>Café</title></head></html>';
+    await fs.writeFile(testFile, iconv.encode(html, 'windows-1252'));
+    
+    await injectFavicon(testFile, '/favicon.ico');
+    
+    const expected = html.replace('</head>', '<link rel="icon" href="/favicon.ico" type="image/x-icon"></head>');
+    expect((await fs.readFile(testFile)).equals(iconv.encode(expected, 'windows-1252'))).toBe(true);
+  });
+  
+  test('should keep a BOM exactly once, also when reserializing', async () => {
+    const testFile = path.join(TEMP_DIR, 'bom.html');
+    await fs.writeFile(testFile, '\uFEFF<html><head></head><body></body></html>');
+    
+    await injectFavicon(testFile, { path: '/favicon.ico', reserialize: true });
+    
+    const output = await fs.readFile(testFile, 'utf8');
+    expect(output.startsWith('\uFEFF<html>')).toBe(true);
+    expect(output.lastIndexOf('\uFEFF')).toBe(0);
+  });
+  
+  test('should keep CRLF line endings when reserializing', async () => {
+    const testFile = path.join(TEMP_DIR, 'crlf.html');
+    await fs.writeFile(testFile, '<html>\r\n<head>\r\n<title>T</title>\r\n</head>\r\n<body></body>\r\n</html>');
+    
+    await injectFavicon(testFile, { path: '/favicon.ico', reserialize: true });
+    
+    const output = await fs.readFile(testFile, 'utf8');
+    expect(output).toContain('<link rel="icon"');
+    expect(output.replace(/\r\n/g, '')).not.toContain('\n');
+  });
+  
+  test('should read undeclared files with the fallback encoding', async () => {
+    const testFile = path.join(TEMP_DIR, 'plain.html');
+    await fs.writeFile(testFile, iconv.encode('<html><head><title>Ünïcödé</title></head></html>', 'latin1'));
+    
+    await injectFavicon(testFile, { path: '/favicon.ico', fallbackEncoding: 'latin1' });
+    
+    const output = iconv.decode(await fs.readFile(testFile), 'latin1');
+    expect(output).toBe('<html><head><title>Ünïcödé</title><link rel="icon" href="/favicon.ico" type="image/x-icon"></head></html>');
+  });
+});
+
+describe('backups and undo', () => {
+  const page = () => path.join(TEMP_DIR, 'index.html');
+  const nested = () => path.join(TEMP_DIR, 'docs', 'page.html');
+  const original = '<html><head><title>Test</title></head><body></body></html>';
+  
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.writeFile(page(), original);
+    await fs.outputFile(nested(), original);
+  });
+  
+  test('should restore a whole run with undoLastRun', async () => {
+    const stats = await injectDir(TEMP_DIR, { path: '/favicon.ico', backup: 'journal' });
+    
+    expect(stats.injected).toBe(2);
+    expect(path.dirname(stats.journal)).toBe(path.join(TEMP_DIR, '.favicon-journal'));
+    expect(await fs.readFile(page(), 'utf8')).toContain('<link rel="icon"');
+    
+    const undo = await undoLastRun(TEMP_DIR);
+    
+    expect(undo).toMatchObject({ run: path.basename(stats.journal), total: 2, restored: 2, failed: 0 });
+    expect(await fs.readFile(page(), 'utf8')).toBe(original);
+    expect(await fs.readFile(nested(), 'utf8')).toBe(original);
+    expect((await undoLastRun(TEMP_DIR)).run).toBeNull();
+  });
+  
+  test('should back up in worker threads too', async () => {
+    const stats = await injectDir(TEMP_DIR, { path: '/favicon.ico', backup: true, workers: 1 });
+    
+    expect(stats.injected).toBe(2);
+    expect((await undoLastRun(TEMP_DIR)).restored).toBe(2);
+    expect(await fs.readFile(nested(), 'utf8')).toBe(original);
+  });
+  
+  test('should undo removals and keep one run per command', async () => {
+    await injectDir(TEMP_DIR, { path: '/favicon.ico', backup: 'journal' });
+    const injected = await fs.readFile(page(), 'utf8');
+    const stats = await removeDir(TEMP_DIR, { backup: 'journal' });
+    
+    expect(stats.removed).toBe(2);
+    expect(stats.journal).toBeDefined();
+    
+    await undoLastRun(TEMP_DIR);
+    expect(await fs.readFile(page(), 'utf8')).toBe(injected);
+    await undoLastRun(TEMP_DIR);
+    expect(await fs.readFile(page(), 'utf8')).toBe(original);
+  });
+  
+  test('should not start a journal run for dry runs or unchanged files', async () => {
+    await injectDir(TEMP_DIR, { path: '/favicon.ico', backup: 'journal', dryRun: true });
+    await injectDir(TEMP_DIR, { path: '/favicon.ico' });
+    const stats = await injectDir(TEMP_DIR, { path: '/favicon.ico', backup: 'journal' });
+    
+    expect(stats.journal).toBeUndefined();
+    expect(await fs.readdir(path.join(TEMP_DIR, '.favicon-journal'))).toEqual([]);
+  });
+  
+  test('should keep the journal in journalDir', async () => {
+    const journalDir = path.join(__dirname, 'temp-journal-dir');
+    
+    try {
+      await injectFavicon(page(), { path: '/favicon.ico', backup: 'journal', journalDir });
+      
+      expect(await fs.pathExists(path.join(TEMP_DIR, '.favicon-journal'))).toBe(false);
+      expect((await undoLastRun(TEMP_DIR, { journalDir })).restored).toBe(1);
+      expect(await fs.readFile(page(), 'utf8')).toBe(original);
+    } finally {
+      await fs.remove(journalDir);
+    }
+  });
+  
+  test('should write .bak files', async () => {
+    await injectFavicon(page(), { path: '/favicon.ico', backup: 'bak' });
+    
+    expect(await fs.readFile(`${page()}.bak`, 'utf8')).toBe(original);
+    expect(await fs.readFile(page(), 'utf8')).toContain('<link rel="icon"');
+  });
+  
+  test('should reject unknown backup modes before touching any file', async () => {
+    const stats = await injectDir(TEMP_DIR, { path: '/favicon.ico', backup: 'zip' });
+    
+    expect(stats.total).toBe(0);
+    expect(console.error).toHaveBeenCalledWith(`Error scanning directory ${TEMP_DIR}:`, expect.any(Error));
+    expect(await fs.readFile(page(), 'utf8')).toBe(original);
+  });
+});
+
+describe('in-memory HTML', () => {
+  const page = '<html><head><title>Test</title></head><body></body></html>';
+  
+  test('should inject into a string and report what changed', () => {
+    const result = injectHtml(page, { icons: [{ path: '/favicon.svg' }, { path: '/touch.png', rel: 'apple-touch-icon', sizes: '180x180' }] });
+    
+    expect(result.status).toBe('injected');
+    expect(result.reason).toBe('Favicon links added');
+    expect(result.added.map(icon => icon.path)).toEqual(['/favicon.svg', '/touch.png']);
+    expect(result.html).toBe('<html><head><title>Test</title>'
+      + '<link rel="icon" href="/favicon.svg" type="image/svg+xml">'
+      + '<link rel="apple-touch-icon" href="/touch.png" type="image/png" sizes="180x180"></head><body></body></html>');
+  });
+  
+  test('should return the source untouched when nothing changes', () => {
+    const html = '<html><head><link rel="icon" href="/old.ico"></head></html>';
+    
+    expect(injectHtml(html, '/favicon.ico')).toEqual({
+      html,
+      status: 'already-present',
+      reason: 'Favicon links already present',
+      added: [],
+      tags: []
+    });
+    expect(injectHtml('<div>partial</div>', '/favicon.ico')).toMatchObject({ html: '<div>partial</div>', status: 'no-head' });
+  });
+  
+  test('should apply modes and per-page hrefs', () => {
+    const html = '<html><head><link rel="icon" href="/old.ico"></head></html>';
+    
+    const replaced = injectHtml(html, { path: '/new.ico', mode: 'replace' });
+    expect(replaced.status).toBe('replaced');
+    expect(replaced.html).toBe('<html><head><link rel="icon" href="/new.ico" type="image/x-icon"></head></html>');
+    
+    const nested = injectHtml(page, { path: '/favicon.ico', siteRoot: '/site', filePath: '/site/docs/guide/index.html' });
+    expect(nested.html).toContain('href="../../favicon.ico"');
+    expect(injectHtml(page, { path: '/favicon.ico', publicPath: '/app/' }).html).toContain('href="/app/favicon.ico"');
+  });
+  
+  test('should leave template tags alone', () => {
+    const html = '<html><head><title><%= title %></title></head><body></body></html>';
+    
+    const result = injectHtml(html, { path: '/favicon.ico', template: 'ejs' });
+    expect(result.html).toBe('<html><head><title><%= title %></title><link rel="icon" href="/favicon.ico" type="image/x-icon"></head><body></body></html>');
+    expect(injectHtml(html, { path: '/favicon.ico', filePath: 'layout.ejs' }).html).toBe(result.html);
+  });
+  
+  test('should throw on invalid options', () => {
+    expect(() => injectHtml(page, { mode: 'upsert' })).toThrow("Invalid mode 'upsert'");
+    expect(() => injectHtml(page, { template: 'pug' })).toThrow("Unknown template 'pug'");
+  });
+  
+  test('should list the favicon links of a string', () => {
+    const html = '<head><link rel="stylesheet" href="/a.css"><link rel="shortcut icon" href="/favicon.ico">'
+      + '<link rel="apple-touch-icon" href="/touch.png" sizes="180x180"></head>';
+    
+    expect(detectFavicons(html)).toEqual([
+      { role: 'icon', rel: 'shortcut icon', href: '/favicon.ico', type: null, sizes: null },
+      { role: 'apple-touch-icon', rel: 'apple-touch-icon', href: '/touch.png', type: null, sizes: '180x180' }
+    ]);
+    expect(detectFavicons('{{!-- <link rel="icon" href="/x.ico"> --}}<head></head>', { template: 'handlebars' })).toEqual([]);
+  });
+});
+
+describe('validateOptions', () => {
+  test('should accept valid options of every form', () => {
+    const options = { icons: [{ path: '/favicon.svg' }], mode: 'merge', cacheBust: true, concurrency: 4, workers: 2, fallbackEncoding: 'windows-1252' };
+
+    expect(validateOptions(options)).toBe(options);
+    expect(validateOptions('/favicon.ico')).toBe('/favicon.ico');
+    expect(validateOptions([{ path: '/favicon.ico' }])).toEqual([{ path: '/favicon.ico' }]);
+  });
+
+  test.each([
+    [{ mode: 'upsert' }, "Invalid mode 'upsert'"],
+    [{ noHead: 'append' }, "Invalid noHead policy 'append'"],
+    [{ cacheBust: 'bogus' }, "Invalid cacheBust mode 'bogus'"],
+    [{ concurrency: -1 }, "Invalid concurrency '-1'"],
+    [{ workers: 'many' }, "Invalid workers 'many'"],
+    [{ backup: 'tape' }, "Invalid backup mode 'tape'"],
+    [{ fallbackEncoding: 'nope' }, "Invalid fallbackEncoding 'nope'"],
+    [{ maxSize: 0 }, "Invalid maxSize '0'"],
+    [{ template: 'jsx' }, "Unknown template 'jsx'"],
+    [{ siteRoot: 42 }, "Invalid siteRoot '42'"]
+  ])('should reject %p', (options, message) => {
+    expect(() => validateOptions(options)).toThrow(message);
+  });
+});
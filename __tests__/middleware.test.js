@@ -0,0 +1,165 @@
+'use strict';
+
+const http = require('http');
+const zlib = require('zlib');
+const iconv = require('iconv-lite');
+const { faviconMiddleware } = require('../lib/middleware');
+
+const PAGE = '<html><head><title>Test</title></head><body></body></html>';
+const LINK = '<link rel="icon" href="/favicon.ico" type="image/x-icon">';
+
+let server;
+
+/**
+ * Starts a server that runs the middleware before the handler
+ * @param {Function} handler - Request handler
+ * @param {Object|Array|string} options - Middleware options
+ * @returns {Promise<number>} - Port the server listens on
+ */
+function serve(handler, options = '/favicon.ico') {
+  const middleware = faviconMiddleware(options);
+  server = http.createServer((req, res) => middleware(req, res, () => handler(req, res)));
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+/**
+ * Fetches a path from the test server
+ * @param {number} port - Server port
+ * @param {Object} [options] - Request options
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>} - Response
+ */
+function request(port, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: '/', agent: false, ...options }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+afterEach(done => {
+  if (server) {
+    server.close(done);
+    server = null;
+  } else {
+    done();
+  }
+});
+
+describe('faviconMiddleware', () => {
+  test('should inject into HTML sent with res.end', async () => {
+    const port = await serve((req, res) => {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.setHeader('Content-Length', Buffer.byteLength(PAGE));
+      res.setHeader('ETag', '"abc"');
+      res.end(PAGE);
+    });
+
+    const response = await request(port);
+
+    const expected = PAGE.replace('</head>', `${LINK}</head>`);
+    expect(response.body.toString()).toBe(expected);
+    expect(response.headers['content-length']).toBe(String(Buffer.byteLength(expected)));
+    expect(response.headers.etag).toBeUndefined();
+  });
+
+  test('should collect chunked writes and headers given to writeHead', async () => {
+    const port = await serve((req, res) => {
+      res.writeHead(200, 'Fine', { 'Content-Type': 'text/html' });
+      res.write('<html><he');
+      res.write(Buffer.from('ad><title>Test</title></head>'));
+      res.end('<body></body></html>');
+    });
+
+    const response = await request(port);
+
+    expect(response.status).toBe(200);
+    expect(response.body.toString()).toBe(PAGE.replace('</head>', `${LINK}</head>`));
+  });
+
+  test.each(['gzip', 'deflate', 'br'])('should inject into %s compressed pages', async coding => {
+    const compress = { gzip: zlib.gzipSync, deflate: zlib.deflateSync, br: zlib.brotliCompressSync }[coding];
+    const decompress = { gzip: zlib.gunzipSync, deflate: zlib.inflateSync, br: zlib.brotliDecompressSync }[coding];
+    const port = await serve((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': coding });
+      res.end(compress(Buffer.from(PAGE)));
+    });
+
+    const response = await request(port);
+
+    expect(response.headers['content-encoding']).toBe(coding);
+    expect(decompress(response.body).toString()).toBe(PAGE.replace('</head>', `${LINK}</head>`));
+  });
+
+  test('should keep the charset of the response', async () => {
+    const page = '<html><head><title>Café</title></head></html>';
+    const port = await serve((req, res) => {
+      res.setHeader('Content-Type', 'text/html; charset=windows-1252');
+      res.end(iconv.encode(page, 'windows-1252'));
+    });
+
+    const response = await request(port);
+
+    expect(iconv.decode(response.body, 'windows-1252')).toBe(page.replace('</head>', `${LINK}</head>`));
+  });
+
+  test('should keep every value of a header repeated in a writeHead array', async () => {
+    const port = await serve((req, res) => {
+      const type = req.url === '/data.json' ? 'application/json' : 'text/html';
+      res.writeHead(200, ['Content-Type', type, 'Set-Cookie', 'a=1', 'Set-Cookie', 'b=2']);
+      res.end(req.url === '/data.json' ? '{}' : PAGE);
+    });
+
+    const json = await request(port, { path: '/data.json' });
+    const html = await request(port);
+
+    expect(json.headers['set-cookie']).toEqual(['a=1', 'b=2']);
+    expect(html.headers['set-cookie']).toEqual(['a=1', 'b=2']);
+    expect(html.body.toString()).toBe(PAGE.replace('</head>', `${LINK}</head>`));
+  });
+
+  test('should pass other responses through untouched', async () => {
+    const port = await serve((req, res) => {
+      if (req.url === '/data.json') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{"head":"</head>"}');
+      } else {
+        res.setHeader('Content-Type', 'text/html');
+        res.setHeader('Content-Encoding', 'zstd');
+        res.end('not really zstd </head>');
+      }
+    });
+
+    expect((await request(port, { path: '/data.json' })).body.toString()).toBe('{"head":"</head>"}');
+    expect((await request(port)).body.toString()).toBe('not really zstd </head>');
+  });
+
+  test('should leave pages that already have a favicon alone', async () => {
+    const page = '<html><head><link rel="shortcut icon" href="/old.ico"></head></html>';
+    const port = await serve((req, res) => {
+      res.setHeader('Content-Type', 'text/html');
+      res.end(page);
+    });
+
+    expect((await request(port)).body.toString()).toBe(page);
+  });
+
+  test('should inject the configured icon set', async () => {
+    const port = await serve((req, res) => {
+      res.setHeader('Content-Type', 'text/html');
+      res.end(PAGE);
+    }, { icons: [{ path: '/favicon.svg' }, { path: '/touch.png', rel: 'apple-touch-icon' }] });
+
+    const body = (await request(port)).body.toString();
+    expect(body).toContain('<link rel="icon" href="/favicon.svg" type="image/svg+xml">');
+    expect(body).toContain('<link rel="apple-touch-icon" href="/touch.png" type="image/png">');
+  });
+
+  test('should reject invalid options when it is created', () => {
+    expect(() => faviconMiddleware({ mode: 'upsert' })).toThrow("Invalid mode 'upsert'");
+    expect(() => faviconMiddleware({ concurrency: -1 })).toThrow("Invalid concurrency '-1'");
+  });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const path = require('path');
+const { escapeXml, getProblem, formatReport } = require('../lib/reporters');
+
+const ROOT = path.resolve('/site');
+
+// Stats as injectDir reports them for a dry run over three pages
+function dryRunStats() {
+  const error = new Error('EACCES: permission denied');
+  return {
+    total: 4,
+    injected: 1,
+    replaced: 0,
+    skipped: 1,
+    noHead: 1,
+    failed: 1,
+    excluded: {},
+    notIncluded: 0,
+    icons: [{ path: '/favicon.ico', rel: 'icon', type: 'image/x-icon', sizes: null, injected: 1 }],
+    files: [
+      { file: path.join(ROOT, 'index.html'), status: 'injected', reason: 'Favicon links added', error: null, added: [], tags: ['<link rel="icon" href="/favicon.ico">'], duration: 2 },
+      { file: path.join(ROOT, 'about.html'), status: 'already-present', reason: 'Favicon links already present', error: null, added: [], tags: [], duration: 1 },
+      { file: path.join(ROOT, 'partials/nav.html'), status: 'no-head', reason: 'No <head> tag in the source', error: null, added: [], tags: [], duration: 1 },
+      { file: path.join(ROOT, 'locked.html'), status: 'error', reason: error.message, error, added: [], tags: [], duration: 0 }
+    ],
+    diffs: []
+  };
+}
+
+const CONTEXT = { root: ROOT, dryRun: true, name: 'inject-favicon', version: '1.0.0' };
+
+describe('getProblem', () => {
+  test('should flag pages that would change only in a dry run', () => {
+    const [injected, present] = dryRunStats().files;
+    
+    expect(getProblem(injected, true)).toMatchObject({ rule: 'missing-favicon', level: 'warning' });
+    expect(getProblem(injected, false)).toBeNull();
+    expect(getProblem(present, true)).toBeNull();
+  });
+  
+  test('should flag errors as errors', () => {
+    const failed = dryRunStats().files[3];
+    
+    expect(getProblem(failed, false)).toEqual({ rule: 'processing-error', level: 'error', message: 'EACCES: permission denied' });
+  });
+});
+
+describe('escapeXml', () => {
+  test('should escape markup characters', () => {
+    expect(escapeXml('<a href="x">&\'')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&apos;');
+  });
+});
+
+describe('formatReport', () => {
+  test('should print the text summary', () => {
+    const report = formatReport('text', dryRunStats(), CONTEXT);
+    
+    expect(report).toContain('Dry run completed, no files were written.');
+    expect(report).toContain('Total HTML files found: 4');
+    expect(report).toContain('Files failed to inject: 1');
+  });
+  
+  test('should write the summary and relative file paths as JSON', () => {
+    const report = JSON.parse(formatReport('json', dryRunStats(), CONTEXT));
+    
+    expect(report.summary).toMatchObject({ total: 4, injected: 1, failed: 1 });
+    expect(report.summary).not.toHaveProperty('files');
+    expect(report.files.map(entry => entry.file)).toEqual(['index.html', 'about.html', 'partials/nav.html', 'locked.html']);
+    expect(report.files[3].error).toBe('EACCES: permission denied');
+  });
+  
+  test('should write one JUnit test case per file', () => {
+    const report = formatReport('junit', dryRunStats(), CONTEXT);
+    
+    expect(report).toContain('<testsuite name="inject-favicon" tests="4" failures="1" errors="1" skipped="1" time="0.004">');
+    expect(report).toContain('<testcase name="index.html" classname="inject-favicon" time="0.002">\n      <failure message="Missing favicon links: &lt;link rel=&quot;icon&quot; href=&quot;/favicon.ico&quot;&gt;" type="missing-favicon"/>');
+    expect(report).toContain('<testcase name="about.html" classname="inject-favicon" time="0.001"/>');
+    expect(report).toContain('<skipped message="No &lt;head&gt; tag in the source"/>');
+    expect(report).toContain('<error message="EACCES: permission denied" type="processing-error"/>');
+  });
+  
+  test('should write SARIF results for problems only', () => {
+    const log = JSON.parse(formatReport('sarif', dryRunStats(), CONTEXT));
+    const [run] = log.runs;
+    
+    expect(log.version).toBe('2.1.0');
+    expect(run.tool.driver).toMatchObject({ name: 'inject-favicon', version: '1.0.0' });
+    expect(run.results.map(result => [result.ruleId, result.level, result.locations[0].physicalLocation.artifactLocation.uri])).toEqual([
+      ['missing-favicon', 'warning', 'index.html'],
+      ['processing-error', 'error', 'locked.html']
+    ]);
+    expect(run.results[0].ruleIndex).toBe(run.tool.driver.rules.findIndex(rule => rule.id === 'missing-favicon'));
+    expect(run.originalUriBaseIds.SRCROOT.uri).toMatch(/^file:\/\/.*\/$/);
+  });
+  
+  test('should reject an unknown reporter', () => {
+    expect(() => formatReport('xml', dryRunStats(), CONTEXT)).toThrow("Unknown reporter 'xml'");
+  });
+});
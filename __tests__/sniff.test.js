@@ -0,0 +1,158 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { sniffType, readImageInfo, canonicalType, sniffFile, detectIcon } = require('../lib/sniff');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-sniff-dir');
+
+// Minimal headers of each format, with the given dimensions
+function png(width, height) {
+  const header = Buffer.alloc(24);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]).copy(header);
+  header.write('IHDR', 12, 'latin1');
+  header.writeUInt32BE(width, 16);
+  header.writeUInt32BE(height, 20);
+  return header;
+}
+
+function ico(...sizes) {
+  const header = Buffer.alloc(6 + sizes.length * 16);
+  header.writeUInt16LE(1, 2);
+  header.writeUInt16LE(sizes.length, 4);
+  sizes.forEach((size, i) => {
+    header[6 + i * 16] = size % 256;
+    header[7 + i * 16] = size % 256;
+  });
+  return header;
+}
+
+function gif(width, height) {
+  const header = Buffer.alloc(10);
+  header.write('GIF89a', 0, 'latin1');
+  header.writeUInt16LE(width, 6);
+  header.writeUInt16LE(height, 8);
+  return header;
+}
+
+function webp(width, height) {
+  const header = Buffer.alloc(30);
+  header.write('RIFF', 0, 'latin1');
+  header.write('WEBPVP8X', 8, 'latin1');
+  header.writeUIntLE(width - 1, 24, 3);
+  header.writeUIntLE(height - 1, 27, 3);
+  return header;
+}
+
+function avif(width, height) {
+  const header = Buffer.alloc(64);
+  header.writeUInt32BE(24, 0);
+  header.write('ftypavif', 4, 'latin1');
+  header.write('ispe', 40, 'latin1');
+  header.writeUInt32BE(width, 48);
+  header.writeUInt32BE(height, 52);
+  return header;
+}
+
+describe('sniffType', () => {
+  test('should recognise binary image formats from their magic bytes', () => {
+    expect(sniffType(Buffer.from([0x00, 0x00, 0x01, 0x00, 0x01, 0x00]))).toBe('image/x-icon');
+    expect(sniffType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]))).toBe('image/png');
+    expect(sniffType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(sniffType(Buffer.from('GIF89a\x01\x00', 'latin1'))).toBe('image/gif');
+    expect(sniffType(Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1'))).toBe('image/webp');
+  });
+  
+  test('should recognise SVG after a declaration, doctype and comments', () => {
+    const svg = '\uFEFF<?xml version="1.0"?>\n<!-- logo -->\n<!DOCTYPE svg>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>';
+    
+    expect(sniffType(Buffer.from(svg))).toBe('image/svg+xml');
+    expect(sniffType(Buffer.from('<html><body><svg></svg></body></html>'))).toBeNull();
+  });
+  
+  test('should not recognise other contents', () => {
+    expect(sniffType(Buffer.from('<!DOCTYPE html><title>404</title>'))).toBeNull();
+    expect(sniffType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe('readImageInfo', () => {
+  test('should read the dimensions of raster formats', () => {
+    expect(readImageInfo(png(180, 180))).toEqual({ type: 'image/png', sizes: '180x180' });
+    expect(readImageInfo(gif(16, 16))).toEqual({ type: 'image/gif', sizes: '16x16' });
+    expect(readImageInfo(webp(192, 192))).toEqual({ type: 'image/webp', sizes: '192x192' });
+    expect(readImageInfo(avif(512, 512))).toEqual({ type: 'image/avif', sizes: '512x512' });
+  });
+  
+  test('should list every size of a multi-resolution ICO, smallest first', () => {
+    expect(readImageInfo(ico(48, 16, 32, 16))).toEqual({ type: 'image/x-icon', sizes: '16x16 32x32 48x48' });
+    expect(readImageInfo(ico(256))).toEqual({ type: 'image/x-icon', sizes: '256x256' });
+  });
+  
+  test('should give SVG any size and unknown files none', () => {
+    expect(readImageInfo(Buffer.from('<svg viewBox="0 0 32 32"></svg>'))).toEqual({ type: 'image/svg+xml', sizes: 'any' });
+    expect(readImageInfo(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toEqual({ type: 'image/jpeg', sizes: null });
+    expect(readImageInfo(Buffer.from('not an image'))).toEqual({ type: null, sizes: null });
+  });
+});
+
+describe('canonicalType', () => {
+  test('should treat aliases of a format as equal', () => {
+    expect(canonicalType('image/vnd.microsoft.icon')).toBe('image/x-icon');
+    expect(canonicalType(' IMAGE/JPG ')).toBe('image/jpeg');
+    expect(canonicalType(null)).toBeNull();
+  });
+});
+
+describe('sniffFile', () => {
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  test('should report the size and format of a file', async () => {
+    const file = path.join(TEMP_DIR, 'favicon.ico');
+    await fs.outputFile(file, Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(2000)]));
+    
+    expect(await sniffFile(file)).toEqual({ size: 2008, type: 'image/png', sizes: null });
+  });
+});
+
+describe('detectIcon', () => {
+  beforeAll(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.outputFile(path.join(TEMP_DIR, 'favicon.ico'), ico(16, 32));
+    await fs.outputFile(path.join(TEMP_DIR, 'img/icon.ico'), png(32, 32));
+  });
+  
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  // Builds the detection settings for the test site
+  function context(extra = {}) {
+    return { root: TEMP_DIR, keepType: false, keepSizes: false, cache: new Map(), ...extra };
+  }
+  
+  test('should fill in the sizes and real type of a local icon', async () => {
+    const icon = { path: '/favicon.ico', rel: 'icon', type: 'image/x-icon', sizes: null };
+    
+    expect(await detectIcon(icon, context())).toEqual({ ...icon, sizes: '16x16 32x32' });
+    expect(await detectIcon({ ...icon, path: 'img/icon.ico?v=2' }, context())).toMatchObject({ type: 'image/png', sizes: '32x32' });
+  });
+  
+  test('should keep values given explicitly', async () => {
+    const icon = { path: '/img/icon.ico', rel: 'icon', type: 'image/x-icon', sizes: '64x64' };
+    
+    expect(await detectIcon(icon, context({ keepType: true, keepSizes: true }))).toBe(icon);
+    expect(await detectIcon(icon, context({ keepSizes: true }))).toEqual({ ...icon, type: 'image/png' });
+  });
+  
+  test('should leave missing files and full URLs alone', async () => {
+    const missing = { path: '/missing.png', rel: 'icon', type: 'image/png', sizes: null };
+    const remote = { path: 'https://cdn.example.com/favicon.ico', rel: 'icon', type: 'image/x-icon', sizes: null };
+    
+    expect(await detectIcon(missing, context())).toBe(missing);
+    expect(await detectIcon(remote, context())).toBe(remote);
+  });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+const iconv = require('iconv-lite');
+const { createInjectStream, findHeadEnd } = require('../lib/stream');
+const { injectFavicon } = require('../lib/injector');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-stream-dir');
+const PNG = Buffer.from('89504e470d0a1a0a0000000d494844520000002000000020', 'hex');
+const PAGE = '<html><head><title>Test</title></head><body></body></html>';
+const LINK = '<link rel="icon" href="/favicon.ico" type="image/x-icon">';
+
+/**
+ * Writes chunks to a stream and collects what comes out
+ * @param {Transform} stream - Stream under test
+ * @param {Array} chunks - Chunks to write
+ * @returns {Promise<Array>} - Chunks read from the stream
+ */
+function run(stream, chunks) {
+  return new Promise((resolve, reject) => {
+    const output = [];
+    stream.on('data', chunk => output.push(chunk));
+    stream.on('end', () => resolve(output));
+    stream.on('error', reject);
+    for (const chunk of chunks) {
+      stream.write(chunk);
+    }
+    stream.end();
+  });
+}
+
+/**
+ * Reads a stream to the end
+ * @param {Readable} stream - Byte stream
+ * @returns {Promise<Buffer>} - Its contents
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+beforeEach(async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await fs.emptyDir(TEMP_DIR);
+  await fs.writeFile(path.join(TEMP_DIR, 'icon.png'), PNG);
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+afterAll(async () => {
+  await fs.remove(TEMP_DIR);
+});
+
+describe('createInjectStream with files', () => {
+  test('should inject into HTML files like injectFavicon', async () => {
+    const testFile = path.join(TEMP_DIR, 'docs', 'index.html');
+    const options = { path: '/icon.png', siteRoot: TEMP_DIR };
+    await fs.outputFile(testFile, PAGE);
+    await injectFavicon(testFile, options);
+
+    const file = { path: testFile, base: TEMP_DIR, contents: Buffer.from(PAGE) };
+    const [output] = await run(createInjectStream(options), [file]);
+
+    expect(output).toBe(file);
+    expect(file.contents.toString()).toBe(await fs.readFile(testFile, 'utf8'));
+    expect(file.contents.toString()).toContain('<link rel="icon" href="../icon.png" type="image/png" sizes="32x32">');
+  });
+
+  test('should look up icons from the base of the files', async () => {
+    const file = { path: path.join(TEMP_DIR, 'blog', 'post.html'), base: TEMP_DIR, contents: Buffer.from(PAGE) };
+
+    await run(createInjectStream('/icon.png'), [file]);
+
+    expect(file.contents.toString()).toContain('<link rel="icon" href="/icon.png" type="image/png" sizes="32x32">');
+  });
+
+  test('should pass other files through untouched', async () => {
+    const style = { path: path.join(TEMP_DIR, 'style.css'), contents: Buffer.from('</head>') };
+    const folder = { path: path.join(TEMP_DIR, 'docs'), contents: null };
+    const partial = { path: path.join(TEMP_DIR, 'nav.html'), contents: Buffer.from('<nav></nav>') };
+
+    const output = await run(createInjectStream(), [style, folder, partial]);
+
+    expect(output).toEqual([style, folder, partial]);
+    expect(style.contents.toString()).toBe('</head>');
+    expect(partial.contents.toString()).toBe('<nav></nav>');
+    expect(console.warn).toHaveBeenCalledWith(`No <head> tag found in ${partial.path}`);
+  });
+
+  test('should transform streamed file contents', async () => {
+    const file = { path: path.join(TEMP_DIR, 'index.html'), base: TEMP_DIR, contents: Readable.from([Buffer.from(PAGE)]) };
+
+    await run(createInjectStream(), [file]);
+
+    expect((await readAll(file.contents)).toString()).toBe(PAGE.replace('</head>', `${LINK}</head>`));
+  });
+});
+
+describe('createInjectStream with bytes', () => {
+  test.each([
+    ['a closed head', '<!DOCTYPE html>\n<html>\n  <head>\n    <title>x</title>\n  </head>\n  <body><p>hi</p></body>\n</html>\n'],
+    ['an implicitly closed head', '<html><head><title>x</title>\n<div>body</div></html>'],
+    ['markup inside scripts and comments', '<html><head><script>var s = "</head><body>";</script><!-- </head> --></head><body></body></html>'],
+    ['an existing favicon', '<html>\r\n<head>\r\n<link rel="shortcut icon" href="/old.ico">\r\n</head>\r\n<body></body></html>'],
+    ['no head tags', '<!doctype html><title>x</title><body>hi</body>'],
+    ['an html tag but no head tag', '<!DOCTYPE html>\n<html lang="en">\n<title>x</title>\n<p>hi</p>\n</html>\n'],
+    ['text ending the implied head', '\uFEFF<html><meta charset="utf-8"><?xml-stylesheet href="a"?>Hello <b>world</b></html>'],
+    ['a fragment', '<meta charset="utf-8">\n<p>hi</p>\n']
+  ])('should match injectFavicon on a page with %s', async (name, page) => {
+    const testFile = path.join(TEMP_DIR, 'index.html');
+    const options = { path: '/icon.png', mode: 'replace', noHead: 'create-head' };
+    await fs.writeFile(testFile, page);
+    await injectFavicon(testFile, options);
+
+    // One character at a time, so every token is split across chunks
+    const output = await run(createInjectStream({ ...options, objectMode: false, filePath: testFile }), page.split(''));
+
+    expect(Buffer.concat(output).toString()).toBe(await fs.readFile(testFile, 'utf8'));
+  });
+
+  test('should send the head on before the document ends', async () => {
+    const stream = createInjectStream({ objectMode: false });
+    const head = new Promise(resolve => stream.once('data', resolve));
+
+    stream.write('<html><head><title>Test</title></he');
+    stream.write('ad><body><p>');
+
+    expect((await head).toString()).toBe(`<html><head><title>Test</title>${LINK}</head>`);
+    const rest = run(stream, ['</p></body></html>']);
+    expect(Buffer.concat(await rest).toString()).toBe('<body><p></p></body></html>');
+  });
+
+  test('should send the implied head on before the document ends', async () => {
+    const stream = createInjectStream({ objectMode: false });
+    const head = new Promise(resolve => stream.once('data', resolve));
+
+    stream.write('<!DOCTYPE html><html lang="en"><title>Home</title>');
+    stream.write('<bo');
+    stream.write('dy><p>');
+
+    expect((await head).toString()).toBe(`<!DOCTYPE html><html lang="en"><title>Home</title>${LINK}`);
+    const rest = run(stream, ['</p></body></html>']);
+    expect(Buffer.concat(await rest).toString()).toBe('<body><p></p></body></html>');
+  });
+
+  test('should keep the encoding of the document', async () => {
+    const page = '<html><head><meta charset="windows-1252"><title>Café</title></head><body>Déjà vu</body></html>';
+
+    const output = await run(createInjectStream({ objectMode: false }), [iconv.encode(page, 'windows-1252')]);
+
+    expect(iconv.decode(Buffer.concat(output), 'windows-1252')).toBe(page.replace('</head>', `${LINK}</head>`));
+  });
+
+  test('should reject invalid options when it is created', () => {
+    expect(() => createInjectStream({ mode: 'upsert' })).toThrow("Invalid mode 'upsert'");
+    expect(() => createInjectStream({ objectMode: false, template: 'jsx' })).toThrow("Unknown template 'jsx'");
+    expect(() => createInjectStream({ cacheBust: 'bogus' })).toThrow("Invalid cacheBust mode 'bogus'");
+    expect(() => createInjectStream({ fallbackEncoding: 'nope' })).toThrow("Invalid fallbackEncoding 'nope'");
+  });
+});
+
+describe('findHeadEnd', () => {
+  test('should find the end of the head', () => {
+    expect(findHeadEnd('<html><head><title>x</title></head><body>')).toEqual({ offset: 35, document: true });
+    expect(findHeadEnd('<html><head><meta name="a" content="<body>"><p>')).toEqual({ offset: 44, document: true });
+    expect(findHeadEnd('<title>x</title><body>')).toEqual({ offset: 16, document: false });
+  });
+
+  test('should end an implied head at the first body content', () => {
+    expect(findHeadEnd('<!DOCTYPE html><title>x</title>\n<div>')).toEqual({ offset: 32, document: true });
+    expect(findHeadEnd('<html><title>x</title>\n  Hello')).toEqual({ offset: 25, document: true });
+    expect(findHeadEnd('<meta charset="utf-8">Hello')).toEqual({ offset: 22, document: false });
+  });
+
+  test('should wait for more input when the end may still come', () => {
+    expect(findHeadEnd('<html><head><title>x</title></he')).toBeNull();
+    expect(findHeadEnd('<html><head><script>"</head>"')).toBeNull();
+    expect(findHeadEnd('<html><head><!-- </head>')).toBeNull();
+    expect(findHeadEnd('<html><head><meta content="a>')).toBeNull();
+    expect(findHeadEnd('<html><title>x</title><')).toBeNull();
+    expect(findHeadEnd('<html><title>x</title><!-')).toBeNull();
+    expect(findHeadEnd('<!DOCTYPE html')).toBeNull();
+    expect(findHeadEnd('\u00EF\u00BB')).toBeNull();
+  });
+});
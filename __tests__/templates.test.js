@@ -0,0 +1,71 @@
+'use strict';
+
+const { getTemplate, maskTemplate, normalizeExtension } = require('../lib/templates');
+
+describe('getTemplate', () => {
+  test('should pick a handler by extension', () => {
+    expect(getTemplate('index.html').name).toBe('html');
+    expect(getTemplate('INDEX.HTM').name).toBe('html');
+    expect(getTemplate('layout.ejs').name).toBe('ejs');
+    expect(getTemplate('layout.hbs').name).toBe('handlebars');
+    expect(getTemplate('base.njk').name).toBe('nunjucks');
+    expect(getTemplate('header.php').name).toBe('php');
+  });
+  
+  test('should return null for unknown extensions', () => {
+    expect(getTemplate('App.vue')).toBeNull();
+    expect(getTemplate('README')).toBeNull();
+  });
+});
+
+describe('normalizeExtension', () => {
+  test('should add the dot and lowercase', () => {
+    expect(normalizeExtension('HBS')).toBe('.hbs');
+    expect(normalizeExtension('.njk')).toBe('.njk');
+  });
+});
+
+describe('maskTemplate', () => {
+  // Masking must never move anything
+  function expectSameShape(source, masked) {
+    expect(masked.length).toBe(source.length);
+    expect(masked.split('\n').map(line => line.length)).toEqual(source.split('\n').map(line => line.length));
+  }
+  
+  test('should blank out EJS tags', () => {
+    const source = '<head><%- include("head", { close: "</head>" }) %></head>';
+    const masked = maskTemplate(source, getTemplate('a.ejs'));
+    
+    expectSameShape(source, masked);
+    expect(masked).toMatch(/^<head> +<\/head>$/);
+  });
+  
+  test('should blank out Handlebars comments, raw and plain expressions', () => {
+    const source = '{{!-- <head> }} --}}<title>{{{title}}}</title>\n{{> meta\n  a=1}}';
+    const masked = maskTemplate(source, getTemplate('a.hbs'));
+    
+    expectSameShape(source, masked);
+    expect(masked.trim()).toMatch(/^<title> +<\/title>$/);
+  });
+  
+  test('should blank out Nunjucks tags and keep line breaks', () => {
+    const source = '{% block head %}\n<title>{{ title }}</title>{# note #}\n{% endblock %}';
+    const masked = maskTemplate(source, getTemplate('a.njk'));
+    
+    expectSameShape(source, masked);
+    expect(masked.replace(/\s+/g, '')).toBe('<title></title>');
+  });
+  
+  test('should blank out PHP blocks, including one left open at the end', () => {
+    const source = '<title><?= $title ?></title>\n<?php\necho "<head>";';
+    const masked = maskTemplate(source, getTemplate('a.php'));
+    
+    expectSameShape(source, masked);
+    expect(masked.replace(/\s+/g, '')).toBe('<title></title>');
+  });
+  
+  test('should leave plain HTML untouched', () => {
+    const source = '<title>{{ not a template }}</title>';
+    expect(maskTemplate(source, getTemplate('a.html'))).toBe(source);
+  });
+});
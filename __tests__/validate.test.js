@@ -0,0 +1,68 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { validateIcon } = require('../lib/validate');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-validate-dir');
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+
+// Builds the validation context for a page of the test site
+function context(extra = {}) {
+  return {
+    filePath: path.join(TEMP_DIR, 'index.html'),
+    siteRoot: TEMP_DIR,
+    publicPath: null,
+    baseHref: null,
+    maxSize: 1024,
+    cache: new Map(),
+    ...extra
+  };
+}
+
+describe('validateIcon', () => {
+  beforeAll(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    await fs.outputFile(path.join(TEMP_DIR, 'favicon.png'), PNG);
+    await fs.outputFile(path.join(TEMP_DIR, 'favicon.ico'), PNG);
+    await fs.outputFile(path.join(TEMP_DIR, 'big.png'), Buffer.concat([PNG, Buffer.alloc(2048)]));
+    await fs.outputFile(path.join(TEMP_DIR, 'oops.svg'), '<!DOCTYPE html><title>Not found</title>');
+  });
+  
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  test('should accept an existing icon of the declared type', async () => {
+    const result = await validateIcon({ href: '/favicon.png', rel: 'icon', type: 'image/png' }, context());
+    
+    expect(result).toMatchObject({ file: path.join(TEMP_DIR, 'favicon.png'), actualType: 'image/png', size: 10, problems: [] });
+  });
+  
+  test('should report a missing file as broken', async () => {
+    const result = await validateIcon({ href: '/missing.ico', rel: 'icon', type: null }, context());
+    
+    expect(result.problems).toEqual([{ problem: 'broken', message: expect.stringContaining('/missing.ico not found') }]);
+  });
+  
+  test('should report contents that differ from the type implied by the name', async () => {
+    const ico = await validateIcon({ href: 'favicon.ico', rel: 'icon', type: null }, context());
+    const svg = await validateIcon({ href: 'oops.svg', rel: 'icon', type: 'image/svg+xml' }, context());
+    
+    expect(ico.problems).toEqual([{ problem: 'mismatched', message: 'favicon.ico is declared as image/x-icon but contains image/png' }]);
+    expect(svg.problems).toEqual([{ problem: 'mismatched', message: 'oops.svg is not a recognised image' }]);
+  });
+  
+  test('should report files over the size limit', async () => {
+    const result = await validateIcon({ href: '/big.png', rel: 'icon', type: null }, context());
+    
+    expect(result.problems).toEqual([{ problem: 'oversized', message: '/big.png is 2058 bytes (limit: 1024)' }]);
+  });
+  
+  test('should leave full URLs unchecked', async () => {
+    const result = await validateIcon({ href: 'https://cdn.example.com/favicon.ico', rel: 'icon', type: null }, context());
+    
+    expect(result).toMatchObject({ file: null, external: true, problems: [] });
+  });
+});
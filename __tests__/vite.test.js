@@ -0,0 +1,130 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const favicon = require('../vite');
+const { hashFile } = require('../lib/cachebust');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-vite-dir');
+const PNG = Buffer.from('89504e470d0a1a0a0000000d494844520000002000000020', 'hex');
+const PAGE = '<html><head><title>App</title></head><body></body></html>';
+
+/**
+ * Builds the part of a resolved Vite config the plugin reads
+ * @param {Object} overrides - Config values to change
+ * @returns {Object} - Resolved config
+ */
+function viteConfig(overrides = {}) {
+  return {
+    root: TEMP_DIR,
+    publicDir: path.join(TEMP_DIR, 'public'),
+    base: '/',
+    command: 'build',
+    build: { assetsDir: 'assets' },
+    ...overrides
+  };
+}
+
+/**
+ * Creates the Rollup plugin context methods the plugin calls
+ * @returns {{emitFile: Function, addWatchFile: Function}} - Mocked context
+ */
+function pluginContext() {
+  return { emitFile: jest.fn(), addWatchFile: jest.fn() };
+}
+
+beforeEach(async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  await fs.emptyDir(TEMP_DIR);
+  await fs.outputFile(path.join(TEMP_DIR, 'src/icon.png'), PNG);
+});
+
+afterEach(() => {
+  console.warn.mockRestore();
+});
+
+afterAll(async () => {
+  await fs.remove(TEMP_DIR);
+});
+
+describe('vite plugin', () => {
+  test('should be the default and a named export', () => {
+    expect(favicon.faviconPlugin).toBe(favicon);
+    expect(favicon('/favicon.ico').name).toBe('auto-favicon-injector');
+  });
+
+  test('should emit hashed icons and link them in a build', async () => {
+    const plugin = favicon({ path: 'src/icon.png' });
+    const context = pluginContext();
+    const fileName = `assets/icon.${await hashFile(path.join(TEMP_DIR, 'src/icon.png'))}.png`;
+
+    plugin.configResolved(viteConfig({ base: '/app/' }));
+    await plugin.buildStart.call(context);
+    const html = await plugin.transformIndexHtml.handler(PAGE);
+
+    expect(context.emitFile).toHaveBeenCalledWith({ type: 'asset', fileName, source: PNG });
+    expect(context.addWatchFile).toHaveBeenCalledWith(path.join(TEMP_DIR, 'src/icon.png'));
+    expect(plugin.transformIndexHtml.order).toBe('post');
+    expect(html).toBe(`<html><head><title>App</title><link rel="icon" href="/app/${fileName}" type="image/png" sizes="32x32"></head><body></body></html>`);
+  });
+
+  test('should link icons from the project root on the dev server', async () => {
+    const plugin = favicon({ icons: [{ path: '/src/icon.png', sizes: '16x16' }], mode: 'replace' });
+    const context = pluginContext();
+
+    plugin.configResolved(viteConfig({ command: 'serve' }));
+    await plugin.buildStart.call(context);
+    const html = await plugin.transformIndexHtml.handler('<html><head><link rel="icon" href="/vite.svg"></head></html>');
+
+    expect(context.emitFile).not.toHaveBeenCalled();
+    expect(html).toBe('<html><head><link rel="icon" href="/src/icon.png" type="image/png" sizes="16x16"></head></html>');
+  });
+
+  test('should leave public and external icons to Vite', async () => {
+    await fs.outputFile(path.join(TEMP_DIR, 'public/favicon.ico'), Buffer.from([0, 0, 1, 0, 0, 0]));
+    const plugin = favicon([
+      '/favicon.ico',
+      { path: 'https://cdn.example.com/touch.png', rel: 'apple-touch-icon' },
+      '/missing.svg'
+    ]);
+    const context = pluginContext();
+
+    plugin.configResolved(viteConfig());
+    await plugin.buildStart.call(context);
+    const html = await plugin.transformIndexHtml.handler(PAGE);
+
+    expect(context.emitFile).not.toHaveBeenCalled();
+    expect(html).toContain('<link rel="icon" href="/favicon.ico" type="image/x-icon">');
+    expect(html).toContain('<link rel="apple-touch-icon" href="https://cdn.example.com/touch.png" type="image/png">');
+    expect(console.warn).toHaveBeenCalledWith(`Icon /missing.svg not found in ${TEMP_DIR}, linking it as configured`);
+  });
+
+  test('should inject into the HTML assets of a Rollup build', async () => {
+    const cwd = process.cwd();
+    process.chdir(TEMP_DIR);
+
+    try {
+      const plugin = favicon({ path: 'src/icon.png', publicPath: 'https://cdn.example.com/site' });
+      const context = pluginContext();
+      const bundle = {
+        'index.html': { type: 'asset', fileName: 'index.html', source: PAGE },
+        'main.js': { type: 'chunk', fileName: 'main.js', code: '</head>' }
+      };
+
+      await plugin.buildStart.call(context);
+      await plugin.generateBundle.call(context, {}, bundle);
+
+      const { fileName } = context.emitFile.mock.calls[0][0];
+      expect(bundle['index.html'].source).toContain(`<link rel="icon" href="https://cdn.example.com/site/${fileName}" type="image/png" sizes="32x32">`);
+      expect(bundle['main.js'].code).toBe('</head>');
+    } finally {
+      process.chdir(cwd);
+    }
+  });
+
+  test('should reject invalid options when it is created', () => {
+    expect(() => favicon({ mode: 'upsert' })).toThrow("Invalid mode 'upsert'");
+    expect(() => favicon({ cacheBust: 'bogus' })).toThrow("Invalid cacheBust mode 'bogus'");
+  });
+});
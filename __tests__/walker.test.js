@@ -0,0 +1,149 @@
+'use strict';
+
+const path = require('path');
+const fs = require('fs-extra');
+const { findHtmlFiles } = require('../lib/walker');
+
+// Setup test directory
+const TEMP_DIR = path.join(__dirname, 'temp-walker-dir');
+
+const HTML = '<html><head></head><body></body></html>';
+
+// Returns the found files relative to the temp directory, sorted
+function relative(files) {
+  return files.map(file => path.relative(TEMP_DIR, file).split(path.sep).join('/')).sort();
+}
+
+describe('findHtmlFiles', () => {
+  beforeEach(async () => {
+    await fs.emptyDir(TEMP_DIR);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await fs.outputFile(path.join(TEMP_DIR, 'index.html'), HTML);
+    await fs.outputFile(path.join(TEMP_DIR, 'about/index.html'), HTML);
+    await fs.outputFile(path.join(TEMP_DIR, 'about/style.css'), 'body {}');
+    await fs.outputFile(path.join(TEMP_DIR, 'drafts/wip.html'), HTML);
+    await fs.outputFile(path.join(TEMP_DIR, 'node_modules/pkg/readme.html'), HTML);
+    await fs.outputFile(path.join(TEMP_DIR, '.git/description.html'), HTML);
+  });
+  
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+  
+  afterAll(async () => {
+    await fs.remove(TEMP_DIR);
+  });
+  
+  test('should skip node_modules and .git by default', async () => {
+    const result = await findHtmlFiles(TEMP_DIR);
+    
+    expect(relative(result.files)).toEqual(['about/index.html', 'drafts/wip.html', 'index.html']);
+    expect(result.excluded).toEqual({ node_modules: 1, '.git': 1 });
+    expect(result.notIncluded).toBe(0);
+  });
+  
+  test('should scan default excludes when disabled', async () => {
+    const result = await findHtmlFiles(TEMP_DIR, { defaultExcludes: false });
+    
+    expect(relative(result.files)).toContain('node_modules/pkg/readme.html');
+    expect(relative(result.files)).toContain('.git/description.html');
+    expect(result.excluded).toEqual({});
+  });
+  
+  test('should apply exclude globs to files and directories', async () => {
+    const result = await findHtmlFiles(TEMP_DIR, { exclude: ['drafts/**', '**/index.html'] });
+    
+    expect(relative(result.files)).toEqual([]);
+    expect(result.excluded).toEqual({ node_modules: 1, '.git': 1, 'drafts/**': 1, '**/index.html': 2 });
+  });
+  
+  test('should match patterns without a slash at any depth', async () => {
+    const result = await findHtmlFiles(TEMP_DIR, { exclude: 'wip.html' });
+    
+    expect(relative(result.files)).toEqual(['about/index.html', 'index.html']);
+    expect(result.excluded['wip.html']).toBe(1);
+  });
+  
+  test('should only collect files matching the include globs', async () => {
+    const result = await findHtmlFiles(TEMP_DIR, { include: 'about/**' });
+    
+    expect(relative(result.files)).toEqual(['about/index.html']);
+    expect(result.notIncluded).toBe(2);
+  });
+  
+  test('should read .faviconignore from the scanned directory', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, '.faviconignore'), '# Work in progress\ndrafts/\n');
+    
+    const result = await findHtmlFiles(TEMP_DIR);
+    
+    expect(relative(result.files)).toEqual(['about/index.html', 'index.html']);
+    expect(result.excluded['.faviconignore']).toBe(1);
+    
+    const unfiltered = await findHtmlFiles(TEMP_DIR, { ignoreFile: false });
+    expect(relative(unfiltered.files)).toContain('drafts/wip.html');
+  });
+  
+  test('should only honour .gitignore when asked to', async () => {
+    await fs.writeFile(path.join(TEMP_DIR, '.gitignore'), 'index.html\n!/index.html\n');
+    
+    let result = await findHtmlFiles(TEMP_DIR);
+    expect(relative(result.files)).toContain('about/index.html');
+    
+    result = await findHtmlFiles(TEMP_DIR, { gitignore: true });
+    expect(relative(result.files)).toEqual(['drafts/wip.html', 'index.html']);
+    expect(result.excluded['.gitignore']).toBe(1);
+  });
+  
+  test('should keep scanning when a directory cannot be read', async () => {
+    const readdir = fs.readdir;
+    const readdirSpy = jest.spyOn(fs, 'readdir').mockImplementation(dir => (
+      dir.endsWith('about') ? Promise.reject(new Error('EACCES')) : readdir(dir)
+    ));
+    
+    const result = await findHtmlFiles(TEMP_DIR);
+    
+    expect(relative(result.files)).toEqual(['drafts/wip.html', 'index.html']);
+    expect(result.errors).toEqual([{ path: path.join(TEMP_DIR, 'about'), error: expect.any(Error) }]);
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Error scanning directory'), expect.any(Error));
+    readdirSpy.mockRestore();
+  });
+  
+  test('should report entries that cannot be read and keep scanning their directory', async () => {
+    const stat = fs.stat;
+    const statSpy = jest.spyOn(fs, 'stat').mockImplementation(file => (
+      file.endsWith('wip.html') ? Promise.reject(new Error('EACCES')) : stat(file)
+    ));
+    await fs.outputFile(path.join(TEMP_DIR, 'drafts/next.html'), HTML);
+    
+    const result = await findHtmlFiles(TEMP_DIR);
+    
+    expect(relative(result.files)).toEqual(['about/index.html', 'drafts/next.html', 'index.html']);
+    expect(result.errors).toEqual([{ path: path.join(TEMP_DIR, 'drafts/wip.html'), error: expect.any(Error) }]);
+    statSpy.mockRestore();
+  });
+  
+  test('should skip dangling symlinks without losing their directory', async () => {
+    await fs.outputFile(path.join(TEMP_DIR, 'sl/a.html'), HTML);
+    await fs.outputFile(path.join(TEMP_DIR, 'sl/sub/b.html'), HTML);
+    await fs.symlink(path.join(TEMP_DIR, 'missing'), path.join(TEMP_DIR, 'sl/broken'));
+    
+    const result = await findHtmlFiles(TEMP_DIR);
+    
+    expect(relative(result.files)).toEqual(['about/index.html', 'drafts/wip.html', 'index.html', 'sl/a.html', 'sl/sub/b.html']);
+    expect(result.errors).toEqual([]);
+  });
+  
+  test('should fail when the scanned directory cannot be read', async () => {
+    await expect(findHtmlFiles(path.join(TEMP_DIR, 'missing'))).rejects.toThrow('ENOENT');
+  });
+  
+  test('should collect files with the configured extensions', async () => {
+    await fs.outputFile(path.join(TEMP_DIR, 'layouts/main.hbs'), HTML);
+    await fs.outputFile(path.join(TEMP_DIR, 'legacy.HTM'), HTML);
+    
+    const result = await findHtmlFiles(TEMP_DIR, { extensions: ['hbs', '.htm'], exclude: 'drafts' });
+    
+    expect(relative(result.files)).toEqual(['layouts/main.hbs', 'legacy.HTM']);
+  });
+});
@@ -5,61 +5,537 @@
 const { program } = require('commander');
 const path = require('path');
 const fs = require('fs-extra');
-const { injectDir } = require('../lib/injector');
+const iconv = require('iconv-lite');
+const {
+  injectDir,
+  removeDir,
+  checkDir,
+  validateDir,
+  undoLastRun,
+  validateOptions,
+  MODES,
+  NO_HEAD_POLICIES,
+  CACHE_BUST_MODES,
+  BACKUP_MODES
+} = require('../lib/injector');
+const { ICON_ROLES, parseIconSpec } = require('../lib/icons');
+const { loadConfig } = require('../lib/config');
+const { REPORTERS, formatExcluded, formatReport } = require('../lib/reporters');
 const pkg = require('../package.json');
 
+/**
+ * Collects repeated option values into an array
+ * @param {string} value - Value of the current occurrence
+ * @param {Array<string>} previous - Values collected so far
+ * @returns {Array<string>} - Collected values
+ */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Resolves the directory argument, exiting if it does not exist
+ * @param {string} dir - Directory given on the command line
+ * @returns {Promise<string>} - Absolute path to the directory
+ */
+async function resolveDir(dir) {
+  const targetDir = path.resolve(dir);
+  if (!(await fs.pathExists(targetDir))) {
+    console.error(`Error: Directory '${targetDir}' does not exist`);
+    process.exit(1);
+  }
+  return targetDir;
+}
+
+/**
+ * Adds the options that control which files a directory scan picks up and how they are read
+ * @param {Command} command - Command to add the options to
+ * @returns {Command} - The same command
+ */
+function addScanOptions(command) {
+  return command
+    .option('-e, --extensions <list>', 'Comma-separated file extensions to process (e.g. "html,htm,ejs,hbs,njk,php")')
+    .option('--include <glob>', 'Only process files matching this glob (repeatable)', collect, [])
+    .option('--exclude <glob>', 'Skip files and directories matching this glob (repeatable)', collect, [])
+    .option('--gitignore', 'Also skip files listed in the directory\'s .gitignore')
+    .option('--no-default-excludes', 'Scan node_modules, .git, bower_components and jspm_packages too')
+    .option('--concurrency <n>', 'Maximum number of files processed at once (default: 8)')
+    .option('--fallback-encoding <name>', 'Encoding of files that declare no charset (default: utf-8)');
+}
+
+/**
+ * Copies the scan, concurrency and encoding options given on the command line into the injector options
+ * @param {Object} options - Parsed command line options
+ * @param {Object} target - Injector options or removal filter
+ */
+function applyScanOptions(options, target) {
+  if (options.extensions) target.extensions = options.extensions.split(',').filter(Boolean);
+  if (options.include && options.include.length > 0) target.include = options.include;
+  if (options.exclude && options.exclude.length > 0) target.exclude = options.exclude;
+  if (options.gitignore) target.gitignore = true;
+  if (options.defaultExcludes === false) target.defaultExcludes = false;
+  if (options.concurrency) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      console.error(`Error: Invalid --concurrency '${options.concurrency}' (expected a positive integer)`);
+      process.exit(1);
+    }
+    target.concurrency = concurrency;
+  }
+  if (options.fallbackEncoding) {
+    if (!iconv.encodingExists(options.fallbackEncoding)) {
+      console.error(`Error: Unknown --fallback-encoding '${options.fallbackEncoding}'`);
+      process.exit(1);
+    }
+    target.fallbackEncoding = options.fallbackEncoding;
+  }
+}
+
+/**
+ * Adds the options that keep the originals of the files a command changes
+ * @param {Command} command - Command to add the options to
+ * @returns {Command} - The same command
+ */
+function addBackupOptions(command) {
+  return command
+    .option('--backup [mode]', 'Keep the original of every changed file (journal or bak, default: journal)')
+    .option('--journal-dir <dir>', 'Directory journal backups are kept in (default: .favicon-journal in <dir>)');
+}
+
+/**
+ * Copies the backup options given on the command line into the injector options
+ * @param {Object} options - Parsed command line options
+ * @param {Object} target - Injector options or removal filter
+ */
+function applyBackupOptions(options, target) {
+  if (options.backup) {
+    const backup = options.backup === true ? 'journal' : options.backup;
+    if (!BACKUP_MODES.includes(backup)) {
+      console.error(`Error: Invalid --backup mode '${backup}' (expected one of: ${BACKUP_MODES.join(', ')})`);
+      process.exit(1);
+    }
+    target.backup = backup;
+  }
+  if (options.journalDir) target.journalDir = path.resolve(options.journalDir);
+}
+
+/**
+ * Prints where a run's originals were saved and how to restore them
+ * @param {Object} stats - Operation statistics
+ * @param {string} dir - Directory given on the command line
+ * @param {Object} options - Parsed command line options
+ * @param {Function} log - Function to print lines with
+ */
+function printJournal(stats, dir, options, log) {
+  if (!stats.journal) {
+    return;
+  }
+  const journalFlag = options.journalDir ? ` --journal-dir ${options.journalDir}` : '';
+  log(`Originals saved in ${stats.journal} (restore them with: inject-favicon undo ${dir}${journalFlag})`);
+}
+
+/**
+ * Prints how many entries each exclusion skipped
+ * @param {Object} stats - Operation statistics
+ */
+function printExcluded(stats) {
+  for (const line of formatExcluded(stats)) {
+    console.log(line);
+  }
+}
+
+/**
+ * Reads the --max-icon-size option, exiting if it isn't a positive number of bytes
+ * @param {Object} options - Parsed command line options
+ * @returns {number|undefined} - Size limit in bytes, if given
+ */
+function getMaxIconSize(options) {
+  if (options.maxIconSize === undefined) {
+    return undefined;
+  }
+  const maxSize = Number(options.maxIconSize);
+  if (!Number.isInteger(maxSize) || maxSize < 1) {
+    console.error(`Error: Invalid --max-icon-size '${options.maxIconSize}' (expected a positive number of bytes)`);
+    process.exit(1);
+  }
+  return maxSize;
+}
+
+/**
+ * Validates the favicon hrefs of a directory and prints every problem found
+ * @param {string} targetDir - Scanned directory
+ * @param {Object|Array|string} options - Validation options for validateDir
+ * @param {Function} log - Function to print lines with
+ * @returns {Promise<boolean>} - Whether every icon was valid
+ * @throws {Error} - When the scan stopped early
+ */
+async function runValidation(targetDir, options, log) {
+  const stats = await validateDir(targetDir, options);
+  if (stats.error) {
+    throw stats.error;
+  }
+
+  log('\nValidating favicon hrefs...');
+  for (const icon of stats.configured || []) {
+    for (const { message } of icon.problems) {
+      log(`Configured icon: ${message}`);
+    }
+  }
+  for (const result of stats.files || []) {
+    const file = path.relative(targetDir, result.file);
+    if (result.status === 'error') {
+      log(`${file}: ${result.reason}`);
+    }
+    for (const icon of result.icons || []) {
+      for (const { message } of icon.problems) {
+        log(`${file}: ${message}`);
+      }
+    }
+  }
+  log(`Icons checked: ${stats.icons} (${stats.valid} valid, ${stats.external} external URLs not checked)`);
+  log(`Broken: ${stats.broken}, mismatched type: ${stats.mismatched}, oversized: ${stats.oversized}`);
+  return stats.passed;
+}
+
+/**
+ * Icon flags and the descriptor attributes they set
+ */
+const ICON_FLAGS = { favicon: 'path', rel: 'rel', type: 'type', sizes: 'sizes' };
+
+/**
+ * Builds a check for whether an option was given on the command line rather
+ * than left at its default, so only explicit flags override the config file
+ * @param {Object} options - Parsed command line options
+ * @param {Command} command - Command being run
+ * @returns {Function} - Takes an option name, returns whether it was given
+ */
+function givenOnCommandLine(options, command) {
+  if (!command || typeof command.getOptionValueSource !== 'function') {
+    return name => options[name] !== undefined;
+  }
+  return name => options[name] !== undefined && command.getOptionValueSource(name) !== 'default';
+}
+
 // Set up CLI options
 program
   .name('inject-favicon')
   .description('Automatically inject favicon links into HTML files')
   .version(pkg.version)
+  // Keep subcommand options (e.g. `remove --rel`) from being read as top-level options
+  .enablePositionalOptions()
   .argument('<dir>', 'Directory to scan for HTML files')
   .option('-f, --favicon <path>', 'Path to the favicon file', '/favicon.ico')
   .option('-r, --rel <rel>', 'Relationship attribute (icon, shortcut icon, apple-touch-icon)', 'icon')
   .option('-t, --type <type>', 'MIME type of the favicon (auto-detected if not provided)')
-  .option('-s, --sizes <sizes>', 'Size attribute for the favicon (e.g., "16x16", "32x32 48x48")')
-  .option('-v, --verbose', 'Print detailed information')
-  .action(async (dir, options) => {
+  .option('-s, --sizes <sizes>', 'Size attribute for the favicon (e.g., "16x16", "32x32 48x48"; auto-detected if not provided)')
+  .option('--no-detect', 'Don\'t read icon files to detect their type and sizes')
+  .option('-i, --icon <spec>', 'Icon to inject as "path[,rel=...][,type=...][,sizes=...]" (repeatable, overrides -f/-r/-t/-s)', collect, [])
+  .option('-m, --mode <mode>', 'What to do with existing favicon links (skip, replace, merge)')
+  .option('--replace', 'Replace existing favicon links (same as --mode replace)')
+  .option('--force', 'Alias for --replace')
+  .option('--missing-head <policy>', 'What to do with files without a <head> (skip, create-head, prepend)')
+  .option('--site-root <dir>', 'Directory served as the site root; makes icon hrefs relative to each file')
+  .option('--public-path <url>', 'URL prefix the site is served under (e.g. "/my-project/"); makes icon hrefs absolute')
+  .option('--base-url <url>', 'Alias for --public-path')
+  .option('--cache-bust [mode]', 'Add a content hash of the icon file to the href (query or filename, default: query)')
+  .option('--workers [count]', 'Parse and render files in worker threads (default: one per spare CPU core)')
+  .option('--reserialize', 'Rewrite whole documents with cheerio instead of only inserting the new tags')
+  .option('--dry-run', 'Show what would change without writing any file')
+  .option('--diff', 'Print a unified diff for every changed file')
+  .option('--validate', 'Check that every favicon href points to an existing image of the declared type')
+  .option('--max-icon-size <bytes>', 'Report icon files larger than this when validating (default: 102400)')
+  .option('--reporter <name>', `Report format (${REPORTERS.join(', ')}, default: text)`)
+  .option('-o, --output <file>', 'Write the report to this file instead of the console')
+  .option('--config <file>', 'Load settings from this file instead of searching for one')
+  .option('--no-config', 'Ignore .faviconrc, favicon.config.js and the package.json "favicon" key')
+  .option('-v, --verbose', 'Print detailed information');
+
+addBackupOptions(addScanOptions(program))
+  .action(async (dir, options, command) => {
     try {
       // Check if directory exists
-      const targetDir = path.resolve(dir);
-      if (!(await fs.pathExists(targetDir))) {
-        console.error(`Error: Directory '${targetDir}' does not exist`);
+      const targetDir = await resolveDir(dir);
+
+      const reporter = options.reporter || 'text';
+      if (!REPORTERS.includes(reporter)) {
+        console.error(`Error: Invalid --reporter '${reporter}' (expected one of: ${REPORTERS.join(', ')})`);
         process.exit(1);
       }
+      // A machine-readable report on stdout must not be mixed with progress messages
+      const log = reporter === 'text' || options.output ? console.log : console.error;
+
+      // Start from the project config, if any; flags given on the command line override it
+      const { config, filePath: configPath } = options.config === false
+        ? { config: {}, filePath: null }
+        : await loadConfig(targetDir, { configFile: options.config });
+      const given = givenOnCommandLine(options, command);
 
       // Prepare favicon options
-      const faviconOptions = {
-        path: options.favicon,
-        rel: options.rel
-      };
+      const faviconOptions = config;
       
-      // Add optional attributes if provided
-      if (options.type) faviconOptions.type = options.type;
-      if (options.sizes) faviconOptions.sizes = options.sizes;
+      if (options.icon && options.icon.length > 0) {
+        // A full icon set was given with --icon
+        faviconOptions.icons = options.icon.map(parseIconSpec);
+      } else if (!faviconOptions.icons || Object.keys(ICON_FLAGS).some(given)) {
+        // A single icon: explicit flags win, defaults only fill in what the config leaves out
+        delete faviconOptions.icons;
+        for (const [flag, key] of Object.entries(ICON_FLAGS)) {
+          if (options[flag] && (given(flag) || faviconOptions[key] === undefined)) {
+            faviconOptions[key] = options[flag];
+          }
+        }
+      }
+      
+      // --replace and --force are shorthands for --mode replace
+      const mode = options.replace || options.force ? 'replace' : options.mode;
+      if (mode) {
+        if (!MODES.includes(mode)) {
+          console.error(`Error: Invalid mode '${mode}' (expected one of: ${MODES.join(', ')})`);
+          process.exit(1);
+        }
+        faviconOptions.mode = mode;
+      }
+      if (options.missingHead) {
+        if (!NO_HEAD_POLICIES.includes(options.missingHead)) {
+          console.error(`Error: Invalid --missing-head policy '${options.missingHead}' (expected one of: ${NO_HEAD_POLICIES.join(', ')})`);
+          process.exit(1);
+        }
+        faviconOptions.noHead = options.missingHead;
+      }
+      if (options.cacheBust) {
+        const cacheBust = options.cacheBust === true ? 'query' : options.cacheBust;
+        if (!CACHE_BUST_MODES.includes(cacheBust)) {
+          console.error(`Error: Invalid --cache-bust mode '${cacheBust}' (expected one of: ${CACHE_BUST_MODES.join(', ')})`);
+          process.exit(1);
+        }
+        faviconOptions.cacheBust = cacheBust;
+      }
+      if (options.workers) faviconOptions.workers = options.workers === true ? true : Number(options.workers);
+      if (options.siteRoot) faviconOptions.siteRoot = path.resolve(options.siteRoot);
+      if (options.publicPath || options.baseUrl) faviconOptions.publicPath = options.publicPath || options.baseUrl;
+      if (options.detect === false) faviconOptions.detect = false;
+      if (options.reserialize) faviconOptions.reserialize = true;
+      if (options.dryRun) faviconOptions.dryRun = true;
+      if (options.diff) faviconOptions.diff = true;
+      applyScanOptions(options, faviconOptions);
+      applyBackupOptions(options, faviconOptions);
+      const maxSize = getMaxIconSize(options);
+      if (maxSize) faviconOptions.maxSize = maxSize;
+
+      // Settings from the config file get the same checks as the flags
+      try {
+        validateOptions(faviconOptions);
+      } catch (error) {
+        console.error(`Error: ${error.message}${configPath ? ` (in ${configPath})` : ''}`);
+        process.exit(1);
+      }
 
       if (options.verbose) {
-        console.log(`Scanning directory: ${targetDir}`);
-        console.log('Using favicon options:');
-        console.log(` - Path: ${faviconOptions.path}`);
-        console.log(` - Rel: ${faviconOptions.rel}`);
-        if (faviconOptions.type) console.log(` - Type: ${faviconOptions.type}`);
-        if (faviconOptions.sizes) console.log(` - Sizes: ${faviconOptions.sizes}`);
+        log(`Scanning directory: ${targetDir}`);
+        if (configPath) log(`Using config file: ${configPath}`);
+        log('Using favicon options:');
+        for (const icon of faviconOptions.icons || [faviconOptions]) {
+          log(` - Path: ${icon.path}`);
+          log(`   Rel: ${icon.rel || 'icon'}`);
+          if (icon.type) log(`   Type: ${icon.type}`);
+          if (icon.sizes) log(`   Sizes: ${icon.sizes}`);
+        }
+        log(`Existing favicons: ${faviconOptions.mode || 'skip'}`);
       }
 
       // Inject favicons
       const stats = await injectDir(targetDir, faviconOptions);
+      if (stats.error) {
+        throw stats.error;
+      }
       
+      // Output results: diffs and a summary, or the report in the requested format
+      const context = { root: targetDir, dryRun: Boolean(faviconOptions.dryRun), name: 'inject-favicon', version: pkg.version };
+      const report = formatReport(reporter, stats, context);
+      if (options.output) {
+        const outputPath = path.resolve(options.output);
+        await fs.outputFile(outputPath, `${report}\n`);
+        console.log(reporter === 'text' ? report : formatReport('text', stats, context));
+        console.log(`Report written to ${outputPath}`);
+      } else {
+        console.log(report);
+      }
+      printJournal(stats, dir, options, log);
+
+      // Let CI gate on the run
+      if (stats.failed > 0) {
+        process.exitCode = 1;
+      }
+      if (options.validate && !(await runValidation(targetDir, faviconOptions, log))) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('\nError:', error.message);
+      process.exit(1);
+    }
+  });
+
+addBackupOptions(addScanOptions(program.command('remove')))
+  .description('Remove favicon links from HTML files')
+  .argument('<dir>', 'Directory to scan for HTML files')
+  .option('-r, --rel <rel>', 'Only remove links with this rel (repeatable, default: all icon links)', collect, [])
+  .option('--href <pattern>', 'Only remove links whose href matches this pattern (* matches anything)')
+  .option('-t, --type <type>', 'Only remove links with this MIME type')
+  .option('-v, --verbose', 'Print detailed information')
+  .action(async (dir, options) => {
+    try {
+      const targetDir = await resolveDir(dir);
+
+      // Prepare the removal filter
+      const filter = {};
+      if (options.rel && options.rel.length > 0) filter.rel = options.rel;
+      if (options.href) filter.href = options.href;
+      if (options.type) filter.type = options.type;
+      applyScanOptions(options, filter);
+      applyBackupOptions(options, filter);
+
+      if (options.verbose) {
+        console.log(`Scanning directory: ${targetDir}`);
+        console.log('Removing links matching:');
+        console.log(` - Rel: ${filter.rel ? filter.rel.join(', ') : 'any icon'}`);
+        if (filter.href) console.log(` - Href: ${filter.href}`);
+        if (filter.type) console.log(` - Type: ${filter.type}`);
+      }
+
+      const stats = await removeDir(targetDir, filter);
+      if (stats.error) {
+        throw stats.error;
+      }
+
       // Output results
       console.log('\nOperation completed successfully!');
       console.log(`Total HTML files found: ${stats.total}`);
-      console.log(`Files injected with favicon: ${stats.injected}`);
-      console.log(`Files skipped (already have favicon): ${stats.skipped}`);
-      
+      console.log(`Files with favicon links removed: ${stats.removed} (${stats.links} links)`);
+      console.log(`Files skipped (no matching links): ${stats.skipped}`);
+      printExcluded(stats);
+      printJournal(stats, dir, options, console.log);
+
       if (stats.failed > 0) {
-        console.log(`Files failed to inject: ${stats.failed}`);
+        console.log(`Files failed to update: ${stats.failed}`);
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('\nError:', error.message);
+      process.exit(1);
+    }
+  });
+
+addScanOptions(program.command('check'))
+  .description('Check that every page has the required favicon links, without modifying any file')
+  .argument('<dir>', 'Directory to scan for HTML files')
+  .option('-r, --role <role>', 'Icon role every page must have (icon, apple-touch-icon, mask-icon; repeatable, default: icon)', collect, [])
+  .option('--max-missing <n>', 'Number of pages allowed to miss roles before the check fails (default: 0)')
+  .option('--validate', 'Also check that every favicon href points to an existing image of the declared type')
+  .option('--max-icon-size <bytes>', 'Report icon files larger than this when validating (default: 102400)')
+  .option('--site-root <dir>', 'Directory served as the site root, for resolving hrefs when validating')
+  .option('--public-path <url>', 'URL prefix the site is served under, for resolving hrefs when validating')
+  .option('-v, --verbose', 'Print detailed information')
+  .action(async (dir, options) => {
+    try {
+      const targetDir = await resolveDir(dir);
+
+      const checkOptions = {};
+      if (options.role && options.role.length > 0) {
+        const unknown = options.role.find(role => !ICON_ROLES.includes(role));
+        if (unknown) {
+          console.error(`Error: Invalid --role '${unknown}' (expected one of: ${ICON_ROLES.join(', ')})`);
+          process.exit(1);
+        }
+        checkOptions.roles = options.role;
+      }
+      if (options.maxMissing !== undefined) {
+        const maxMissing = Number(options.maxMissing);
+        if (!Number.isInteger(maxMissing) || maxMissing < 0) {
+          console.error(`Error: Invalid --max-missing '${options.maxMissing}' (expected a non-negative integer)`);
+          process.exit(1);
+        }
+        checkOptions.maxMissing = maxMissing;
+      }
+      applyScanOptions(options, checkOptions);
+      const maxSize = getMaxIconSize(options);
+      if (maxSize) checkOptions.maxSize = maxSize;
+      if (options.siteRoot) checkOptions.siteRoot = path.resolve(options.siteRoot);
+      if (options.publicPath) checkOptions.publicPath = options.publicPath;
+
+      if (options.verbose) {
+        console.log(`Scanning directory: ${targetDir}`);
+        console.log(`Required roles: ${(checkOptions.roles || ['icon']).join(', ')}`);
+      }
+
+      const stats = await checkDir(targetDir, checkOptions);
+      if (stats.error) {
+        throw stats.error;
+      }
+
+      // List the offending files
+      for (const result of stats.files || []) {
+        if (result.status === 'missing' || result.status === 'error') {
+          console.log(`${path.relative(targetDir, result.file)}: ${result.reason}`);
+        }
+      }
+
+      console.log(stats.passed ? '\nCheck passed.' : '\nCheck failed.');
+      console.log(`Total HTML files found: ${stats.total}`);
+      console.log(`Files with all required icons: ${stats.complete}`);
+      console.log(`Files missing icons: ${stats.missing}`);
+      console.log(`Files skipped (no <head>, e.g. partials): ${stats.skipped}`);
+      printExcluded(stats);
+
+      if (stats.failed > 0) {
+        console.log(`Files failed to check: ${stats.failed}`);
+      }
+
+      if (!stats.passed) {
+        process.exitCode = 1;
+      }
+      if (options.validate && !(await runValidation(targetDir, checkOptions, console.log))) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('\nError:', error.message);
+      process.exit(1);
+    }
+  });
+
+program.command('undo')
+  .description('Restore the files changed by the last run made with --backup journal')
+  .argument('<dir>', 'Directory the run was made on')
+  .option('--journal-dir <dir>', 'Directory journal backups are kept in (default: .favicon-journal in <dir>)')
+  .option('-v, --verbose', 'Print detailed information')
+  .action(async (dir, options) => {
+    try {
+      const targetDir = await resolveDir(dir);
+
+      const undoOptions = {};
+      if (options.journalDir) undoOptions.journalDir = path.resolve(options.journalDir);
+
+      const stats = await undoLastRun(targetDir, undoOptions);
+      if (stats.error) {
+        throw stats.error;
+      }
+      if (!stats.run) {
+        console.log('Nothing to undo.');
+        return;
+      }
+
+      if (options.verbose) {
+        for (const entry of stats.files || []) {
+          console.log(`${entry.error ? 'Failed' : 'Restored'}: ${path.relative(targetDir, entry.file)}`);
+        }
+      }
+
+      console.log(`\nUndid run ${stats.run}`);
+      console.log(`Files restored: ${stats.restored}`);
+
+      if (stats.failed > 0) {
+        console.log(`Files failed to restore: ${stats.failed} (run undo again to retry)`);
+        process.exitCode = 1;
       }
-      
     } catch (error) {
       console.error('\nError:', error.message);
       process.exit(1);
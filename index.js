@@ -6,29 +6,196 @@
  */
 
 const injector = require('./lib/injector');
+const config = require('./lib/config');
+const middleware = require('./lib/middleware');
+const stream = require('./lib/stream');
 
 module.exports = {
   /**
    * Injects a favicon link into an HTML file
    * @param {string} filePath - Path to the HTML file
-   * @param {Object|string} options - Options object or favicon path string
+   * @param {Object|Array|string} options - Options object, array of icon descriptors or favicon path string
    * @param {string} options.path - Path to the favicon file (default: '/favicon.ico')
    * @param {string} options.rel - Relationship attribute (default: 'icon')
-   * @param {string} options.type - MIME type of the favicon (auto-detected if not provided)
-   * @param {string} options.sizes - Size attribute for the favicon
-   * @returns {Promise<boolean>} - Whether the operation was successful
+   * @param {string} options.type - MIME type of the favicon (detected from the icon file or its extension if not provided)
+   * @param {string} options.sizes - Size attribute for the favicon (detected from the icon file if not provided)
+   * @param {boolean} options.detect - Read local icon files to fill in type and sizes (default: true)
+   * @param {Array<Object>} options.icons - Icon descriptors to inject together (an array may also be passed as options)
+   * @param {string} options.mode - What to do with existing favicon links: 'skip' (default), 'replace' or 'merge'
+   * @param {string} options.noHead - What to do with files that have no <head>: 'skip' (default), 'create-head' or 'prepend'
+   * @param {boolean} options.reserialize - Rewrite the whole document with cheerio instead of only splicing in the new tags
+   * @param {string} options.fallbackEncoding - Encoding of files that declare no charset (default: 'utf-8')
+   * @param {string} options.siteRoot - Directory served as the site root; icon hrefs become relative to the file
+   * @param {string} options.publicPath - URL prefix the site is served under (alias: baseUrl); icon hrefs become absolute URLs under it
+   * @param {boolean|string} options.cacheBust - Add a content hash of the icon file to the href: 'query' (or true) or 'filename'
+   * @param {boolean|string} options.backup - Keep the original before writing: 'journal' (or true) or 'bak'
+   * @param {string} options.journalDir - Where journal runs are kept (default: '.favicon-journal' next to the file)
+   * @param {boolean} options.dryRun - Work out the changes without writing the file
+   * @returns {Promise<boolean>} - Whether the file was changed (or would be, in a dry run); see injectFile for the details
    */
   injectFavicon: injector.injectFavicon,
+
+  /**
+   * Injects favicon links into HTML held in memory, without reading or writing any file
+   * @param {string} html - HTML source, or a template in one of the supported formats
+   * @param {Object|Array|string} options - Same options as injectFavicon, except `detect`, `cacheBust` and the file-related ones
+   * @param {string} options.filePath - Where the page lives; picks the template format and is what hrefs are made relative to with `siteRoot`
+   * @param {string} options.template - Template format of the source: 'html' (default), 'ejs', 'handlebars', 'nunjucks' or 'php'
+   * @returns {{html: string, status: string, reason: string, added: Array<Object>, tags: Array<string>}}
+   *   - status is one of 'injected', 'replaced', 'already-present' or 'no-head'
+   */
+  injectHtml: injector.injectHtml,
+
+  /**
+   * Lists the favicon links in HTML held in memory
+   * @param {string} html - HTML source, or a template in one of the supported formats
+   * @param {Object} options - `filePath` or `template`, as for injectHtml
+   * @returns {Array<{role: string, rel: string, href: string|null, type: string|null, sizes: string|null}>} - Favicon links in document order
+   */
+  detectFavicons: injector.detectFavicons,
+
+  /**
+   * Injects favicon links into an HTML file and reports what happened
+   * @param {string} filePath - Path to the HTML file
+   * @param {Object|Array|string} options - Same options as injectFavicon
+   * @returns {Promise<{file: string, status: string, error: Error|null, added: Array<Object>, tags: Array<string>, diff: string|null}>}
+   *   - status is one of 'injected', 'replaced', 'already-present', 'no-head', 'not-a-file' or 'error'
+   */
+  injectFile: injector.injectFile,
   
   /**
    * Recursively scans a directory and injects favicon into all HTML files
    * @param {string} dirPath - Path to the directory
-   * @param {Object|string} options - Options object or favicon path string
+   * @param {Object|Array|string} options - Options object, array of icon descriptors or favicon path string
    * @param {string} options.path - Path to the favicon file (default: '/favicon.ico')
    * @param {string} options.rel - Relationship attribute (default: 'icon')
-   * @param {string} options.type - MIME type of the favicon (auto-detected if not provided)
-   * @param {string} options.sizes - Size attribute for the favicon
-   * @returns {Promise<{total: number, injected: number, skipped: number, failed: number}>} - Operation statistics
+   * @param {string} options.type - MIME type of the favicon (detected from the icon file or its extension if not provided)
+   * @param {string} options.sizes - Size attribute for the favicon (detected from the icon file if not provided)
+   * @param {boolean} options.detect - Read local icon files to fill in type and sizes (default: true)
+   * @param {Array<Object>} options.icons - Icon descriptors to inject together (an array may also be passed as options)
+   * @param {string} options.mode - What to do with existing favicon links: 'skip' (default), 'replace' or 'merge'
+   * @param {string} options.noHead - What to do with files that have no <head>: 'skip' (default), 'create-head' or 'prepend'
+   * @param {boolean} options.reserialize - Rewrite the whole document with cheerio instead of only splicing in the new tags
+   * @param {string} options.fallbackEncoding - Encoding of files that declare no charset (default: 'utf-8')
+   * @param {boolean} options.dryRun - Work out the changes without writing any file; implies `diff`
+   * @param {boolean} options.diff - Collect a unified diff per changed file in `stats.diffs`
+   * @param {Array<string>} options.extensions - File extensions to process (default: ['.html']); see "Template Files" in the README
+   * @param {string|Array<string>} options.include - Only process files matching these globs
+   * @param {string|Array<string>} options.exclude - Skip files and directories matching these globs
+   * @param {boolean} options.defaultExcludes - Skip node_modules, .git, bower_components and jspm_packages (default: true)
+   * @param {string|boolean} options.ignoreFile - Ignore file to read from the directory (default: '.faviconignore', false to disable)
+   * @param {boolean} options.gitignore - Also honour the directory's .gitignore (default: false)
+   * @param {number} options.concurrency - Maximum number of files processed at once (default: 8)
+   * @param {number|boolean} options.workers - Parse and render files in this many worker threads (true: one per spare CPU core)
+   * @param {Function} options.onFile - Called with each file's entry as soon as the file is done
+   * @param {Function} options.onProgress - Called after each file with `{completed, total, file, status}`; `total` counts
+   *   the entries the scan couldn't read, which are reported last
+   * @param {boolean|string} options.backup - Keep the original of every changed file: 'journal' (or true) or 'bak'
+   * @param {string} options.journalDir - Where journal runs are kept (default: '.favicon-journal' in the directory)
+   * @returns {Promise<{total: number, injected: number, replaced: number, skipped: number, noHead: number, failed: number, excluded: Object, notIncluded: number, icons: Array<Object>, files: Array<Object>, diffs: Array<Object>, journal: string}>} - Operation statistics
+   */
+  injectDir: injector.injectDir,
+
+  /**
+   * Removes favicon links from an HTML file
+   * @param {string} filePath - Path to the HTML file
+   * @param {Object|string} filter - Removal filter, or a rel string (default: all icon links)
+   * @param {string|Array<string>} filter.rel - Only remove links with this rel (matched by icon role)
+   * @param {string|RegExp} filter.href - Only remove links whose href matches (`*` is a wildcard)
+   * @param {string} filter.type - Only remove links with this MIME type
+   * @param {boolean|string} filter.backup - Keep the original before writing: 'journal' (or true) or 'bak'
+   * @param {string} filter.journalDir - Where journal runs are kept (default: '.favicon-journal' next to the file)
+   * @returns {Promise<boolean>} - Whether any link was removed
+   */
+  removeFavicon: injector.removeFavicon,
+
+  /**
+   * Recursively scans a directory and removes favicon links from all HTML files
+   * @param {string} dirPath - Path to the directory
+   * @param {Object|string} filter - Removal filter, or a rel string (see removeFavicon); also accepts the scan and backup options of injectDir
+   * @returns {Promise<{total: number, removed: number, links: number, skipped: number, failed: number, excluded: Object, notIncluded: number, journal: string}>} - Operation statistics
+   */
+  removeDir: injector.removeDir,
+
+  /**
+   * Checks which required icon roles an HTML file lacks, without modifying it
+   * @param {string} filePath - Path to the HTML file
+   * @param {Object} options - Check options
+   * @param {Array<string>} options.roles - Icon roles every page must have (default: ['icon'])
+   * @returns {Promise<{file: string, status: string, reason: string, missing: Array<string>, error: Error|null}>} - Check result
+   */
+  checkFile: injector.checkFile,
+
+  /**
+   * Recursively scans a directory and checks that every page has the required icon roles, without modifying any file
+   * @param {string} dirPath - Path to the directory
+   * @param {Object} options - Check options; also accepts the scan options of injectDir
+   * @param {Array<string>} options.roles - Icon roles every page must have (default: ['icon'])
+   * @param {number} options.maxMissing - Number of pages allowed to miss roles before the check fails (default: 0)
+   * @returns {Promise<{total: number, complete: number, missing: number, skipped: number, failed: number, excluded: Object, notIncluded: number, files: Array<Object>, passed: boolean}>} - Check statistics
+   */
+  checkDir: injector.checkDir,
+
+  /**
+   * Checks that every favicon link in an HTML file points to an existing image of the declared type and an acceptable size
+   * @param {string} filePath - Path to the HTML file
+   * @param {Object} options - Validation options
+   * @param {string} options.siteRoot - Directory served as the site root (default: the file's directory)
+   * @param {string} options.publicPath - URL prefix the site is served under
+   * @param {number} options.maxSize - Largest acceptable icon file in bytes (default: 100 KB)
+   * @returns {Promise<{file: string, status: string, reason: string, icons: Array<Object>, error: Error|null}>} - Validation result
+   */
+  validateFile: injector.validateFile,
+
+  /**
+   * Recursively scans a directory and validates the favicon links of every HTML file, and the configured icons if any
+   * @param {string} dirPath - Path to the directory
+   * @param {Object|Array|string} options - Validation options (see validateFile, siteRoot defaults to the directory);
+   *   also accepts the icons to be injected and the scan options of injectDir
+   * @returns {Promise<{total: number, icons: number, valid: number, external: number, broken: number, mismatched: number, oversized: number, failed: number, excluded: Object, notIncluded: number, configured: Array<Object>, files: Array<Object>, passed: boolean}>} - Validation statistics
+   */
+  validateDir: injector.validateDir,
+
+  /**
+   * Restores the files changed by the most recent run made with `backup: 'journal'`; each call goes back one run
+   * @param {string} dirPath - Directory the run was made on
+   * @param {Object} options - Undo options
+   * @param {string} options.journalDir - Where journal runs are kept (default: '.favicon-journal' in the directory)
+   * @returns {Promise<{run: string|null, total: number, restored: number, failed: number, files: Array<Object>}>} - Restored run and its files
+   */
+  undoLastRun: injector.undoLastRun,
+
+  /**
+   * Lists the icon roles an HTML file already has a link for
+   * @param {string} filePath - Path to the HTML file
+   * @returns {Promise<Array<string>>} - Icon roles present ('icon', 'apple-touch-icon', 'mask-icon')
+   */
+  getIconRoles: injector.getIconRoles,
+
+  /**
+   * Loads the project config (.faviconrc, .faviconrc.json, .faviconrc.js, favicon.config.js
+   * or the package.json "favicon" key), searching from a directory up to the filesystem root
+   * @param {string} dirPath - Directory to start from (default: the working directory)
+   * @param {Object} options - Loader options
+   * @param {string} options.configFile - Load this file instead of searching
+   * @returns {Promise<{config: Object, filePath: string|null}>} - Injector options and the file they came from
+   */
+  loadConfig: config.loadConfig,
+
+  /**
+   * Creates Express/Connect middleware that injects favicon links into HTML responses, including
+   * chunked and gzip, deflate or Brotli compressed ones; other responses pass through untouched
+   * @param {Object|Array|string} options - Same options as injectHtml
+   * @returns {Function} - Middleware taking `(req, res, next)`
+   */
+  faviconMiddleware: middleware.faviconMiddleware,
+
+  /**
+   * Creates a transform stream that injects favicon links with the same results as injectFavicon: an object-mode
+   * stream of Vinyl-like `{path, contents}` files (as in gulp), or with `objectMode: false` a byte stream of one page
+   * whose head is sent on as soon as it has been read
+   * @param {Object|Array|string} options - Same options as injectFavicon, plus `objectMode`, and `filePath` and `template` for bytes
+   * @returns {Transform} - Transform stream
    */
-  injectDir: injector.injectDir
+  createInjectStream: stream.createInjectStream
 }; 
\ No newline at end of file
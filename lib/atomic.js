@@ -0,0 +1,38 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Writes a file by writing a temporary file next to it and renaming that over the original.
+ * A crash or a full disk mid-write leaves the old contents in place rather than a truncated file.
+ * The file keeps its permissions, and a symlink keeps pointing at the file it links to.
+ * @param {string} filePath - Path to the file
+ * @param {string|Buffer} data - New contents
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data) {
+  // Replace the file a symlink points to, not the link itself
+  const target = await fs.realpath(filePath).catch(() => filePath);
+  const mode = await fs.stat(target).then(stats => stats.mode & 0o7777, () => null);
+
+  // The temporary file must be on the same file system for the rename to be atomic
+  const suffix = crypto.randomBytes(6).toString('hex');
+  const tempPath = path.join(path.dirname(target), `.${path.basename(target)}.${suffix}.tmp`);
+
+  try {
+    await fs.writeFile(tempPath, data);
+    if (mode !== null) {
+      await fs.chmod(tempPath, mode);
+    }
+    await fs.rename(tempPath, target);
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeFileAtomic
+};
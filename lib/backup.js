@@ -0,0 +1,204 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { writeFileAtomic } = require('./atomic');
+
+/**
+ * Ways of keeping the original of every file a run changes:
+ * - `journal` copies it into a run directory under the journal directory, so `undo` can restore the run
+ * - `bak` copies it to `<file>.bak` next to the file, replacing any earlier backup
+ */
+const BACKUP_MODES = ['journal', 'bak'];
+
+/**
+ * Journal directory, relative to the scanned directory, when no `journalDir` option is given
+ */
+const DEFAULT_JOURNAL_DIR = '.favicon-journal';
+
+/**
+ * Suffix of `bak` backups
+ */
+const BAK_SUFFIX = '.bak';
+
+/**
+ * Suffix of the originals kept in a journal run, so a scan of the site never picks them up as pages
+ */
+const ORIGINAL_SUFFIX = '.orig';
+
+/**
+ * Name of the file describing a journal run
+ */
+const RUN_FILE = 'run.json';
+
+/**
+ * Works out where the journal of a directory is kept
+ * @param {string} root - Scanned directory
+ * @param {string|null} journalDir - Journal directory from the options (relative to the working directory)
+ * @returns {string} - Absolute journal directory
+ */
+function getJournalDir(root, journalDir) {
+  return journalDir ? path.resolve(journalDir) : path.resolve(root, DEFAULT_JOURNAL_DIR);
+}
+
+/**
+ * Starts a journal run. Runs are named after their start time, so they sort in the order they were made.
+ * @param {string} journalDir - Journal directory
+ * @param {string} root - Directory the changed files are in
+ * @param {string} command - What the run does, e.g. 'inject' or 'remove'
+ * @returns {Promise<{id: string, dir: string, root: string}>} - Run name, run directory and absolute root
+ */
+async function startRun(journalDir, root, command) {
+  await fs.ensureDir(journalDir);
+  const created = new Date().toISOString();
+  const stamp = created.replace(/[:.]/g, '-');
+
+  // Two runs started in the same millisecond get a counter
+  for (let attempt = 0; ; attempt++) {
+    const id = attempt === 0 ? stamp : `${stamp}-${attempt}`;
+    const dir = path.join(journalDir, id);
+    try {
+      await fs.mkdir(dir);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        continue;
+      }
+      throw error;
+    }
+
+    const run = { id, dir, root: path.resolve(root) };
+    await fs.writeJson(path.join(dir, RUN_FILE), { id, root: run.root, command, created }, { spaces: 2 });
+    return run;
+  }
+}
+
+/**
+ * Keeps the original of a file before it is overwritten. Backups are written
+ * atomically, so a backup on disk is always a complete copy.
+ * @param {string} filePath - Path to the file
+ * @param {string} mode - One of BACKUP_MODES
+ * @param {Object} [run] - Journal run from startRun (required for `journal`)
+ * @returns {Promise<string>} - Path to the backup
+ */
+async function backupFile(filePath, mode, run) {
+  const original = await fs.readFile(filePath);
+
+  if (mode === 'bak') {
+    const backupPath = `${filePath}${BAK_SUFFIX}`;
+    await writeFileAtomic(backupPath, original);
+    return backupPath;
+  }
+
+  // Originals are kept under their path relative to the run's root
+  const relPath = path.relative(run.root, path.resolve(filePath));
+  if (relPath.startsWith('..') || path.isAbsolute(relPath)) {
+    throw new Error(`Cannot back up ${filePath}: it is outside ${run.root}`);
+  }
+  const backupPath = path.join(run.dir, 'files', `${relPath}${ORIGINAL_SUFFIX}`);
+  await fs.ensureDir(path.dirname(backupPath));
+  await writeFileAtomic(backupPath, original);
+  return backupPath;
+}
+
+/**
+ * Ends a journal run, dropping it if it changed no file so `undo` goes back to the last real change
+ * @param {Object} run - Journal run from startRun
+ * @returns {Promise<boolean>} - Whether the run was kept
+ */
+async function finishRun(run) {
+  if (await fs.pathExists(path.join(run.dir, 'files'))) {
+    return true;
+  }
+  await fs.remove(run.dir);
+  return false;
+}
+
+/**
+ * Lists the runs in a journal directory, oldest first
+ * @param {string} journalDir - Journal directory
+ * @returns {Promise<Array<string>>} - Run names
+ */
+async function listRuns(journalDir) {
+  if (!(await fs.pathExists(journalDir))) {
+    return [];
+  }
+
+  const runs = [];
+  for (const item of await fs.readdir(journalDir)) {
+    if (await fs.pathExists(path.join(journalDir, item, RUN_FILE))) {
+      runs.push(item);
+    }
+  }
+  return runs.sort();
+}
+
+/**
+ * Lists the originals kept in a run directory
+ * @param {string} dir - Directory to list
+ * @param {string} [prefix] - Path of `dir` relative to the run's files directory
+ * @returns {Promise<Array<string>>} - Relative paths of the originals
+ */
+async function listOriginals(dir, prefix = '') {
+  if (!(await fs.pathExists(dir))) {
+    return [];
+  }
+
+  const originals = [];
+  for (const item of (await fs.readdir(dir)).sort()) {
+    const relPath = path.join(prefix, item);
+    if ((await fs.stat(path.join(dir, item))).isDirectory()) {
+      originals.push(...await listOriginals(path.join(dir, item), relPath));
+    } else if (item.endsWith(ORIGINAL_SUFFIX)) {
+      originals.push(relPath);
+    }
+  }
+  return originals;
+}
+
+/**
+ * Restores every file of the most recent journal run and removes the run, so the
+ * next call goes back one run further. A run with files that couldn't be restored is
+ * kept, so it can be tried again.
+ * @param {string} journalDir - Journal directory
+ * @returns {Promise<{run: string|null, root: string|null, files: Array<{file: string, error: Error|null}>}>} - Restored run
+ *   (null if there is none) and the outcome for each of its files
+ */
+async function restoreLastRun(journalDir) {
+  const runs = await listRuns(journalDir);
+  if (runs.length === 0) {
+    return { run: null, root: null, files: [] };
+  }
+
+  const id = runs[runs.length - 1];
+  const runDir = path.join(journalDir, id);
+  const { root } = await fs.readJson(path.join(runDir, RUN_FILE));
+  const filesDir = path.join(runDir, 'files');
+
+  const files = [];
+  for (const relPath of await listOriginals(filesDir)) {
+    const file = path.join(root, relPath.slice(0, -ORIGINAL_SUFFIX.length));
+    try {
+      await writeFileAtomic(file, await fs.readFile(path.join(filesDir, relPath)));
+      files.push({ file, error: null });
+    } catch (error) {
+      console.error(`Error restoring ${file}:`, error);
+      files.push({ file, error });
+    }
+  }
+
+  if (files.every(entry => !entry.error)) {
+    await fs.remove(runDir);
+  }
+  return { run: id, root, files };
+}
+
+module.exports = {
+  BACKUP_MODES,
+  DEFAULT_JOURNAL_DIR,
+  getJournalDir,
+  startRun,
+  backupFile,
+  finishRun,
+  listRuns,
+  restoreLastRun
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { isAbsoluteUrl } = require('./hrefs');
+
+/**
+ * Ways of making browsers fetch a changed favicon:
+ * - `query` appends `?v=<hash>` to the href
+ * - `filename` copies the icon to `<name>.<hash><ext>` and links to the copy
+ */
+const CACHE_BUST_MODES = ['query', 'filename'];
+
+/**
+ * Number of hex characters of the content hash that are used
+ */
+const HASH_LENGTH = 8;
+
+/**
+ * Hashes the contents of a file
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} - Shortened SHA-256 hex digest
+ */
+async function hashFile(filePath) {
+  const content = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+/**
+ * Adds a version parameter to an href, replacing any earlier one
+ * @param {string} href - Href, possibly with a query string or fragment
+ * @param {string} hash - Content hash
+ * @returns {string} - Href with `v=<hash>` in its query string
+ */
+function addVersionParam(href, hash) {
+  const [, base, query, fragment] = href.match(/^([^?#]*)(?:\?([^#]*))?(#.*)?$/);
+  const params = (query || '').split('&').filter(param => param && !/^v=/.test(param));
+  params.push(`v=${hash}`);
+  return `${base}?${params.join('&')}${fragment || ''}`;
+}
+
+/**
+ * Inserts a hash before the extension of a file name or href path
+ * @param {string} name - File name or path
+ * @param {string} hash - Content hash
+ * @returns {string} - e.g. `favicon.1a2b3c4d.ico`
+ */
+function hashedName(name, hash) {
+  const ext = path.posix.extname(name);
+  return `${name.slice(0, name.length - ext.length)}.${hash}${ext}`;
+}
+
+/**
+ * Adds a content hash to an icon's path so browsers pick up a changed icon.
+ * The icon file is looked up under the root directory, like the site would
+ * serve it. Hashes and copies are made once per icon and shared through the cache.
+ * @param {Object} icon - Normalized icon descriptor
+ * @param {Object} context - Cache-busting settings
+ * @param {string} context.mode - One of CACHE_BUST_MODES
+ * @param {string} context.root - Directory the icon path is relative to
+ * @param {boolean} context.dryRun - Don't write hashed copies
+ * @param {Map} context.cache - Results shared between files, keyed by icon file
+ * @returns {Promise<Object>} - Descriptor with the cache-busted path, or the original if the icon file can't be found
+ */
+async function cacheBustIcon(icon, context) {
+  if (isAbsoluteUrl(icon.path)) {
+    return icon;
+  }
+
+  const [, pathPart, suffix] = icon.path.match(/^([^?#]*)(.*)$/);
+  const iconFile = path.join(context.root, pathPart.replace(/^\/+/, ''));
+  const key = `${context.mode}:${iconFile}`;
+
+  if (!context.cache.has(key)) {
+    context.cache.set(key, (async () => {
+      if (!(await fs.pathExists(iconFile))) {
+        console.warn(`Cannot cache-bust ${icon.path}: ${iconFile} not found`);
+        return null;
+      }
+
+      const hash = await hashFile(iconFile);
+      if (context.mode === 'filename') {
+        const copy = hashedName(iconFile, hash);
+        if (!context.dryRun && !(await fs.pathExists(copy))) {
+          await fs.copy(iconFile, copy);
+        }
+      }
+      return hash;
+    })());
+  }
+
+  const hash = await context.cache.get(key);
+  if (!hash) {
+    return icon;
+  }
+
+  const busted = context.mode === 'filename'
+    ? hashedName(pathPart, hash) + suffix
+    : addVersionParam(icon.path, hash);
+  return { ...icon, path: busted };
+}
+
+module.exports = {
+  CACHE_BUST_MODES,
+  hashFile,
+  addVersionParam,
+  hashedName,
+  cacheBustIcon
+};
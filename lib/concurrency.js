@@ -0,0 +1,145 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+/**
+ * Files processed at once when no `concurrency` option is given
+ */
+const DEFAULT_CONCURRENCY = 8;
+
+/**
+ * Script run by each worker thread
+ */
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+/**
+ * Maps over items with at most `limit` calls in flight.
+ * Results come back in the order of the items, however the calls interleave.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of calls running at once
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} - Results, in item order
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runner() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, runner);
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Copies the options that can be sent to a worker thread; callbacks stay behind
+ * @param {Object|Array|string} options - Injector options
+ * @returns {Object|Array|string} - Options without function values
+ */
+function cloneableOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return options;
+  }
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => typeof value !== 'function'));
+}
+
+/**
+ * Works out how many worker threads to start
+ * @param {number|boolean} workers - Number of threads, or true for one per spare CPU core
+ * @returns {number} - Number of threads (0 to stay on the main thread)
+ */
+function workerCount(workers) {
+  if (workers === true) {
+    const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+    return Math.max(1, cores - 1);
+  }
+  return workers || 0;
+}
+
+/**
+ * Starts a pool of worker threads that inject favicons into files, so the
+ * parsing and rendering of a large site is spread over several CPU cores.
+ * Each worker handles one file at a time; further files wait in a queue.
+ * @param {number} size - Number of threads
+ * @param {Object} workerData - Settings shared by every file of the run
+ * @param {Object|Array|string} workerData.options - Injector options
+ * @param {string} workerData.root - Scanned directory
+ * @param {Object|null} workerData.journal - Journal run the originals are backed up into
+ * @returns {{run: Function, close: Function}} - `run(filePath)` resolves with the file's result; `close()` stops the threads
+ */
+function createWorkerPool(size, workerData) {
+  const idle = [];
+  const queue = [];
+  const data = { ...workerData, options: cloneableOptions(workerData.options) };
+  let workers = [];
+
+  // Hands the next queued file to a free worker
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.shift();
+      worker.task = queue.shift();
+      worker.postMessage({ filePath: worker.task.filePath });
+    }
+  }
+
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(WORKER_SCRIPT, { workerData: data });
+    worker.task = null;
+
+    worker.on('message', ({ result }) => {
+      const task = worker.task;
+      worker.task = null;
+      idle.push(worker);
+      task.resolve(result);
+      dispatch();
+    });
+
+    // A crashed worker fails its file and leaves the pool
+    worker.on('error', error => {
+      workers = workers.filter(item => item !== worker);
+      if (idle.includes(worker)) {
+        idle.splice(idle.indexOf(worker), 1);
+      }
+      if (worker.task) {
+        worker.task.reject(error);
+      }
+      if (workers.length === 0) {
+        queue.splice(0).forEach(task => task.reject(error));
+      }
+    });
+
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  return {
+    run(filePath) {
+      return new Promise((resolve, reject) => {
+        if (workers.length === 0) {
+          reject(new Error('No worker threads left'));
+          return;
+        }
+        queue.push({ filePath, resolve, reject });
+        dispatch();
+      });
+    },
+
+    close() {
+      return Promise.all(workers.map(worker => worker.terminate()));
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  mapLimit,
+  workerCount,
+  createWorkerPool
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { types } = require('util');
+
+/**
+ * Config file names, checked in this order in each directory
+ */
+const CONFIG_FILES = [
+  '.faviconrc', '.faviconrc.json', '.faviconrc.js', '.faviconrc.cjs', '.faviconrc.mjs',
+  'favicon.config.js', 'favicon.config.cjs', 'favicon.config.mjs'
+];
+
+/**
+ * Key holding the settings in package.json
+ */
+const PACKAGE_KEY = 'favicon';
+
+/**
+ * Settings that hold a directory; relative ones are relative to the config file
+ */
+const PATH_SETTINGS = ['siteRoot', 'journalDir'];
+
+/**
+ * Checks whether a path is an existing regular file
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} - Whether the file exists
+ */
+async function isFile(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Turns a config value into an injector options object.
+ * Like the options themselves, a config can be a favicon path, an array of
+ * icon descriptors or an options object. Directory settings are resolved
+ * against the config file's directory, so the config means the same thing
+ * wherever the CLI is run from.
+ * @param {Object|Array|string} value - Config value
+ * @param {string} filePath - File the value was read from
+ * @returns {Object} - Injector options
+ */
+function normalizeConfig(value, filePath) {
+  if (typeof value === 'string') {
+    return { path: value };
+  }
+  if (Array.isArray(value)) {
+    return { icons: value };
+  }
+  if (value && typeof value === 'object') {
+    const config = { ...value };
+    for (const name of PATH_SETTINGS) {
+      if (typeof config[name] === 'string') {
+        config[name] = path.resolve(path.dirname(filePath), config[name]);
+      }
+    }
+    return config;
+  }
+  throw new Error(`Invalid config in ${filePath}: expected an object, an array or a favicon path`);
+}
+
+/**
+ * Loads an ES module config and returns its default export
+ * @param {string} filePath - Path to the module
+ * @returns {Promise<Object|Array|string>} - Config value
+ */
+async function importConfig(filePath) {
+  // Modules are cached by URL, so a changed file gets a new one
+  const { mtimeMs } = await fs.stat(filePath);
+  const module = await import(`${pathToFileURL(filePath).href}?mtime=${mtimeMs}`);
+  return module.default;
+}
+
+/**
+ * Reads a config file. CommonJS files are required and ES modules imported (a `.js`
+ * file is imported when its package has `"type": "module"`); anything else is parsed as JSON.
+ * @param {string} filePath - Path to the config file
+ * @returns {Promise<Object|Array|string>} - Config value
+ */
+async function readConfigFile(filePath) {
+  const extension = path.extname(filePath);
+  if (extension === '.mjs') {
+    return importConfig(filePath);
+  }
+  if (extension === '.js' || extension === '.cjs') {
+    // Pick up changes when the same file is loaded again
+    delete require.cache[require.resolve(filePath)];
+    try {
+      const value = require(filePath);
+      // Newer Node versions require ES modules too, and return their namespace
+      return types.isModuleNamespaceObject(value) ? value.default : value;
+    } catch (error) {
+      if (error.code !== 'ERR_REQUIRE_ESM') {
+        throw error;
+      }
+      return importConfig(filePath);
+    }
+  }
+
+  const content = await fs.readFile(filePath, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid config in ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Looks for a config in a single directory
+ * @param {string} dirPath - Directory to look in
+ * @returns {Promise<{config: Object, filePath: string}|null>} - Config found, or null
+ */
+async function findConfigIn(dirPath) {
+  for (const name of CONFIG_FILES) {
+    const filePath = path.join(dirPath, name);
+    if (await isFile(filePath)) {
+      return { config: normalizeConfig(await readConfigFile(filePath), filePath), filePath };
+    }
+  }
+
+  const pkgPath = path.join(dirPath, 'package.json');
+  if (await isFile(pkgPath)) {
+    const pkg = await readConfigFile(pkgPath);
+    if (pkg && pkg[PACKAGE_KEY] !== undefined) {
+      return { config: normalizeConfig(pkg[PACKAGE_KEY], pkgPath), filePath: pkgPath };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Loads the project config for a directory.
+ * Looks for .faviconrc, .faviconrc.json, .faviconrc.js (or .cjs/.mjs),
+ * favicon.config.js (or .cjs/.mjs) or a "favicon" key in package.json, starting
+ * in the directory and walking up to the filesystem root. The nearest config wins.
+ * @param {string} dirPath - Directory to start from (default: the working directory)
+ * @param {Object} options - Loader options
+ * @param {string} options.configFile - Load this file instead of searching
+ * @returns {Promise<{config: Object, filePath: string|null}>} - Injector options from the config
+ *   (empty if none was found) and the file they came from
+ */
+async function loadConfig(dirPath = process.cwd(), options = {}) {
+  if (options.configFile) {
+    const filePath = path.resolve(options.configFile);
+    if (!(await isFile(filePath))) {
+      throw new Error(`Config file ${filePath} does not exist`);
+    }
+
+    // An explicit package.json holds the settings under its key, like a found one
+    const value = await readConfigFile(filePath);
+    const config = path.basename(filePath) === 'package.json' ? value[PACKAGE_KEY] || {} : value;
+    return { config: normalizeConfig(config, filePath), filePath };
+  }
+
+  let current = path.resolve(dirPath);
+  for (;;) {
+    const found = await findConfigIn(current);
+    if (found) {
+      return found;
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return { config: {}, filePath: null };
+    }
+    current = parent;
+  }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  PACKAGE_KEY,
+  loadConfig
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+const path = require('path');
+const { structuredPatch } = require('diff');
+
+/**
+ * Creates a git-style unified diff between two versions of a file
+ * @param {string} filePath - Path to the file, shown relative to the working directory
+ * @param {string} before - Original contents
+ * @param {string} after - Updated contents
+ * @param {number} [context=3] - Lines of context around each change
+ * @returns {string} - Unified diff, or an empty string if nothing changed
+ */
+function unifiedDiff(filePath, before, after, context = 3) {
+  const patch = structuredPatch(filePath, filePath, before, after, undefined, undefined, { context });
+  if (patch.hunks.length === 0) {
+    return '';
+  }
+
+  const name = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+  const lines = [`--- a/${name}`, `+++ b/${name}`];
+
+  for (const hunk of patch.hunks) {
+    // An empty range starts on the line before the hunk, as in `diff -u`
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    lines.push(`@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`, ...hunk.lines);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  unifiedDiff
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const fs = require('fs-extra');
+const iconv = require('iconv-lite');
+const { writeFileAtomic } = require('./atomic');
+
+/**
+ * Encoding used for files that declare none, when no `fallbackEncoding` option is given
+ */
+const DEFAULT_ENCODING = 'utf-8';
+
+/**
+ * Number of bytes searched for a charset declaration; browsers look no further
+ */
+const PRESCAN_BYTES = 1024;
+
+/**
+ * Byte order marks and the encodings they announce
+ */
+const BOMS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+/**
+ * Finds the byte order mark a buffer starts with
+ * @param {Buffer} buffer - File contents
+ * @returns {Object|null} - Entry of BOMS, or null
+ */
+function findBom(buffer) {
+  return BOMS.find(bom => bom.bytes.every((byte, i) => buffer[i] === byte)) || null;
+}
+
+/**
+ * Reads the charset declared by a <meta charset>, a <meta http-equiv="Content-Type">
+ * or an XML declaration near the start of a document
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} - Declared charset label, or null
+ */
+function findDeclaredCharset(buffer) {
+  // Declarations are ASCII in every encoding we can read without a BOM
+  const head = buffer.toString('latin1', 0, Math.min(buffer.length, PRESCAN_BYTES));
+  const meta = head.match(/<meta\b[^>]*?\bcharset\s*=\s*["']?\s*([\w.:-]+)/i);
+  if (meta) {
+    return meta[1];
+  }
+  const xml = head.match(/^\s*<\?xml\b[^>]*\bencoding\s*=\s*["']([\w.:-]+)["']/i);
+  return xml ? xml[1] : null;
+}
+
+/**
+ * Works out the encoding of an HTML file: a BOM wins, then a charset
+ * declaration, then the fallback
+ * @param {Buffer} buffer - File contents
+ * @param {string} fallback - Encoding for files that declare none
+ * @returns {{encoding: string, bom: boolean}} - Encoding name and whether the file starts with a BOM
+ */
+function detectEncoding(buffer, fallback = DEFAULT_ENCODING) {
+  const bom = findBom(buffer);
+  if (bom) {
+    return { encoding: bom.encoding, bom: true };
+  }
+
+  const declared = findDeclaredCharset(buffer);
+  if (declared) {
+    // A UTF-16 declaration in a file readable as ASCII means UTF-8, as in browsers
+    if (/^utf-?16/i.test(declared)) {
+      return { encoding: 'utf-8', bom: false };
+    }
+    if (iconv.encodingExists(declared)) {
+      return { encoding: declared.toLowerCase(), bom: false };
+    }
+    console.warn(`Unsupported charset '${declared}', reading as ${fallback}`);
+  }
+  return { encoding: fallback, bom: false };
+}
+
+/**
+ * Decodes an HTML document in its own encoding
+ * @param {Buffer} buffer - Document bytes
+ * @param {Object} options - Decoder options
+ * @param {string} options.fallbackEncoding - Encoding for documents that declare none (default: 'utf-8')
+ * @param {string} options.encoding - Encoding given by the transport, e.g. the charset of a Content-Type header;
+ *   it wins over a charset declaration in the document, but not over a BOM
+ * @returns {{html: string, encoding: string, bom: boolean}} - Decoded source without the BOM,
+ *   and what is needed to encode it back the same way
+ */
+function decodeDocument(buffer, options = {}) {
+  const fallback = options.fallbackEncoding || DEFAULT_ENCODING;
+  if (!iconv.encodingExists(fallback)) {
+    throw new Error(`Unknown encoding '${fallback}'`);
+  }
+
+  const detected = detectEncoding(buffer, fallback);
+  const encoding = !detected.bom && options.encoding && iconv.encodingExists(options.encoding)
+    ? options.encoding.toLowerCase()
+    : detected.encoding;
+  const bomLength = detected.bom ? findBom(buffer).bytes.length : 0;
+  return { html: iconv.decode(buffer.slice(bomLength), encoding, { stripBOM: false }), encoding, bom: detected.bom };
+}
+
+/**
+ * Reads an HTML file in its own encoding
+ * @param {string} filePath - Path to the file
+ * @param {Object} options - Reader options
+ * @param {string} options.fallbackEncoding - Encoding for files that declare none (default: 'utf-8')
+ * @returns {Promise<{html: string, encoding: string, bom: boolean}>} - Decoded source (see decodeDocument)
+ */
+async function readDocument(filePath, options = {}) {
+  return decodeDocument(await fs.readFile(filePath), { fallbackEncoding: options.fallbackEncoding });
+}
+
+/**
+ * Encodes HTML the way the original file was encoded
+ * @param {string} html - Updated source
+ * @param {Object} source - Result of readDocument
+ * @returns {Buffer} - File contents, with the BOM if the original had one
+ */
+function encodeDocument(html, source) {
+  return iconv.encode(html, source.encoding, { addBOM: source.bom });
+}
+
+/**
+ * Writes HTML back to a file in the encoding it was read with, replacing the file atomically
+ * @param {string} filePath - Path to the file
+ * @param {string} html - Updated source
+ * @param {Object} source - Result of readDocument
+ * @returns {Promise<void>}
+ */
+function writeDocument(filePath, html, source) {
+  return writeFileAtomic(filePath, encodeDocument(html, source));
+}
+
+module.exports = {
+  DEFAULT_ENCODING,
+  detectEncoding,
+  decodeDocument,
+  readDocument,
+  encodeDocument,
+  writeDocument
+};
@@ -0,0 +1,142 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Checks whether an href is a full URL (with a scheme, or protocol-relative)
+ * rather than a path within the site
+ * @param {string} href - Href to check
+ * @returns {boolean} - Whether the href is a full URL
+ */
+function isAbsoluteUrl(href) {
+  return /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(href);
+}
+
+/**
+ * Reads the document's <base href>, if it has one
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @returns {string|null} - Base href
+ */
+function getBaseHref($) {
+  const href = $('base[href]').first().attr('href');
+  return href && href.trim() ? href.trim() : null;
+}
+
+/**
+ * Strips leading and trailing slashes from a site path ('' is the site root)
+ * @param {string} sitePath - '/'-separated path
+ * @returns {string} - Trimmed path
+ */
+function trimSlashes(sitePath) {
+  return sitePath.replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Works out the site directory that relative URLs in a page resolve against:
+ * the page's own directory, or the directory its <base href> points to
+ * @param {string} pageDir - Directory of the page, relative to the site root
+ * @param {string|null} baseHref - Base href of the page
+ * @returns {string} - Directory relative to the site root
+ */
+function resolveBaseDir(pageDir, baseHref) {
+  if (!baseHref) {
+    return pageDir;
+  }
+
+  let basePath = baseHref.split(/[?#]/)[0];
+  if (isAbsoluteUrl(basePath)) {
+    // Only the path of a full URL says where in the site it points
+    try {
+      basePath = new URL(basePath, 'http://localhost').pathname;
+    } catch (error) {
+      return pageDir;
+    }
+  }
+
+  // A base without a trailing slash points at a document; URLs resolve against its directory
+  const dir = basePath.endsWith('/') ? basePath : path.posix.dirname(basePath);
+  if (dir.startsWith('/')) {
+    return trimSlashes(path.posix.normalize(dir));
+  }
+  return trimSlashes(path.posix.join(pageDir, dir));
+}
+
+/**
+ * Computes the href of an icon for one page.
+ * The icon path is taken relative to the site root, with or without a leading
+ * slash. With a public path it becomes an absolute URL under that path;
+ * otherwise it becomes relative to the page, or to the page's <base href>.
+ * Full URLs (https:, data:, //cdn...) are returned unchanged.
+ * @param {string} iconPath - Configured icon path
+ * @param {Object} context - Page details
+ * @param {string} context.filePath - Path to the page
+ * @param {string} context.siteRoot - Directory served as the site root
+ * @param {string|null} context.publicPath - URL prefix the site is served under
+ * @param {string|null} context.baseHref - Base href of the page
+ * @returns {string} - Href for the page
+ */
+function resolveHref(iconPath, context) {
+  if (isAbsoluteUrl(iconPath)) {
+    return iconPath;
+  }
+
+  // Keep any query string or fragment as it is
+  const [, pathPart, suffix] = iconPath.match(/^([^?#]*)(.*)$/);
+  const sitePath = path.posix.normalize(trimSlashes(pathPart) || '.');
+
+  if (context.publicPath) {
+    return context.publicPath.replace(/\/*$/, '/') + (sitePath === '.' ? '' : sitePath) + suffix;
+  }
+
+  const pageDir = path.relative(context.siteRoot, path.dirname(context.filePath)).split(path.sep).join('/');
+  const baseDir = resolveBaseDir(pageDir, context.baseHref);
+  return (path.posix.relative(`/${baseDir}`, `/${sitePath}`) || path.posix.basename(sitePath)) + suffix;
+}
+
+/**
+ * Finds the file an icon href points to; the reverse of resolveHref.
+ * Hrefs under the public path, root-relative hrefs and hrefs relative to the
+ * page (or its <base href>) are all looked up under the site root.
+ * @param {string} href - Href of a link in the page
+ * @param {Object} context - Page details
+ * @param {string} context.filePath - Path to the page
+ * @param {string} context.siteRoot - Directory served as the site root
+ * @param {string|null} context.publicPath - URL prefix the site is served under
+ * @param {string|null} context.baseHref - Base href of the page
+ * @returns {string|null} - Path to the file, or null for a full URL outside the site (https:, data:, ...)
+ */
+function hrefToFile(href, context) {
+  const pathPart = href.split(/[?#]/)[0];
+  const prefix = context.publicPath ? context.publicPath.replace(/\/*$/, '/') : null;
+
+  let sitePath;
+  if (prefix && pathPart.startsWith(prefix)) {
+    sitePath = pathPart.slice(prefix.length);
+  } else if (isAbsoluteUrl(pathPart)) {
+    return null;
+  } else {
+    if (pathPart.startsWith('/')) {
+      sitePath = pathPart;
+    } else {
+      const pageDir = path.relative(context.siteRoot, path.dirname(context.filePath)).split(path.sep).join('/');
+      sitePath = path.posix.join(resolveBaseDir(pageDir, context.baseHref), pathPart);
+    }
+  }
+
+  try {
+    sitePath = decodeURIComponent(sitePath);
+  } catch (error) {
+    // Keep malformed escapes as they are
+  }
+
+  // Never look outside the site root
+  const normalized = path.posix.normalize(`/${sitePath}`);
+  return path.join(context.siteRoot, normalized.replace(/^\/+/, ''));
+}
+
+module.exports = {
+  isAbsoluteUrl,
+  getBaseHref,
+  resolveHref,
+  hrefToFile
+};
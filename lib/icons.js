@@ -0,0 +1,209 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * MIME types for the favicon extensions we recognise
+ */
+const MIME_TYPES = {
+  '.ico': 'image/x-icon',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.cur': 'image/x-icon'
+};
+
+/**
+ * Attributes accepted in an icon descriptor, in the order they are written
+ */
+const ICON_KEYS = ['path', 'rel', 'type', 'sizes'];
+
+/**
+ * Icon roles, checked in order against the tokens of a rel attribute
+ */
+const ROLES = [
+  { role: 'apple-touch-icon', tokens: ['apple-touch-icon', 'apple-touch-icon-precomposed'] },
+  { role: 'mask-icon', tokens: ['mask-icon'] },
+  { role: 'icon', tokens: ['icon'] }
+];
+
+/**
+ * Names of the icon roles, e.g. for validating a list of required roles
+ */
+const ICON_ROLES = ROLES.map(entry => entry.role);
+
+/**
+ * Splits a rel attribute into lowercase tokens
+ * @param {string} rel - Value of the rel attribute
+ * @returns {Array<string>} - Rel tokens
+ */
+function parseRel(rel) {
+  return String(rel || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Determines which icon role a rel attribute fills.
+ * "icon", "shortcut icon" and "icon shortcut" all fill the "icon" role.
+ * @param {string} rel - Value of the rel attribute
+ * @returns {string|null} - Icon role, or null if the rel is not an icon
+ */
+function getRole(rel) {
+  const tokens = parseRel(rel);
+  const match = ROLES.find(entry => entry.tokens.some(token => tokens.includes(token)));
+  return match ? match.role : null;
+}
+
+/**
+ * Detects the MIME type of a favicon from its extension
+ * @param {string} iconPath - Path or URL of the favicon
+ * @returns {string|null} - MIME type, or null for unknown extensions
+ */
+function detectType(iconPath) {
+  // Ignore any query string or fragment when looking at the extension
+  const cleanPath = String(iconPath).split(/[?#]/)[0];
+  const ext = path.extname(cleanPath).toLowerCase();
+  return MIME_TYPES[ext] || null;
+}
+
+/**
+ * Fills in defaults for a single icon descriptor
+ * @param {Object|string} icon - Icon descriptor or favicon path string
+ * @returns {{path: string, rel: string, type: string|null, sizes: string|null}} - Normalized descriptor
+ */
+function normalizeIcon(icon) {
+  // Handle string argument for backward compatibility
+  if (typeof icon === 'string') {
+    icon = { path: icon };
+  }
+
+  const descriptor = {
+    path: '/favicon.ico',
+    rel: 'icon',
+    type: null,
+    sizes: null
+  };
+
+  // Only take the descriptor attributes; an options object holds other settings too
+  for (const key of ICON_KEYS) {
+    if (icon && icon[key] !== undefined) {
+      descriptor[key] = icon[key];
+    }
+  }
+
+  // Auto-detect MIME type from extension if not provided
+  if (!descriptor.type) {
+    descriptor.type = detectType(descriptor.path);
+  }
+
+  return descriptor;
+}
+
+/**
+ * Lists the icons given in the options, as they were given.
+ * Accepts a favicon path string, a single descriptor, an array of descriptors,
+ * or an options object with an `icons` array.
+ * @param {Object|Array|string} options - Injector options
+ * @returns {Array<Object|string>} - Icon descriptors or path strings
+ */
+function listIcons(options = '/favicon.ico') {
+  let icons;
+
+  if (Array.isArray(options)) {
+    icons = options;
+  } else if (options && typeof options === 'object' && Array.isArray(options.icons)) {
+    icons = options.icons;
+  } else {
+    icons = [options];
+  }
+
+  return icons.length === 0 ? ['/favicon.ico'] : icons;
+}
+
+/**
+ * Normalizes the options accepted by the injector into a list of icon descriptors
+ * @param {Object|Array|string} options - Injector options (see listIcons)
+ * @returns {Array<Object>} - Normalized icon descriptors
+ */
+function normalizeIcons(options = '/favicon.ico') {
+  return listIcons(options).map(normalizeIcon);
+}
+
+/**
+ * Escapes a value for use inside a double-quoted HTML attribute
+ * @param {string} value - Attribute value
+ * @returns {string} - Escaped value
+ */
+function escapeAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;');
+}
+
+/**
+ * Builds the <link> tag for an icon descriptor
+ * @param {Object} icon - Normalized icon descriptor
+ * @returns {string} - HTML link tag
+ */
+function buildLinkTag(icon) {
+  let linkTag = `<link rel="${escapeAttr(icon.rel)}" href="${escapeAttr(icon.path)}"`;
+
+  if (icon.type) {
+    linkTag += ` type="${escapeAttr(icon.type)}"`;
+  }
+
+  if (icon.sizes) {
+    linkTag += ` sizes="${escapeAttr(icon.sizes)}"`;
+  }
+
+  return linkTag + '>';
+}
+
+/**
+ * Parses an icon descriptor given on the command line.
+ * The format is the favicon path followed by optional comma-separated
+ * key=value pairs, e.g. "/apple-touch-icon.png,rel=apple-touch-icon,sizes=180x180".
+ * @param {string} spec - Icon specification
+ * @returns {Object} - Icon descriptor (not yet normalized)
+ */
+function parseIconSpec(spec) {
+  const [iconPath, ...pairs] = String(spec).split(',');
+  const icon = { path: iconPath.trim() };
+
+  if (!icon.path) {
+    throw new Error(`Invalid icon specification '${spec}': missing favicon path`);
+  }
+
+  for (const pair of pairs) {
+    const index = pair.indexOf('=');
+    const key = pair.slice(0, index).trim();
+
+    if (index === -1 || !ICON_KEYS.includes(key) || key === 'path') {
+      throw new Error(`Invalid icon specification '${spec}': unknown attribute '${pair.trim()}'`);
+    }
+
+    icon[key] = pair.slice(index + 1).trim();
+  }
+
+  return icon;
+}
+
+module.exports = {
+  MIME_TYPES,
+  ICON_KEYS,
+  ICON_ROLES,
+  parseRel,
+  getRole,
+  detectType,
+  normalizeIcon,
+  listIcons,
+  normalizeIcons,
+  escapeAttr,
+  buildLinkTag,
+  parseIconSpec
+};
@@ -3,201 +3,1512 @@
 const fs = require('fs-extra');
 const path = require('path');
 const cheerio = require('cheerio');
+const iconv = require('iconv-lite');
+const { ICON_KEYS, ICON_ROLES, parseRel, getRole, listIcons, normalizeIcons, buildLinkTag } = require('./icons');
+const { findHtmlFiles } = require('./walker');
+const { NO_HEAD_POLICIES, isDocument, renderChanges } = require('./writer');
+const { unifiedDiff } = require('./diff');
+const { DEFAULT_EXTENSIONS, normalizeExtension, getTemplate, findTemplate, maskTemplate } = require('./templates');
+const { getBaseHref, resolveHref } = require('./hrefs');
+const { CACHE_BUST_MODES, cacheBustIcon } = require('./cachebust');
+const { DEFAULT_CONCURRENCY, mapLimit, workerCount, createWorkerPool } = require('./concurrency');
+const { DEFAULT_MAX_SIZE, PROBLEMS, validateIcon } = require('./validate');
+const { detectIcon } = require('./sniff');
+const { DEFAULT_ENCODING, readDocument, writeDocument } = require('./encoding');
+const { BACKUP_MODES, getJournalDir, startRun, backupFile, finishRun, restoreLastRun } = require('./backup');
+
+/**
+ * Lists the favicon links of a document, in document order
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @returns {Array<{role: string, rel: string, href: string|null, type: string|null, sizes: string|null}>} - Favicon links
+ */
+function listFavicons($) {
+  return $('link').get()
+    .map(link => ({
+      role: getRole($(link).attr('rel')),
+      rel: $(link).attr('rel'),
+      href: $(link).attr('href') || null,
+      type: $(link).attr('type') || null,
+      sizes: $(link).attr('sizes') || null
+    }))
+    .filter(link => link.role);
+}
+
+/**
+ * Lists the icon roles a document already has a link for
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @returns {Array<string>} - Icon roles present ('icon', 'apple-touch-icon', 'mask-icon')
+ */
+function detectRoles($) {
+  return [...new Set(listFavicons($).map(link => link.role))];
+}
 
 /**
  * Checks if a file already has a favicon link
  * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @param {string} [role] - Only look for this icon role
  * @returns {boolean} - Whether file has a favicon
  */
-function hasFavicon($) {
-  const links = $('link');
-  for (let i = 0; i < links.length; i++) {
-    const rel = $(links[i]).attr('rel');
-    if (rel && (rel === 'icon' || rel === 'shortcut icon' || rel === 'apple-touch-icon')) {
+function hasFavicon($, role) {
+  const roles = detectRoles($);
+  return role ? roles.includes(role) : roles.length > 0;
+}
+
+/**
+ * Supported ways of dealing with favicon links that already exist
+ */
+const MODES = ['skip', 'replace', 'merge'];
+
+/**
+ * Returns the key used to match a rel attribute against other links.
+ * Icon rels map to their role; any other rel is matched on its normalized tokens.
+ * @param {string} rel - Value of the rel attribute
+ * @returns {string} - Matching key
+ */
+function relKey(rel) {
+  return getRole(rel) || parseRel(rel).join(' ');
+}
+
+/**
+ * Checks whether an existing link element already matches an icon descriptor
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @param {Element} link - Existing link element
+ * @param {Object} icon - Normalized icon descriptor
+ * @param {Array<string>} keys - Attributes to compare
+ * @returns {boolean} - Whether all compared attributes are equal
+ */
+function linkMatches($, link, icon, keys) {
+  return keys.every(key => {
+    const attr = key === 'path' ? 'href' : key;
+    return ($(link).attr(attr) || null) === (icon[key] || null);
+  });
+}
+
+/**
+ * Filters an icon set down to the descriptors whose role the document is missing.
+ * Descriptors with a rel that is not an icon role are matched on the rel itself.
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @param {Array<Object>} icons - Normalized icon descriptors
+ * @returns {Array<Object>} - Descriptors that still need to be injected
+ */
+function missingIcons($, icons) {
+  const keys = $('link').map((i, link) => relKey($(link).attr('rel'))).get();
+  return icons.filter(icon => !keys.includes(relKey(icon.rel)));
+}
+
+/**
+ * Works out which changes bring a document in line with the configured icons.
+ * - `skip` only adds icons whose role is missing
+ * - `replace` swaps every existing link of a configured role for the configured set, in place
+ * - `merge` keeps existing links, updates the href of links with the same role, sizes and type,
+ *   and adds the rest
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @param {Array<Object>} icons - Normalized icon descriptors
+ * @param {string} mode - One of MODES
+ * @returns {{changes: Array<Object>, added: Array<Object>, replaced: boolean}} - Planned changes
+ */
+function planChanges($, icons, mode) {
+  const plan = { changes: [], added: [], replaced: false };
+  const links = $('link').get();
+  const append = [];
+
+  if (mode === 'skip') {
+    append.push(...missingIcons($, icons));
+  } else if (mode === 'replace') {
+    // Handle each role as a group so its links are swapped together
+    const groups = new Map();
+    for (const icon of icons) {
+      const key = relKey(icon.rel);
+      groups.set(key, (groups.get(key) || []).concat([icon]));
+    }
+
+    for (const [key, group] of groups) {
+      const existing = links.filter(link => relKey($(link).attr('rel')) === key);
+
+      if (existing.length === 0) {
+        append.push(...group);
+        continue;
+      }
+
+      // Leave the role alone if it already matches the configured set
+      const unchanged = existing.length === group.length &&
+        group.every((icon, i) => linkMatches($, existing[i], icon, ICON_KEYS));
+      if (unchanged) {
+        continue;
+      }
+
+      plan.changes.push({ type: 'replace', links: existing, icons: group });
+      plan.added.push(...group);
+      plan.replaced = true;
+    }
+  } else {
+    const used = [];
+    for (const icon of icons) {
+      const key = relKey(icon.rel);
+      // A link without a type attribute can hold an icon of any type
+      const slot = links.find(link => !used.includes(link) &&
+        relKey($(link).attr('rel')) === key &&
+        linkMatches($, link, icon, ['sizes']) &&
+        (!$(link).attr('type') || linkMatches($, link, icon, ['type'])));
+
+      if (!slot) {
+        append.push(icon);
+        continue;
+      }
+
+      used.push(slot);
+      if (!linkMatches($, slot, icon, ['path'])) {
+        plan.changes.push({ type: 'attr', link: slot, name: 'href', value: icon.path });
+        plan.added.push(icon);
+        plan.replaced = true;
+      }
+    }
+  }
+
+  if (append.length > 0) {
+    plan.changes.push({ type: 'append', icons: append });
+    plan.added.push(...append);
+  }
+
+  return plan;
+}
+
+/**
+ * Reads a setting from the injector options, which may also be a path string or icon array
+ * @param {Object|Array|string} options - Injector options
+ * @param {string} name - Setting name
+ * @param {*} fallback - Value to use when the setting isn't given
+ * @returns {*} - Setting value
+ */
+function getOption(options, name, fallback) {
+  if (options && typeof options === 'object' && !Array.isArray(options) && options[name] !== undefined) {
+    return options[name];
+  }
+  return fallback;
+}
+
+/**
+ * Works out the directory icon files are looked up in: the site root, or
+ * else the scanned directory or the HTML file's own directory
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} context - State shared by the files of one run (see injectFile)
+ * @returns {string} - Absolute directory
+ */
+function getIconRoot(filePath, options, context) {
+  return path.resolve(getOption(options, 'siteRoot', null) || context.root || path.dirname(filePath));
+}
+
+/**
+ * Fills in the type and sizes of an icon set from the icon files, unless
+ * turned off with `detect: false`. Only values the options leave out are
+ * detected; a type implied by the extension gives way to the file's real one.
+ * @param {Array<Object>} icons - Normalized icon descriptors
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} context - State shared by the files of one run (see injectFile)
+ * @returns {Promise<Array<Object>>} - Descriptors with detected types and sizes
+ */
+async function detectIcons(icons, filePath, options, context) {
+  if (!getOption(options, 'detect', true)) {
+    return icons;
+  }
+
+  const given = listIcons(options);
+  const root = getIconRoot(filePath, options, context);
+  const cache = context.images || new Map();
+  return Promise.all(icons.map((icon, index) => {
+    const raw = typeof given[index] === 'object' && given[index] ? given[index] : {};
+    return detectIcon(icon, { root, cache, keepType: Boolean(raw.type), keepSizes: Boolean(raw.sizes) });
+  }));
+}
+
+/**
+ * Adds content hashes to the paths of an icon set when cache-busting is on.
+ * Icon files are looked up like in detectIcons.
+ * @param {Array<Object>} icons - Normalized icon descriptors
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} context - State shared by the files of one run (see injectFile)
+ * @returns {Promise<Array<Object>>} - Descriptors with cache-busted paths
+ */
+async function cacheBustIcons(icons, filePath, options, context) {
+  const mode = getCacheBust(options);
+  if (!mode) {
+    return icons;
+  }
+
+  const settings = {
+    mode,
+    root: getIconRoot(filePath, options, context),
+    dryRun: getOption(options, 'dryRun', false),
+    cache: context.hashes || new Map()
+  };
+  return Promise.all(icons.map(icon => cacheBustIcon(icon, settings)));
+}
+
+/**
+ * Works out the hrefs of an icon set for one file.
+ * With a `publicPath` (or `baseUrl`) hrefs become absolute URLs under it; with a
+ * `siteRoot` they become relative to the file. Without either the configured
+ * paths are used as they are. HTML without a file path is taken to be a page
+ * at the site root.
+ * @param {Array<Object>} icons - Normalized icon descriptors
+ * @param {string|null} filePath - Path to the HTML file
+ * @param {CheerioAPI} $ - Cheerio instance loaded with the file
+ * @param {Object|Array|string} options - Injector options
+ * @returns {Array<Object>} - Descriptors with the href for this file as their path
+ */
+function resolveIcons(icons, filePath, $, options) {
+  const siteRoot = getOption(options, 'siteRoot', null);
+  const publicPath = getOption(options, 'publicPath', getOption(options, 'baseUrl', null));
+  if (!siteRoot && !publicPath) {
+    return icons;
+  }
+  if (!filePath) {
+    filePath = path.join(siteRoot || '.', 'index.html');
+  }
+
+  const context = {
+    filePath: path.resolve(filePath),
+    siteRoot: path.resolve(siteRoot || path.dirname(filePath)),
+    publicPath,
+    baseHref: getBaseHref($)
+  };
+  return icons.map(icon => ({ ...icon, path: resolveHref(icon.path, context) }));
+}
+
+/**
+ * Reads the file extensions to scan for, leaving out those we have no handler for
+ * @param {Object|Array|string} options - Injector options or removal filter
+ * @returns {Array<string>} - Normalized extensions
+ */
+function getExtensions(options) {
+  const extensions = [].concat(getOption(options, 'extensions', DEFAULT_EXTENSIONS)).map(normalizeExtension);
+  return extensions.filter(ext => {
+    if (getTemplate(`file${ext}`)) {
       return true;
     }
+    console.warn(`No handler for ${ext} files, leaving them alone`);
+    return false;
+  });
+}
+
+/**
+ * Loads a file's source into cheerio. Template tags are masked first so the
+ * parser only sees the markup, at the same offsets as in the original.
+ * @param {string} html - File contents
+ * @param {Object} template - Template handler for the file
+ * @returns {CheerioAPI} - Cheerio instance with source locations
+ */
+function loadDocument(html, template) {
+  // Keep track of where each element is in the source
+  return cheerio.load(maskTemplate(html, template), { sourceCodeLocationInfo: true });
+}
+
+/**
+ * Picks the directory scan settings out of the options
+ * @param {Object|Array|string} options - Injector options or removal filter
+ * @returns {Object} - Options for findHtmlFiles
+ */
+function getScanOptions(options) {
+  const scan = {};
+  for (const name of ['include', 'exclude', 'defaultExcludes', 'ignoreFile', 'gitignore', 'concurrency']) {
+    scan[name] = getOption(options, name, undefined);
+  }
+  scan.extensions = getExtensions(options);
+  return scan;
+}
+
+/**
+ * Reads the existing-favicon mode from the injector options
+ * @param {Object|Array|string} options - Injector options
+ * @returns {string} - One of MODES
+ */
+function getMode(options) {
+  const mode = getOption(options, 'mode', 'skip');
+  if (!MODES.includes(mode)) {
+    throw new Error(`Invalid mode '${mode}' (expected one of: ${MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Reads the cache-busting mode from the injector options
+ * @param {Object|Array|string} options - Injector options
+ * @returns {string|null} - One of CACHE_BUST_MODES, or null when cache-busting is off
+ */
+function getCacheBust(options) {
+  const cacheBust = getOption(options, 'cacheBust', false);
+  if (!cacheBust) {
+    return null;
+  }
+
+  const mode = cacheBust === true ? 'query' : cacheBust;
+  if (!CACHE_BUST_MODES.includes(mode)) {
+    throw new Error(`Invalid cacheBust mode '${mode}' (expected one of: ${CACHE_BUST_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Reads how many files to process at once from the options
+ * @param {Object|Array|string} options - Injector options or removal filter
+ * @returns {number} - Concurrency limit
+ */
+function getConcurrency(options) {
+  const concurrency = getOption(options, 'concurrency', DEFAULT_CONCURRENCY);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency '${concurrency}' (expected a positive integer)`);
+  }
+  return concurrency;
+}
+
+/**
+ * Reads the number of worker threads from the options
+ * @param {Object|Array|string} options - Injector options
+ * @returns {number} - Number of threads, 0 to process files on the main thread
+ */
+function getWorkers(options) {
+  const workers = getOption(options, 'workers', 0);
+  if (workers !== true && workers !== false && (!Number.isInteger(workers) || workers < 0)) {
+    throw new Error(`Invalid workers '${workers}' (expected true or a non-negative integer)`);
+  }
+  return workerCount(workers);
+}
+
+/**
+ * Reads the encoding of files that declare none from the options
+ * @param {Object|Array|string} options - Injector options, removal filter or check options
+ * @returns {string} - Encoding name
+ */
+function getFallbackEncoding(options) {
+  const encoding = getOption(options, 'fallbackEncoding', DEFAULT_ENCODING);
+  if (typeof encoding !== 'string' || !iconv.encodingExists(encoding)) {
+    throw new Error(`Invalid fallbackEncoding '${encoding}' (unknown encoding)`);
+  }
+  return encoding;
+}
+
+/**
+ * Reads the largest acceptable icon file from the validation options
+ * @param {Object|Array|string} options - Validation options
+ * @returns {number} - Size limit in bytes
+ */
+function getMaxSize(options) {
+  const maxSize = getOption(options, 'maxSize', DEFAULT_MAX_SIZE);
+  if (typeof maxSize !== 'number' || !(maxSize > 0)) {
+    throw new Error(`Invalid maxSize '${maxSize}' (expected a positive number of bytes)`);
+  }
+  return maxSize;
+}
+
+/**
+ * Reads the backup mode from the options
+ * @param {Object|Array|string} options - Injector options or removal filter
+ * @returns {string|null} - One of BACKUP_MODES, or null when no backups are kept
+ */
+function getBackupMode(options) {
+  const backup = getOption(options, 'backup', false);
+  if (!backup) {
+    return null;
+  }
+
+  const mode = backup === true ? 'journal' : backup;
+  if (!BACKUP_MODES.includes(mode)) {
+    throw new Error(`Invalid backup mode '${mode}' (expected one of: ${BACKUP_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+/**
+ * Starts a journal run for the files under a directory, if the options keep a journal
+ * @param {string} root - Directory the files are in
+ * @param {Object|Array|string} options - Injector options or removal filter
+ * @param {string} command - What the run does
+ * @returns {Promise<Object|null>} - Journal run (see lib/backup.js), or null
+ */
+async function startJournal(root, options, command) {
+  if (getBackupMode(options) !== 'journal' || getOption(options, 'dryRun', false)) {
+    return null;
+  }
+  return startRun(getJournalDir(root, getOption(options, 'journalDir', null)), root, command);
+}
+
+/**
+ * Writes updated HTML back to its file, keeping the original first if the options ask for a backup.
+ * Files processed on their own get a journal run of their own.
+ * @param {string} filePath - Path to the HTML file
+ * @param {string} html - Updated source
+ * @param {Object} source - Result of readHtml
+ * @param {Object|Array|string} options - Injector options or removal filter
+ * @param {Object} context - State shared by the files of one run; `context.journal` is the run's journal
+ * @param {string} command - What the run does
+ * @returns {Promise<void>}
+ */
+async function saveDocument(filePath, html, source, options, context, command) {
+  const mode = getBackupMode(options);
+  if (mode === 'bak') {
+    await backupFile(filePath, mode);
+  } else if (mode === 'journal') {
+    const journal = context.journal || await startJournal(path.dirname(filePath), options, command);
+    await backupFile(filePath, mode, journal);
+  }
+  await writeDocument(filePath, html, source);
+}
+
+/**
+ * Reads an HTML file in the encoding it declares
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|Array|string} options - Injector options, removal filter or check options
+ * @returns {Promise<{html: string, encoding: string, bom: boolean}>} - Decoded source (see lib/encoding.js)
+ */
+function readHtml(filePath, options) {
+  return readDocument(filePath, { fallbackEncoding: getFallbackEncoding(options) });
+}
+
+/**
+ * Lists the icon roles an HTML file already has a link for
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object} options - Reader options
+ * @param {string} options.fallbackEncoding - Encoding for files that declare none (default: 'utf-8')
+ * @returns {Promise<Array<string>>} - Icon roles present ('icon', 'apple-touch-icon', 'mask-icon')
+ */
+async function getIconRoles(filePath, options = {}) {
+  const { html } = await readHtml(filePath, options);
+  return [...new Set(detectFavicons(html, { filePath }).map(link => link.role))];
+}
+
+/**
+ * Adds the icons injected into one file to the per-descriptor statistics
+ * @param {Object} stats - Directory statistics with an `icons` array
+ * @param {Array<Object>} added - Normalized descriptors that were injected
+ */
+function countAdded(stats, added) {
+  for (const icon of added) {
+    const entry = stats.icons.find(item => ICON_KEYS.every(key => item[key] === icon[key]));
+    if (entry) {
+      entry.injected++;
+    }
+  }
+}
+
+/**
+ * Reads the policy for files without a <head> from the injector options
+ * @param {Object|Array|string} options - Injector options
+ * @returns {string} - One of NO_HEAD_POLICIES
+ */
+function getNoHeadPolicy(options) {
+  const policy = getOption(options, 'noHead', 'skip');
+  if (!NO_HEAD_POLICIES.includes(policy)) {
+    throw new Error(`Invalid noHead policy '${policy}' (expected one of: ${NO_HEAD_POLICIES.join(', ')})`);
+  }
+  return policy;
+}
+
+/**
+ * Checks that a path is a regular file worth processing
+ * @param {string} filePath - Path to the HTML file
+ * @returns {Promise<boolean>} - Whether the file should be processed
+ */
+async function isProcessableFile(filePath) {
+  // Check if file exists and is a regular file
+  const stat = await fs.stat(filePath);
+  if (!stat.isFile()) {
+    console.warn(`Path is not a file: ${filePath}`);
+    return false;
   }
-  return false;
+  
+  // Skip macOS metadata files (common on macOS file systems)
+  if (path.basename(filePath).startsWith('._')) {
+    console.warn(`Skipping macOS metadata file: ${filePath}`);
+    return false;
+  }
+
+  // Leave files in formats we can't safely edit alone
+  if (!getTemplate(filePath)) {
+    console.warn(`Unsupported file type, leaving it alone: ${filePath}`);
+    return false;
+  }
+
+  return true;
 }
 
 /**
- * Injects a favicon link into an HTML file
+ * Outcomes of injecting into a single file
+ */
+const STATUSES = ['injected', 'replaced', 'already-present', 'no-head', 'not-a-file', 'error'];
+
+/**
+ * Explanation reported with each status; errors report their own message
+ */
+const REASONS = {
+  injected: 'Favicon links added',
+  replaced: 'Existing favicon links updated',
+  'already-present': 'Favicon links already present',
+  'no-head': 'No <head> tag in the source',
+  'not-a-file': 'Not a regular file of a supported type'
+};
+
+/**
+ * Creates the result of a file that hasn't been processed yet
  * @param {string} filePath - Path to the HTML file
- * @param {Object|string} options - Options object or favicon path string
+ * @returns {Object} - Empty result (see injectFile)
+ */
+function createResult(filePath) {
+  return { file: filePath, status: null, reason: null, error: null, added: [], tags: [], diff: null };
+}
+
+/**
+ * Calls a user callback, reporting rather than propagating its errors so a
+ * broken callback can't stop a run halfway
+ * @param {Function} callback - Callback from the options, if any
+ * @param {Object} event - Argument to pass
+ */
+function notify(callback, event) {
+  if (typeof callback !== 'function') {
+    return;
+  }
+  try {
+    callback(event);
+  } catch (error) {
+    console.error('Error in callback:', error);
+  }
+}
+
+/**
+ * Records the outcome of a file on its result
+ * @param {Object} result - Result of injectFile
+ * @param {string} status - One of STATUSES
+ * @param {Error} [error] - Error, for status 'error'
+ * @returns {Object} - The same result
+ */
+function setStatus(result, status, error = null) {
+  result.status = status;
+  result.reason = error ? error.message : REASONS[status];
+  result.error = error;
+  return result;
+}
+
+/**
+ * The injectDir counter each status adds to
+ */
+const STATUS_STATS = {
+  injected: 'injected',
+  replaced: 'replaced',
+  'already-present': 'skipped',
+  'no-head': 'noHead',
+  'not-a-file': 'skipped',
+  error: 'failed'
+};
+
+/**
+ * Brings HTML source in line with an icon set. This is the part of an injection
+ * that needs no file system, shared by injectHtml and injectFile.
+ * All link tags are added in one pass so a page never ends up with a partial set.
+ * @param {string} html - Source
+ * @param {Array<Object>} configured - Normalized icon descriptors, as configured
+ * @param {Array<Object>} icons - The same descriptors, with detected types and sizes and cache-busted paths
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} page - Where the source comes from
+ * @param {string|null} page.filePath - Path to the page, if known
+ * @param {Object} page.template - Template handler for the source
+ * @returns {{html: string, status: string, added: Array<Object>, tags: Array<string>}} - Updated source (the
+ *   original if nothing changed), one of 'injected', 'replaced', 'already-present' or 'no-head', and the
+ *   configured icons that were written with their link tags
+ */
+function transformHtml(html, configured, icons, options, page) {
+  const mode = getMode(options);
+  const noHead = getNoHeadPolicy(options);
+  const $ = loadDocument(html, page.template);
+  const resolved = resolveIcons(icons, page.filePath, $, options);
+
+  // Work out what needs to change; nothing means the page is up to date
+  const plan = planChanges($, resolved, mode);
+  if (plan.changes.length === 0) {
+    return { html, status: 'already-present', added: [], tags: [] };
+  }
+
+  // Partials and other fragments have no head to add links to; leave them alone unless told otherwise
+  const appends = plan.changes.some(change => change.type === 'append');
+  if (appends && noHead === 'skip' && !isDocument($)) {
+    return { html, status: 'no-head', added: [], tags: [] };
+  }
+
+  // Apply all changes at once
+  // Templates are always edited in place, since reserializing would drop the masked tags
+  const output = renderChanges(html, $, plan.changes, {
+    reserialize: getOption(options, 'reserialize', false) && !page.template.syntax,
+    noHead
+  });
+
+  return {
+    html: output,
+    status: plan.replaced ? 'replaced' : 'injected',
+    // Report the configured descriptors rather than this page's hrefs
+    added: plan.added.map(icon => configured[resolved.indexOf(icon)]),
+    tags: plan.added.map(buildLinkTag)
+  };
+}
+
+/**
+ * Works out the template format of HTML given without a file
+ * @param {Object|Array|string} options - Injector options
+ * @returns {{filePath: string|null, template: Object}} - Page details for transformHtml
+ */
+function getPage(options) {
+  const filePath = getOption(options, 'filePath', null);
+  const name = getOption(options, 'template', null);
+  if (name) {
+    return { filePath, template: findTemplate(name) };
+  }
+  // Without a format, fall back to plain HTML
+  return { filePath, template: (filePath && getTemplate(filePath)) || findTemplate('html') };
+}
+
+/**
+ * Settings that hold a path or URL
+ */
+const STRING_OPTIONS = ['siteRoot', 'publicPath', 'baseUrl', 'journalDir', 'filePath'];
+
+/**
+ * Checks every injector setting at once, so tools built on the injector can reject
+ * bad settings when they are set up rather than on the first file
+ * @param {Object|Array|string} options - Options object, array of icon descriptors or favicon path string
+ * @returns {Object|Array|string} - The same options
+ * @throws {Error} - On the first invalid setting
+ */
+function validateOptions(options) {
+  normalizeIcons(options);
+  getMode(options);
+  getNoHeadPolicy(options);
+  getCacheBust(options);
+  getConcurrency(options);
+  getWorkers(options);
+  getBackupMode(options);
+  getFallbackEncoding(options);
+  getMaxSize(options);
+  // Checks the template format
+  getPage(options);
+
+  for (const name of STRING_OPTIONS) {
+    const value = getOption(options, name, null);
+    if (value !== null && typeof value !== 'string') {
+      throw new Error(`Invalid ${name} '${value}' (expected a string)`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Injects favicon links into HTML held in memory, e.g. by a build tool or in a test.
+ * Takes the same options as injectFavicon, but reads no files: types come from the
+ * icon descriptors or their extensions, and `detect` and `cacheBust` have no effect.
+ * @param {string} html - HTML source, or a template in one of the formats in lib/templates.js
+ * @param {Object|Array|string} options - Options object, array of icon descriptors or favicon path string
+ * @param {string} options.filePath - Where the page lives; picks the template format from its extension
+ *   and is what hrefs are made relative to with `siteRoot` (default: a page at the site root)
+ * @param {string} options.template - Template format of the source: 'html' (default), 'ejs', 'handlebars', 'nunjucks' or 'php'
+ * @returns {{html: string, status: string, reason: string, added: Array<Object>, tags: Array<string>}} - Updated
+ *   source (the original if nothing changed), one of 'injected', 'replaced', 'already-present' or 'no-head',
+ *   a short explanation, and the configured icons that were written with their link tags
+ * @throws {Error} - On invalid options
+ */
+function injectHtml(html, options = '/favicon.ico') {
+  const icons = normalizeIcons(options);
+  const result = transformHtml(String(html), icons, icons, options, getPage(options));
+  return { ...result, reason: REASONS[result.status] };
+}
+
+/**
+ * Lists the favicon links in HTML held in memory
+ * @param {string} html - HTML source, or a template in one of the formats in lib/templates.js
+ * @param {Object} options - Source options
+ * @param {string} options.filePath - Where the page lives; picks the template format from its extension
+ * @param {string} options.template - Template format of the source (default: 'html')
+ * @returns {Array<{role: string, rel: string, href: string|null, type: string|null, sizes: string|null}>} - Favicon
+ *   links in document order, with the icon role each fills ('icon', 'apple-touch-icon' or 'mask-icon')
+ */
+function detectFavicons(html, options = {}) {
+  return listFavicons(loadDocument(String(html), getPage(options).template));
+}
+
+/**
+ * Injects the configured icon set into HTML that has already been read, e.g. from a
+ * stream. Unlike injectHtml, the icon files are read to detect their types and sizes
+ * and to cache-bust them, as long as there is a page or a site root to find them from.
+ * @param {string} html - Source
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} context - State shared by the files of one run (see injectFile)
+ * @param {Object} page - Where the source comes from (default: the `filePath` and `template` options, see getPage)
+ * @returns {Promise<{html: string, status: string, added: Array<Object>, tags: Array<string>}>} - See transformHtml
+ */
+async function injectSource(html, options, context = {}, page = getPage(options)) {
+  const configured = normalizeIcons(options);
+  let icons = configured;
+  if (page.filePath || getOption(options, 'siteRoot', null) || context.root) {
+    const detected = await detectIcons(configured, page.filePath, options, context);
+    icons = await cacheBustIcons(detected, page.filePath, options, context);
+  }
+  return transformHtml(html, configured, icons, options, page);
+}
+
+/**
+ * Injects the configured icon set into an HTML file and reports what happened.
+ * Icon files are read to detect their types and sizes and to cache-bust them, then
+ * the source is updated with injectSource and written back in a single write.
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|Array|string} options - Options object, array of icon descriptors or favicon path string
+ * @param {Object} context - State shared by the files of one run
+ * @param {string} context.root - Directory icon files are looked up in when there is no siteRoot
+ * @param {Map} context.hashes - Cache-busting results, so each icon is hashed once
+ * @param {Map} context.images - Icon file details, so each icon is inspected once
+ * @returns {Promise<{file: string, status: string, reason: string, error: Error|null, added: Array<Object>, tags: Array<string>,
+ *   diff: string|null}>} - One of STATUSES (a dry run reports the status it would have), a short explanation, the error for status 'error',
+ *   the configured icons that were written with their link tags, and the diff if one was asked for
+ */
+async function injectFile(filePath, options = '/favicon.ico', context = {}) {
+  const result = createResult(filePath);
+
+  try {
+    if (!(await isProcessableFile(filePath))) {
+      return setStatus(result, 'not-a-file');
+    }
+
+    // Read the file in its own encoding, then the icon files for their types, sizes and hashes
+    const source = await readHtml(filePath, options);
+    const transformed = await injectSource(source.html, options, context, { filePath, template: getTemplate(filePath) });
+    if (transformed.status === 'no-head') {
+      console.warn(`No <head> tag found in ${filePath}`);
+    }
+    if (transformed.status !== 'injected' && transformed.status !== 'replaced') {
+      return setStatus(result, transformed.status);
+    }
+
+    const dryRun = getOption(options, 'dryRun', false);
+    if (dryRun || getOption(options, 'diff', false)) {
+      result.diff = unifiedDiff(filePath, source.html, transformed.html);
+    }
+    
+    // A dry run reports what would change without touching the file
+    if (!dryRun) {
+      await saveDocument(filePath, transformed.html, source, options, context, 'inject');
+    }
+    
+    result.added = transformed.added;
+    result.tags = transformed.tags;
+    return setStatus(result, transformed.status);
+  } catch (error) {
+    console.error(`Error injecting favicon into ${filePath}:`, error);
+    return setStatus(result, 'error', error);
+  }
+}
+
+/**
+ * Injects favicon links into an HTML file, or a template in one of the formats in lib/templates.js.
+ * Kept for compatibility; injectFile reports why a file was left unchanged.
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|Array|string} options - Options object, array of icon descriptors or favicon path string
  * @param {string} options.path - Path to the favicon file
  * @param {string} options.rel - Relationship attribute (default: 'icon')
- * @param {string} options.type - MIME type of the favicon (auto-detected if not provided)
- * @param {string} options.sizes - Size attribute for the favicon
- * @returns {Promise<boolean>} - Whether the operation was successful
+ * @param {string} options.type - MIME type of the favicon (detected from the icon file or its extension if not provided)
+ * @param {string} options.sizes - Size attribute for the favicon (detected from the icon file if not provided)
+ * @param {boolean} options.detect - Read local icon files to fill in type and sizes (default: true)
+ * @param {Array<Object>} options.icons - Icon descriptors to inject together (instead of path/rel/type/sizes)
+ * @param {string} options.mode - What to do with existing favicon links: 'skip' (default), 'replace' or 'merge'
+ * @param {boolean} options.reserialize - Rewrite the whole document with cheerio instead of only splicing in the changed tags
+ * @param {string} options.fallbackEncoding - Encoding of files that declare no charset (default: 'utf-8')
+ * @param {string} options.noHead - What to do with files that have no <head>: 'skip' (default), 'create-head' or 'prepend'
+ * @param {string} options.siteRoot - Directory served as the site root; icon hrefs become relative to the file
+ * @param {string} options.publicPath - URL prefix the site is served under; icon hrefs become absolute URLs under it
+ * @param {string} options.baseUrl - Alias for publicPath
+ * @param {boolean|string} options.cacheBust - Add a content hash of the icon file to the href: 'query' (or true) or 'filename'
+ * @param {boolean|string} options.backup - Keep the original before writing: 'journal' (or true) or 'bak' (see lib/backup.js)
+ * @param {string} options.journalDir - Where journal runs are kept (default: '.favicon-journal' next to the file)
+ * @param {boolean} options.dryRun - Work out the changes without writing the file
+ * @returns {Promise<boolean>} - Whether the file was changed (or would be, in a dry run); see injectFile for the details
  */
 async function injectFavicon(filePath, options = '/favicon.ico') {
+  const result = await injectFile(filePath, options);
+  return result.status === 'injected' || result.status === 'replaced';
+}
+
+/**
+ * Runs a command over every file a directory scan finds: checks the directory exists,
+ * scans it, processes the files concurrently and adds up the results in traversal
+ * order, so stats are the same on every run. Entries the scan couldn't read are added
+ * as failed files. injectDir, removeDir, checkDir and validateDir all run through here.
+ * @param {string} dirPath - Path to the directory
+ * @param {Object|Array|string} options - Command options, with the directory scan settings and concurrency limit
+ * @param {Object} stats - Statistics to add up into; `excluded` and `notIncluded` are set from the scan,
+ *   and `error` when the run stops early (invalid options, a directory that can't be read)
+ * @param {Object} command - Steps of the command
+ * @param {Function} command.check - Checks the settings before anything is read (optional)
+ * @param {Function} command.start - Sets up the run once the files are known: `(files, errors) => context`,
+ *   where `errors` are the entries the scan couldn't read; may be async (optional)
+ * @param {Function} command.processFile - Processes one file: `(filePath, context) => Promise<Object>`
+ * @param {Function} command.finish - Tears the run down, also when processing failed: `context => Promise` (optional)
+ * @param {Function} command.addResult - Adds the result of one file to the stats
+ * @param {Function} command.addError - Adds an entry the scan couldn't read: `(filePath, error)`
+ * @returns {Promise<Object>} - The same stats
+ */
+async function scanDir(dirPath, options, stats, command) {
   try {
-    // Check if file exists and is a regular file
-    const stat = await fs.stat(filePath);
-    if (!stat.isFile()) {
-      console.warn(`Path is not a file: ${filePath}`);
-      return false;
+    if (command.check) {
+      command.check();
     }
-    
-    // Skip macOS metadata files (common on macOS file systems)
-    if (path.basename(filePath).startsWith('._')) {
-      console.warn(`Skipping macOS metadata file: ${filePath}`);
-      return false;
+
+    // Ensure the directory exists
+    const exists = await fs.pathExists(dirPath);
+    if (!exists) {
+      throw new Error(`Directory ${dirPath} does not exist`);
     }
 
-    // Handle string argument for backward compatibility
-    if (typeof options === 'string') {
-      options = { path: options };
-    }
-
-    // Set defaults
-    const faviconOptions = {
-      path: '/favicon.ico',
-      rel: 'icon',
-      type: null,
-      sizes: null,
-      ...options
-    };
-
-    // Auto-detect MIME type from extension if not provided
-    if (!faviconOptions.type) {
-      const ext = path.extname(faviconOptions.path).toLowerCase();
-      switch (ext) {
-        case '.ico':
-          faviconOptions.type = 'image/x-icon';
-          break;
-        case '.png':
-          faviconOptions.type = 'image/png';
-          break;
-        case '.svg':
-          faviconOptions.type = 'image/svg+xml';
-          break;
-        case '.jpg':
-        case '.jpeg':
-          faviconOptions.type = 'image/jpeg';
-          break;
-        // No default type for unknown extensions
+    const { files, excluded, notIncluded, errors } = await findHtmlFiles(dirPath, getScanOptions(options));
+    stats.excluded = excluded;
+    stats.notIncluded = notIncluded;
+
+    const context = command.start ? await command.start(files, errors) : null;
+    let results;
+    try {
+      results = await mapLimit(files, getConcurrency(options), filePath => command.processFile(filePath, context));
+    } finally {
+      if (command.finish) {
+        await command.finish(context);
       }
     }
 
-    // Read the file
-    const html = await fs.readFile(filePath, 'utf8');
-    
-    // Load HTML into cheerio
-    const $ = cheerio.load(html);
-    
-    // Skip if favicon already exists
-    if (hasFavicon($)) {
-      return false;
+    results.forEach(result => command.addResult(result));
+    for (const { path: filePath, error } of errors) {
+      command.addError(filePath, error);
     }
-    
-    // Find the head tag
-    const head = $('head');
-    
-    // If no head tag, we can't inject the favicon
-    if (head.length === 0) {
-      console.warn(`No <head> tag found in ${filePath}`);
+    return stats;
+  } catch (error) {
+    console.error(`Error scanning directory ${dirPath}:`, error);
+    // The run stopped before it could look at every file
+    stats.error = error;
+    return stats;
+  }
+}
+
+/**
+ * Recursively scans a directory and injects favicon into all HTML files
+ * @param {string} dirPath - Path to the directory
+ * @param {Object|Array|string} options - Options object, array of icon descriptors or favicon path string
+ * @param {boolean} options.dryRun - Work out the changes without writing any file; implies `diff`
+ * @param {boolean} options.diff - Collect a unified diff per changed file in `stats.diffs`
+ * @param {Array<string>} options.extensions - File extensions to process (default: ['.html']; see lib/templates.js)
+ * @param {string|Array<string>} options.include - Only process files matching these globs
+ * @param {string|Array<string>} options.exclude - Skip files and directories matching these globs
+ * @param {boolean} options.defaultExcludes - Skip node_modules, .git, bower_components and jspm_packages (default: true)
+ * @param {string|boolean} options.ignoreFile - Ignore file to read from the directory (default: '.faviconignore', false to disable)
+ * @param {boolean} options.gitignore - Also honour the directory's .gitignore (default: false)
+ * @param {number} options.concurrency - Maximum number of files processed at once (default: 8)
+ * @param {number|boolean} options.workers - Parse and render files in this many worker threads (true: one per spare CPU core)
+ * @param {Function} options.onFile - Called with each file's entry (see `stats.files`) as soon as the file is done
+ * @param {Function} options.onProgress - Called after each file with `{completed, total, file, status}`; `total` counts
+ *   the entries the scan couldn't read, which are reported last
+ * @param {boolean|string} options.backup - Keep the original of every changed file: 'journal' (or true) or 'bak'
+ * @param {string} options.journalDir - Where journal runs are kept (default: '.favicon-journal' in the directory)
+ * @returns {Promise<{total: number, injected: number, replaced: number, skipped: number, noHead: number, failed: number,
+ *   excluded: Object<string, number>, notIncluded: number, icons: Array<Object>, files: Array<Object>,
+ *   diffs: Array<{file: string, diff: string}>, journal: string, error: Error}>} - Operation statistics. `files` holds one entry per file, in
+ *   traversal order: the injectFile result without its diff, plus `duration` in milliseconds. `journal` is the
+ *   directory of the run's journal, if one was kept and a file was changed. `error` is set when the run stopped
+ *   early (invalid options, a directory that can't be read), with the counts up to that point
+ */
+async function injectDir(dirPath, options = '/favicon.ico') {
+  const stats = {
+    total: 0,
+    injected: 0,
+    replaced: 0,
+    skipped: 0,
+    noHead: 0,
+    failed: 0,
+    // Files and directories skipped by each exclusion, and HTML files outside the include globs
+    excluded: {},
+    notIncluded: 0,
+    // Per-descriptor counts, in the order the icons were configured
+    icons: normalizeIcons(options).map(icon => ({ ...icon, injected: 0 })),
+    // One entry per file, in traversal order
+    files: []
+  };
+
+  // Diffs are only collected when asked for
+  if (getOption(options, 'dryRun', false) || getOption(options, 'diff', false)) {
+    stats.diffs = [];
+  }
+
+  const onFile = getOption(options, 'onFile', null);
+  const onProgress = getOption(options, 'onProgress', null);
+  let completed = 0;
+  let total = 0;
+
+  return scanDir(dirPath, options, stats, {
+    check: () => validateOptions(options),
+
+    start: async (files, errors) => {
+      // Icons are looked up in the scanned directory and hashed once for the whole run
+      // Originals of the changed files go into one journal run
+      const context = { root: dirPath, hashes: new Map(), images: new Map(), journal: await startJournal(dirPath, options, 'inject') };
+      const threads = getWorkers(options);
+      context.pool = threads > 0 ? createWorkerPool(threads, { options, root: dirPath, journal: context.journal }) : null;
+      // Entries the scan couldn't read are reported too, after the files
+      total = files.length + errors.length;
+      return context;
+    },
+
+    // Processes one file and reports it as soon as it is done
+    processFile: async (filePath, context) => {
+      const start = process.hrtime.bigint();
+      const result = context.pool
+        // A file whose worker crashed counts as failed
+        ? await context.pool.run(filePath).catch(error => setStatus(createResult(filePath), 'error', error))
+        : await injectFile(filePath, options, context);
+
+      const entry = {
+        file: filePath,
+        status: result.status,
+        reason: result.reason,
+        error: result.error,
+        added: result.added,
+        tags: result.tags,
+        duration: Number(process.hrtime.bigint() - start) / 1e6,
+        diff: result.diff
+      };
+      completed++;
+      notify(onFile, entry);
+      notify(onProgress, { completed, total, file: filePath, status: entry.status });
+      return entry;
+    },
+
+    finish: async context => {
+      if (context.pool) {
+        await context.pool.close();
+      }
+      if (context.journal && await finishRun(context.journal)) {
+        stats.journal = context.journal.dir;
+      }
+    },
+
+    addResult: entry => {
+      stats.total++;
+
+      if (entry.diff && stats.diffs) {
+        stats.diffs.push({ file: entry.file, diff: entry.diff });
+      }
+
+      stats[STATUS_STATS[entry.status]]++;
+      countAdded(stats, entry.added);
+
+      // Diffs are listed once, in stats.diffs
+      delete entry.diff;
+      stats.files.push(entry);
+    },
+
+    addError: (filePath, error) => {
+      const entry = { ...setStatus(createResult(filePath), 'error', error), duration: 0 };
+      delete entry.diff;
+      stats.total++;
+      stats.failed++;
+      stats.files.push(entry);
+      completed++;
+      notify(onFile, entry);
+      notify(onProgress, { completed, total, file: filePath, status: entry.status });
+    }
+  });
+}
+
+/**
+ * Converts an href filter into a regular expression.
+ * Strings match the whole href, with `*` matching any run of characters.
+ * @param {string|RegExp} pattern - Href pattern
+ * @returns {RegExp} - Regular expression for the pattern
+ */
+function hrefPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  const source = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Finds the link elements selected by a removal filter
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @param {Object|string} filter - Removal filter or rel string
+ * @returns {Array<Element>} - Matching link elements
+ */
+function matchLinks($, filter = {}) {
+  if (typeof filter === 'string') {
+    filter = { rel: filter };
+  }
+
+  const rels = filter.rel ? [].concat(filter.rel).map(relKey) : null;
+  const href = filter.href ? hrefPattern(filter.href) : null;
+  const type = filter.type ? String(filter.type).toLowerCase() : null;
+
+  return $('link').get().filter(link => {
+    const rel = $(link).attr('rel');
+
+    // Without a rel filter, any icon link matches
+    if (rels ? !rels.includes(relKey(rel)) : !getRole(rel)) {
       return false;
     }
-    
-    // Build the favicon link tag
-    let linkTag = `<link rel="${faviconOptions.rel}" href="${faviconOptions.path}"`;
-    
-    if (faviconOptions.type) {
-      linkTag += ` type="${faviconOptions.type}"`;
+    if (href && !href.test($(link).attr('href') || '')) {
+      return false;
     }
-    
-    if (faviconOptions.sizes) {
-      linkTag += ` sizes="${faviconOptions.sizes}"`;
+    if (type && ($(link).attr('type') || '').toLowerCase() !== type) {
+      return false;
     }
-    
-    linkTag += '>';
-    
-    // Inject the favicon link
-    head.append(linkTag);
-    
-    // Write the updated HTML back to the file
-    await fs.writeFile(filePath, $.html());
-    
     return true;
+  });
+}
+
+/**
+ * Removes matching favicon links from an HTML file
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|string} filter - Removal filter or rel string
+ * @param {Object} context - State shared by the files of one run; `context.journal` is the run's journal
+ * @returns {Promise<{removed: number, error: Error|null}>} - Number of links removed and any error
+ */
+async function processRemoval(filePath, filter, context = {}) {
+  const result = { removed: 0, error: null };
+
+  try {
+    if (!(await isProcessableFile(filePath))) {
+      return result;
+    }
+
+    // Read the file in its own encoding and parse its markup
+    const source = await readHtml(filePath, filter);
+    const { html } = source;
+    const $ = loadDocument(html, getTemplate(filePath));
+
+    const links = matchLinks($, filter);
+    if (links.length === 0) {
+      return result;
+    }
+
+    // Cut the links out of the original source and write it back to the file
+    await saveDocument(filePath, renderChanges(html, $, [{ type: 'remove', links }]), source, filter, context, 'remove');
+
+    result.removed = links.length;
+    return result;
   } catch (error) {
-    console.error(`Error injecting favicon into ${filePath}:`, error);
-    return false;
+    console.error(`Error removing favicon from ${filePath}:`, error);
+    result.error = error;
+    return result;
   }
 }
 
 /**
- * Recursively scans a directory and injects favicon into all HTML files
+ * Removes favicon links from an HTML file
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object|string} filter - Removal filter, or a rel string (default: all icon links)
+ * @param {string|Array<string>} filter.rel - Only remove links with this rel (matched by icon role)
+ * @param {string|RegExp} filter.href - Only remove links whose href matches (`*` is a wildcard)
+ * @param {string} filter.type - Only remove links with this MIME type
+ * @param {boolean|string} filter.backup - Keep the original before writing: 'journal' (or true) or 'bak'
+ * @param {string} filter.journalDir - Where journal runs are kept (default: '.favicon-journal' next to the file)
+ * @returns {Promise<boolean>} - Whether any link was removed
+ */
+async function removeFavicon(filePath, filter = {}) {
+  const result = await processRemoval(filePath, filter);
+  return result.removed > 0;
+}
+
+/**
+ * Recursively scans a directory and removes favicon links from all HTML files
  * @param {string} dirPath - Path to the directory
- * @param {Object|string} options - Options object or favicon path string
- * @returns {Promise<{total: number, injected: number, skipped: number, failed: number}>} - Operation statistics
+ * @param {Object|string} filter - Removal filter, or a rel string (default: all icon links); may also hold
+ *   the directory scan settings of injectDir (extensions, include, exclude, defaultExcludes, ignoreFile, gitignore),
+ *   its concurrency limit and its backup settings (backup, journalDir)
+ * @returns {Promise<{total: number, removed: number, links: number, skipped: number, failed: number,
+ *   excluded: Object<string, number>, notIncluded: number, journal: string, error: Error}>} - Operation statistics; `journal` and `error` as in injectDir
  */
-async function injectDir(dirPath, options = '/favicon.ico') {
+async function removeDir(dirPath, filter = {}) {
   const stats = {
     total: 0,
-    injected: 0,
+    removed: 0,
+    links: 0,
     skipped: 0,
-    failed: 0
+    failed: 0,
+    excluded: {},
+    notIncluded: 0
   };
 
+  return scanDir(dirPath, filter, stats, {
+    start: async () => ({ journal: await startJournal(dirPath, filter, 'remove') }),
+
+    processFile: (filePath, context) => processRemoval(filePath, filter, context),
+
+    finish: async context => {
+      if (context.journal && await finishRun(context.journal)) {
+        stats.journal = context.journal.dir;
+      }
+    },
+
+    addResult: result => {
+      stats.total++;
+
+      if (result.error) {
+        stats.failed++;
+      } else if (result.removed > 0) {
+        stats.removed++;
+        stats.links += result.removed;
+      } else {
+        stats.skipped++;
+      }
+    },
+
+    addError: () => {
+      stats.total++;
+      stats.failed++;
+    }
+  });
+}
+
+/**
+ * Reads the icon roles every page must have from the check options
+ * @param {Object} options - Check options
+ * @returns {Array<string>} - Required roles
+ */
+function getRequiredRoles(options) {
+  const roles = [].concat(getOption(options, 'roles', ['icon']));
+  if (roles.length === 0) {
+    throw new Error('No icon roles to check for');
+  }
+  const unknown = roles.find(role => !ICON_ROLES.includes(role));
+  if (unknown !== undefined) {
+    throw new Error(`Invalid role '${unknown}' (expected one of: ${ICON_ROLES.join(', ')})`);
+  }
+  return roles;
+}
+
+/**
+ * Reads how many incomplete pages a check allows from the check options
+ * @param {Object} options - Check options
+ * @returns {number} - Maximum number of pages with missing roles
+ */
+function getMaxMissing(options) {
+  const maxMissing = getOption(options, 'maxMissing', 0);
+  if (!Number.isInteger(maxMissing) || maxMissing < 0) {
+    throw new Error(`Invalid maxMissing '${maxMissing}' (expected a non-negative integer)`);
+  }
+  return maxMissing;
+}
+
+/**
+ * Checks which required icon roles an HTML file lacks, without modifying it
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object} options - Check options
+ * @param {Array<string>} options.roles - Icon roles every page must have (default: ['icon'])
+ * @returns {Promise<{file: string, status: string, reason: string, missing: Array<string>, error: Error|null}>}
+ *   - `status` is 'complete', 'missing', 'no-head', 'not-a-file' or 'error'; `missing` lists the absent roles
+ */
+async function checkFile(filePath, options = {}) {
+  const result = { file: filePath, status: null, reason: null, missing: [], error: null };
+
   try {
-    // Ensure the directory exists
-    const exists = await fs.pathExists(dirPath);
-    if (!exists) {
-      throw new Error(`Directory ${dirPath} does not exist`);
+    const roles = getRequiredRoles(options);
+    if (!(await isProcessableFile(filePath))) {
+      return setStatus(result, 'not-a-file');
     }
 
-    // Read all files in the directory
-    const items = await fs.readdir(dirPath);
+    const { html } = await readHtml(filePath, options);
+    const $ = loadDocument(html, getTemplate(filePath));
+
+    // Partials and other fragments aren't pages of their own
+    if (!isDocument($)) {
+      return setStatus(result, 'no-head');
+    }
+
+    result.missing = roles.filter(role => !hasFavicon($, role));
+    result.status = result.missing.length > 0 ? 'missing' : 'complete';
+    result.reason = result.missing.length > 0
+      ? `Missing icon roles: ${result.missing.join(', ')}`
+      : 'All required icon roles present';
+    return result;
+  } catch (error) {
+    console.error(`Error checking ${filePath}:`, error);
+    return setStatus(result, 'error', error);
+  }
+}
+
+/**
+ * Recursively scans a directory and checks that every page has the required
+ * icon roles. Files are only read, never written.
+ * @param {string} dirPath - Path to the directory
+ * @param {Object} options - Check options; may also hold the directory scan settings and concurrency of injectDir
+ * @param {Array<string>} options.roles - Icon roles every page must have (default: ['icon'])
+ * @param {number} options.maxMissing - Number of pages allowed to miss roles before the check fails (default: 0)
+ * @returns {Promise<{total: number, complete: number, missing: number, skipped: number, failed: number,
+ *   excluded: Object<string, number>, notIncluded: number, files: Array<Object>, passed: boolean, error: Error}>}
+ *   - Check statistics; `passed` is false when more than `maxMissing` pages miss roles, any file
+ *   could not be checked, no page was found or the scan stopped early (`error`, as in injectDir).
+ *   `files` holds the checkFile result of every file, in traversal order
+ */
+async function checkDir(dirPath, options = {}) {
+  const stats = {
+    total: 0,
+    complete: 0,
+    missing: 0,
+    skipped: 0,
+    failed: 0,
+    excluded: {},
+    notIncluded: 0,
+    files: [],
+    passed: false
+  };
+
+  let maxMissing = 0;
 
-    for (const item of items) {
-      // Skip macOS metadata files
-      if (item.startsWith('._')) {
+  await scanDir(dirPath, options, stats, {
+    check: () => {
+      getRequiredRoles(options);
+      maxMissing = getMaxMissing(options);
+    },
+
+    processFile: filePath => checkFile(filePath, options),
+
+    addResult: result => {
+      stats.total++;
+
+      if (result.status === 'complete') {
+        stats.complete++;
+      } else if (result.status === 'missing') {
+        stats.missing++;
+      } else if (result.status === 'error') {
+        stats.failed++;
+      } else {
+        stats.skipped++;
+      }
+      stats.files.push(result);
+    },
+
+    // An entry the scan couldn't read is a file that couldn't be checked
+    addError: (filePath, error) => {
+      stats.total++;
+      stats.failed++;
+      stats.files.push({ file: filePath, status: 'error', reason: error.message, missing: [], error });
+    }
+  });
+
+  // A scan that found no pages proves nothing
+  stats.passed = !stats.error && stats.total > 0 && stats.missing <= maxMissing && stats.failed === 0;
+  return stats;
+}
+
+/**
+ * Builds the settings shared by every icon validated in one run
+ * @param {string} siteRoot - Directory served as the site root
+ * @param {Object|Array|string} options - Validation options
+ * @returns {{siteRoot: string, publicPath: string|null, maxSize: number, cache: Map}} - Validation context
+ */
+function getValidationContext(siteRoot, options) {
+  return {
+    siteRoot: path.resolve(getOption(options, 'siteRoot', siteRoot)),
+    publicPath: getOption(options, 'publicPath', getOption(options, 'baseUrl', null)),
+    maxSize: getMaxSize(options),
+    cache: new Map()
+  };
+}
+
+/**
+ * Checks that every favicon link in an HTML file points to an existing file
+ * of the declared type and an acceptable size. The file is only read.
+ * @param {string} filePath - Path to the HTML file
+ * @param {Object} options - Validation options
+ * @param {string} options.siteRoot - Directory served as the site root (default: the file's directory)
+ * @param {string} options.publicPath - URL prefix the site is served under; hrefs under it are looked up in the site root
+ * @param {number} options.maxSize - Largest acceptable icon file in bytes (default: 100 KB)
+ * @param {Object} [context] - Settings shared by the files of one validateDir run
+ * @returns {Promise<{file: string, status: string, reason: string, icons: Array<Object>, error: Error|null}>}
+ *   - `status` is 'valid', 'invalid', 'not-a-file' or 'error'; `icons` holds one validateIcon result per link
+ */
+async function validateFile(filePath, options = {}, context = null) {
+  const result = { file: filePath, status: null, reason: null, icons: [], error: null };
+
+  try {
+    const shared = context || getValidationContext(path.dirname(filePath), options);
+    if (!(await isProcessableFile(filePath))) {
+      return setStatus(result, 'not-a-file');
+    }
+
+    const template = getTemplate(filePath);
+    const { html } = await readHtml(filePath, options);
+    const $ = loadDocument(html, template);
+    const baseHref = getBaseHref($);
+
+    const links = $('link[href]').get().filter(link => getRole($(link).attr('rel')));
+    for (const link of links) {
+      const href = $(link).attr('href');
+      // Hrefs built by template tags are masked to spaces and can't be resolved
+      if (!href.trim() || (template.syntax && /\s/.test(href))) {
         continue;
       }
-      
-      const itemPath = path.join(dirPath, item);
-      const stat = await fs.stat(itemPath);
-
-      if (stat.isDirectory()) {
-        // Recursively process subdirectories
-        const subStats = await injectDir(itemPath, options);
-        
-        // Aggregate statistics
-        stats.total += subStats.total;
-        stats.injected += subStats.injected;
-        stats.skipped += subStats.skipped;
-        stats.failed += subStats.failed;
-      } else if (stat.isFile() && itemPath.toLowerCase().endsWith('.html')) {
-        // Process HTML files
-        stats.total++;
-        
-        const result = await injectFavicon(itemPath, options);
-        if (result) {
-          stats.injected++;
-        } else {
-          const html = await fs.readFile(itemPath, 'utf8');
-          const $ = cheerio.load(html);
-          
-          if (hasFavicon($)) {
-            stats.skipped++;
-          } else {
-            stats.failed++;
-          }
+      const icon = { href: href.trim(), rel: $(link).attr('rel'), type: $(link).attr('type') || null };
+      result.icons.push(await validateIcon(icon, { ...shared, filePath, baseHref }));
+    }
+
+    const problems = result.icons.reduce((count, icon) => count + icon.problems.length, 0);
+    result.status = problems > 0 ? 'invalid' : 'valid';
+    result.reason = problems > 0 ? `${problems} favicon problem(s)` : 'All favicon links valid';
+    return result;
+  } catch (error) {
+    console.error(`Error validating ${filePath}:`, error);
+    return setStatus(result, 'error', error);
+  }
+}
+
+/**
+ * Checks whether validation options name the icons that are (or would be) injected
+ * @param {Object|Array|string} options - Validation or injector options
+ * @returns {boolean} - Whether there are configured icons to validate
+ */
+function hasConfiguredIcons(options) {
+  return typeof options === 'string' || Array.isArray(options)
+    || Boolean(options && (options.path || Array.isArray(options.icons)));
+}
+
+/**
+ * Recursively scans a directory and validates the favicon links of every HTML
+ * file, and the configured icons if the options name any. Icon hrefs are
+ * resolved against the site root; files are only read.
+ * @param {string} dirPath - Path to the directory
+ * @param {Object|Array|string} options - Validation options (see validateFile); may also hold the icons to be
+ *   injected (`path` or `icons`) and the directory scan settings and concurrency of injectDir
+ * @returns {Promise<{total: number, icons: number, valid: number, external: number, broken: number,
+ *   mismatched: number, oversized: number, failed: number, excluded: Object<string, number>, notIncluded: number,
+ *   configured: Array<Object>, files: Array<Object>, passed: boolean, error: Error}>} - Validation statistics. Each problem kind
+ *   counts the icons that have it; `passed` is false when any icon has a problem, any file could not be read
+ *   or the scan stopped early (`error`, as in injectDir)
+ */
+async function validateDir(dirPath, options = {}) {
+  const stats = {
+    total: 0,
+    icons: 0,
+    valid: 0,
+    external: 0,
+    ...Object.fromEntries(PROBLEMS.map(problem => [problem, 0])),
+    failed: 0,
+    excluded: {},
+    notIncluded: 0,
+    configured: [],
+    files: [],
+    passed: false
+  };
+
+  // Adds up the findings for one icon
+  const count = icon => {
+    stats.icons++;
+    if (icon.external) {
+      stats.external++;
+    } else if (icon.problems.length === 0) {
+      stats.valid++;
+    }
+    for (const problem of new Set(icon.problems.map(item => item.problem))) {
+      stats[problem]++;
+    }
+  };
+
+  await scanDir(dirPath, options, stats, {
+    start: async () => {
+      const context = getValidationContext(dirPath, options);
+
+      // Configured paths are relative to the site root, like a link in a page at the root
+      if (hasConfiguredIcons(options)) {
+        const rootPage = { filePath: path.join(context.siteRoot, 'index.html'), baseHref: null, publicPath: null };
+        for (const icon of normalizeIcons(options)) {
+          const result = await validateIcon({ href: icon.path, rel: icon.rel, type: icon.type }, { ...context, ...rootPage });
+          stats.configured.push(result);
+          count(result);
         }
       }
+      return context;
+    },
+
+    processFile: (filePath, context) => validateFile(filePath, options, context),
+
+    addResult: result => {
+      stats.total++;
+      if (result.status === 'error') {
+        stats.failed++;
+      }
+      result.icons.forEach(count);
+      stats.files.push(result);
+    },
+
+    // An entry the scan couldn't read is a file that couldn't be validated
+    addError: (filePath, error) => {
+      stats.total++;
+      stats.failed++;
+      stats.files.push({ file: filePath, status: 'error', reason: error.message, icons: [], error });
+    }
+  });
+
+  stats.passed = !stats.error && stats.failed === 0 && PROBLEMS.every(problem => stats[problem] === 0);
+  return stats;
+}
+
+/**
+ * Restores the files changed by the most recent run that kept a journal (`backup: 'journal'`).
+ * Each call goes back one run. Icon copies made by `cacheBust: 'filename'` are left in place.
+ * @param {string} dirPath - Directory the run was made on
+ * @param {Object} options - Undo options
+ * @param {string} options.journalDir - Where journal runs are kept (default: '.favicon-journal' in the directory)
+ * @returns {Promise<{run: string|null, total: number, restored: number, failed: number,
+ *   files: Array<{file: string, error: Error|null}>, error: Error}>} - Name of the restored run (null if there was nothing to undo),
+ *   the outcome for each of its files, and the error if the journal could not be read
+ */
+async function undoLastRun(dirPath, options = {}) {
+  const stats = { run: null, total: 0, restored: 0, failed: 0, files: [] };
+
+  try {
+    const { run, files } = await restoreLastRun(getJournalDir(dirPath, getOption(options, 'journalDir', null)));
+    stats.run = run;
+    for (const entry of files) {
+      stats.total++;
+      stats[entry.error ? 'failed' : 'restored']++;
+      stats.files.push(entry);
     }
-    
     return stats;
   } catch (error) {
-    console.error(`Error scanning directory ${dirPath}:`, error);
+    console.error(`Error undoing the last run in ${dirPath}:`, error);
+    stats.error = error;
     return stats;
   }
 }
 
 module.exports = {
+  MODES,
+  NO_HEAD_POLICIES,
+  CACHE_BUST_MODES,
+  BACKUP_MODES,
+  STATUSES,
+  validateOptions,
+  injectHtml,
+  detectFavicons,
+  injectFile,
   injectFavicon,
   injectDir,
+  removeFavicon,
+  removeDir,
+  checkFile,
+  checkDir,
+  validateFile,
+  validateDir,
+  undoLastRun,
+  getIconRoles,
+  detectRoles,
+  // Export for the stream API
+  getPage,
+  injectSource,
   // Export for testing
   hasFavicon
 }; 
\ No newline at end of file
@@ -0,0 +1,246 @@
+'use strict';
+
+const zlib = require('zlib');
+const { validateOptions, injectHtml } = require('./injector');
+const { decodeDocument, encodeDocument } = require('./encoding');
+
+/**
+ * Content codings we can unpack and pack again; responses in any other coding are passed through
+ */
+const CODECS = {
+  gzip: { decode: zlib.gunzipSync, encode: zlib.gzipSync },
+  'x-gzip': { decode: zlib.gunzipSync, encode: zlib.gzipSync },
+  deflate: { decode: inflate, encode: zlib.deflateSync },
+  br: { decode: zlib.brotliDecompressSync, encode: zlib.brotliCompressSync }
+};
+
+/**
+ * Unpacks a deflate body. The coding is meant to be zlib-wrapped, but some servers send raw deflate data.
+ * @param {Buffer} body - Compressed body
+ * @returns {Buffer} - Uncompressed body
+ */
+function inflate(body) {
+  try {
+    return zlib.inflateSync(body);
+  } catch (error) {
+    return zlib.inflateRawSync(body);
+  }
+}
+
+/**
+ * Reads the content coding of a response
+ * @param {ServerResponse|{getHeader: Function}} res - Response, or anything to read its headers from
+ * @returns {string} - Lowercase coding, 'identity' if there is none
+ */
+function getContentCoding(res) {
+  return String(res.getHeader('content-encoding') || 'identity').trim().toLowerCase();
+}
+
+/**
+ * Reads the headers a response will be sent with when res.writeHead is called,
+ * without changing the response
+ * @param {ServerResponse} res - Response
+ * @param {Object|Array} headers - Headers given to res.writeHead
+ * @returns {{getHeader: Function}} - Header reader: the given headers win over the ones already set
+ */
+function pendingHeaders(res, headers) {
+  const given = new Map();
+  if (Array.isArray(headers)) {
+    for (let i = 0; i + 1 < headers.length; i += 2) {
+      given.set(String(headers[i]).toLowerCase(), headers[i + 1]);
+    }
+  } else if (headers) {
+    for (const [name, value] of Object.entries(headers)) {
+      given.set(name.toLowerCase(), value);
+    }
+  }
+  return { getHeader: name => (given.has(name) ? given.get(name) : res.getHeader(name)) };
+}
+
+/**
+ * Decides whether a response is an HTML page we can inject into
+ * @param {IncomingMessage} req - Request
+ * @param {number} statusCode - Response status
+ * @param {ServerResponse|{getHeader: Function}} headers - Response with its headers set, or a reader for them
+ * @returns {boolean} - Whether to buffer and rewrite the body
+ */
+function isInjectable(req, statusCode, headers) {
+  // Responses without a body
+  if (req.method === 'HEAD' || statusCode === 204 || statusCode === 304) {
+    return false;
+  }
+  const type = String(headers.getHeader('content-type') || '');
+  if (!/^\s*(?:text\/html|application\/xhtml\+xml)\s*(?:;|$)/i.test(type)) {
+    return false;
+  }
+  const coding = getContentCoding(headers);
+  return coding === 'identity' || Object.prototype.hasOwnProperty.call(CODECS, coding);
+}
+
+/**
+ * Copies the headers given to res.writeHead onto the response, so they can be
+ * read and changed before the head is sent. As in Node, the values of a name
+ * repeated in a flat array (e.g. Set-Cookie) are all kept.
+ * @param {ServerResponse} res - Response
+ * @param {Object|Array} headers - Header object, or a flat array of names and values
+ */
+function applyHeaders(res, headers) {
+  if (Array.isArray(headers)) {
+    const grouped = new Map();
+    for (let i = 0; i + 1 < headers.length; i += 2) {
+      const key = String(headers[i]).toLowerCase();
+      if (!grouped.has(key)) {
+        grouped.set(key, { name: headers[i], values: [] });
+      }
+      grouped.get(key).values.push(...[].concat(headers[i + 1]));
+    }
+    for (const { name, values } of grouped.values()) {
+      res.setHeader(name, values.length === 1 ? values[0] : values);
+    }
+  } else if (headers) {
+    for (const [name, value] of Object.entries(headers)) {
+      res.setHeader(name, value);
+    }
+  }
+}
+
+/**
+ * Injects the icon set into a buffered response body
+ * @param {Buffer} body - Body as sent by the app, possibly compressed
+ * @param {ServerResponse} res - Response, with its headers set
+ * @param {Object|Array|string} options - Injector options
+ * @returns {Buffer|null} - New body in the same coding and charset, or null if the page needs no change
+ */
+function injectBody(body, res, options) {
+  const codec = CODECS[getContentCoding(res)];
+  const raw = codec ? codec.decode(body) : body;
+
+  // The charset of the Content-Type header wins over the page's own declaration, as in browsers
+  const charset = String(res.getHeader('content-type')).match(/;\s*charset\s*=\s*"?([^";\s]+)/i);
+  const source = decodeDocument(raw, { encoding: charset ? charset[1] : null });
+
+  const result = injectHtml(source.html, options);
+  if (result.status !== 'injected' && result.status !== 'replaced') {
+    return null;
+  }
+  const encoded = encodeDocument(result.html, source);
+  return codec ? codec.encode(encoded) : encoded;
+}
+
+/**
+ * Creates Express/Connect middleware that injects favicon links into HTML responses.
+ * HTML bodies are buffered, whether they are sent in one `res.end` or in many
+ * `res.write` chunks, unpacked if they are gzip, deflate or Brotli compressed, and
+ * sent on with the missing icons added (the same role detection as hasFavicon) and
+ * a corrected Content-Length. Any other response passes through untouched, as does
+ * a page that can't be parsed. With a plain `http` server, call it before the handler:
+ * `http.createServer((req, res) => middleware(req, res, () => handler(req, res)))`.
+ * @param {Object|Array|string} options - Same options as injectHtml
+ * @returns {Function} - Middleware taking `(req, res, next)`
+ * @throws {Error} - On invalid options
+ */
+function faviconMiddleware(options = '/favicon.ico') {
+  validateOptions(options);
+
+  return function injectFavicons(req, res, next) {
+    const { writeHead, write, end } = res;
+    const chunks = [];
+    let intercept = null;
+
+    // Hands the response back to the original methods
+    const restore = () => {
+      res.writeHead = writeHead;
+      res.write = write;
+      res.end = end;
+    };
+
+    // Decides once, when the head is known, whether to buffer the body
+    const decide = (statusCode = res.statusCode, headers = res) => {
+      if (intercept === null) {
+        intercept = isInjectable(req, statusCode, headers);
+        if (!intercept) {
+          restore();
+        }
+      }
+      return intercept;
+    };
+
+    const collect = (chunk, encoding) => {
+      if (chunk !== undefined && chunk !== null) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8'));
+      }
+    };
+
+    res.writeHead = function(...args) {
+      const [statusCode] = args;
+      const reason = typeof args[1] === 'string' ? args[1] : undefined;
+      const headers = typeof args[1] === 'string' ? args[2] : args[1];
+
+      // Everything but HTML is sent now, exactly as the app asked
+      if (!decide(statusCode, pendingHeaders(res, headers))) {
+        return res.writeHead(...args);
+      }
+
+      // HTML waits until the body is complete
+      res.statusCode = statusCode;
+      if (reason) {
+        res.statusMessage = reason;
+      }
+      applyHeaders(res, headers);
+      return res;
+    };
+
+    res.write = function(chunk, encoding, callback) {
+      if (!decide()) {
+        return res.write(chunk, encoding, callback);
+      }
+      collect(chunk, encoding);
+      const done = typeof encoding === 'function' ? encoding : callback;
+      if (typeof done === 'function') {
+        process.nextTick(done);
+      }
+      return true;
+    };
+
+    res.end = function(chunk, encoding, callback) {
+      if (typeof chunk === 'function') {
+        callback = chunk;
+        chunk = undefined;
+      } else if (typeof encoding === 'function') {
+        callback = encoding;
+        encoding = undefined;
+      }
+      if (!decide()) {
+        return res.end(chunk, encoding, callback);
+      }
+
+      collect(chunk, encoding);
+      restore();
+
+      let body = Buffer.concat(chunks);
+      try {
+        const injected = body.length > 0 ? injectBody(body, res, options) : null;
+        if (injected) {
+          body = injected;
+          // The validator described the old body
+          res.removeHeader('etag');
+        }
+      } catch (error) {
+        console.error(`Error injecting favicon into ${req.url}:`, error);
+      }
+
+      if (!res.headersSent && !res.getHeader('transfer-encoding')) {
+        res.setHeader('content-length', body.length);
+      }
+      return res.end(body, callback);
+    };
+
+    if (typeof next === 'function') {
+      next();
+    }
+  };
+}
+
+module.exports = {
+  faviconMiddleware
+};
@@ -0,0 +1,270 @@
+'use strict';
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+/**
+ * Report formats the CLI can write
+ */
+const REPORTERS = ['text', 'json', 'junit', 'sarif'];
+
+/**
+ * Problems a file can be reported with, as SARIF rules
+ */
+const RULES = [
+  { id: 'missing-favicon', description: 'The page has no favicon links' },
+  { id: 'outdated-favicon', description: 'The page\'s favicon links differ from the configured ones' },
+  { id: 'processing-error', description: 'The page could not be processed' }
+];
+
+/**
+ * Formats a file path relative to the scanned directory, with forward slashes
+ * @param {string} root - Scanned directory
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Relative path
+ */
+function relativePath(root, filePath) {
+  return path.relative(root, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Escapes text for use in XML content and attribute values
+ * @param {string} value - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Works out whether a file is a problem worth flagging in CI.
+ * A file that was fixed is fine; in a dry run, a file that would be changed
+ * is missing (or has outdated) favicon links.
+ * @param {Object} entry - Per-file entry from `stats.files`
+ * @param {boolean} dryRun - Whether no files were written
+ * @returns {{rule: string, level: string, message: string}|null} - Problem, or null if the file is fine
+ */
+function getProblem(entry, dryRun) {
+  if (entry.status === 'error') {
+    return { rule: 'processing-error', level: 'error', message: entry.reason };
+  }
+  if (dryRun && entry.status === 'injected') {
+    return { rule: 'missing-favicon', level: 'warning', message: `Missing favicon links: ${entry.tags.join(' ')}` };
+  }
+  if (dryRun && entry.status === 'replaced') {
+    return { rule: 'outdated-favicon', level: 'warning', message: `Favicon links differ from: ${entry.tags.join(' ')}` };
+  }
+  return null;
+}
+
+/**
+ * Formats the human-readable summary printed by the CLI
+ * @param {Object} stats - Statistics from injectDir
+ * @param {Object} context - Report settings
+ * @returns {string} - Diffs followed by the summary
+ */
+function formatText(stats, context) {
+  const lines = (stats.diffs || []).map(({ diff }) => diff.trimEnd());
+
+  lines.push(context.dryRun
+    ? '\nDry run completed, no files were written.'
+    : '\nOperation completed successfully!');
+  lines.push(`Total HTML files found: ${stats.total}`);
+  lines.push(`Files injected with favicon: ${stats.injected}`);
+  if (stats.replaced > 0) {
+    lines.push(`Files with favicon replaced: ${stats.replaced}`);
+  }
+  lines.push(`Files skipped (already have favicon): ${stats.skipped}`);
+  if (stats.noHead > 0) {
+    lines.push(`Files skipped (no <head>, e.g. partials): ${stats.noHead}`);
+  }
+  lines.push(...formatExcluded(stats));
+
+  // Report per icon when a set was injected
+  if (stats.icons && stats.icons.length > 1) {
+    for (const icon of stats.icons) {
+      const sizes = icon.sizes ? ` ${icon.sizes}` : '';
+      lines.push(` - ${icon.rel}${sizes} (${icon.path}): ${icon.injected} injected`);
+    }
+  }
+
+  if (stats.failed > 0) {
+    lines.push(`Files failed to inject: ${stats.failed}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Formats how many entries each exclusion skipped
+ * @param {Object} stats - Statistics from injectDir or removeDir
+ * @returns {Array<string>} - One line per exclusion
+ */
+function formatExcluded(stats) {
+  const lines = Object.entries(stats.excluded || {}).map(([label, count]) => `Excluded by ${label}: ${count}`);
+  if (stats.notIncluded > 0) {
+    lines.push(`Files not matching --include: ${stats.notIncluded}`);
+  }
+  return lines;
+}
+
+/**
+ * Formats the results as JSON: the summary counts and one entry per file
+ * @param {Object} stats - Statistics from injectDir
+ * @param {Object} context - Report settings
+ * @returns {string} - JSON document
+ */
+function formatJson(stats, context) {
+  const { files = [], diffs, ...summary } = stats;
+  const report = {
+    tool: { name: context.name, version: context.version },
+    directory: context.root,
+    dryRun: Boolean(context.dryRun),
+    summary,
+    files: files.map(entry => ({
+      file: relativePath(context.root, entry.file),
+      status: entry.status,
+      reason: entry.reason,
+      error: entry.error ? entry.error.message : null,
+      added: entry.added,
+      tags: entry.tags,
+      duration: entry.duration
+    }))
+  };
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Formats the results as a JUnit XML test suite with one test case per file.
+ * Problems (see getProblem) become failures or errors; files without a <head>
+ * or of an unsupported type are skipped.
+ * @param {Object} stats - Statistics from injectDir
+ * @param {Object} context - Report settings
+ * @returns {string} - JUnit XML document
+ */
+function formatJunit(stats, context) {
+  const files = stats.files || [];
+  const counts = { failures: 0, errors: 0, skipped: 0, time: 0 };
+
+  const cases = files.map(entry => {
+    const problem = getProblem(entry, context.dryRun);
+    const seconds = (entry.duration || 0) / 1000;
+    counts.time += seconds;
+
+    let body = '';
+    if (problem && problem.level === 'error') {
+      counts.errors++;
+      body = `<error message="${escapeXml(problem.message)}" type="${problem.rule}"/>`;
+    } else if (problem) {
+      counts.failures++;
+      body = `<failure message="${escapeXml(problem.message)}" type="${problem.rule}"/>`;
+    } else if (entry.status === 'no-head' || entry.status === 'not-a-file') {
+      counts.skipped++;
+      body = `<skipped message="${escapeXml(entry.reason)}"/>`;
+    }
+
+    const attributes = `name="${escapeXml(relativePath(context.root, entry.file))}" classname="${context.name}" time="${seconds.toFixed(3)}"`;
+    return body
+      ? `    <testcase ${attributes}>\n      ${body}\n    </testcase>`
+      : `    <testcase ${attributes}/>`;
+  });
+
+  const totals = `tests="${files.length}" failures="${counts.failures}" errors="${counts.errors}"`;
+  const time = counts.time.toFixed(3);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${context.name}" ${totals} time="${time}">`,
+    `  <testsuite name="${context.name}" ${totals} skipped="${counts.skipped}" time="${time}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>'
+  ].join('\n');
+}
+
+/**
+ * Formats the problems as a SARIF 2.1.0 log, for code-scanning annotations.
+ * Paths are relative to the scanned directory (the SRCROOT base).
+ * @param {Object} stats - Statistics from injectDir
+ * @param {Object} context - Report settings
+ * @returns {string} - SARIF JSON document
+ */
+function formatSarif(stats, context) {
+  const results = [];
+  for (const entry of stats.files || []) {
+    const problem = getProblem(entry, context.dryRun);
+    if (!problem) {
+      continue;
+    }
+    results.push({
+      ruleId: problem.rule,
+      ruleIndex: RULES.findIndex(rule => rule.id === problem.rule),
+      level: problem.level,
+      message: { text: problem.message },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: relativePath(context.root, entry.file), uriBaseId: 'SRCROOT' }
+        }
+      }]
+    });
+  }
+
+  const log = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: context.name,
+          version: context.version,
+          rules: RULES.map(rule => ({ id: rule.id, shortDescription: { text: rule.description } }))
+        }
+      },
+      originalUriBaseIds: {
+        SRCROOT: { uri: `${pathToFileURL(context.root).href.replace(/\/?$/, '/')}` }
+      },
+      results
+    }]
+  };
+  return JSON.stringify(log, null, 2);
+}
+
+/**
+ * Formatters for each reporter
+ */
+const FORMATTERS = {
+  text: formatText,
+  json: formatJson,
+  junit: formatJunit,
+  sarif: formatSarif
+};
+
+/**
+ * Formats the results of an injectDir run
+ * @param {string} reporter - One of REPORTERS
+ * @param {Object} stats - Statistics from injectDir
+ * @param {Object} context - Report settings
+ * @param {string} context.root - Scanned directory; file paths are reported relative to it
+ * @param {boolean} context.dryRun - Whether no files were written; files that would change are then reported as problems
+ * @param {string} context.name - Tool name
+ * @param {string} context.version - Tool version
+ * @returns {string} - Report
+ */
+function formatReport(reporter, stats, context) {
+  if (!FORMATTERS[reporter]) {
+    throw new Error(`Unknown reporter '${reporter}' (expected one of: ${REPORTERS.join(', ')})`);
+  }
+  return FORMATTERS[reporter](stats, context);
+}
+
+module.exports = {
+  REPORTERS,
+  RULES,
+  escapeXml,
+  getProblem,
+  formatExcluded,
+  formatReport
+};
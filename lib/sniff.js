@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { isAbsoluteUrl } = require('./hrefs');
+
+/**
+ * Number of bytes read from the start of a file to recognise its format and size;
+ * SVG files may start with an XML declaration, a doctype and comments, and an
+ * AVIF file keeps its dimensions in a metadata box after the file type box
+ */
+const SNIFF_BYTES = 4096;
+
+/**
+ * Names of the same format that browsers treat as equal
+ */
+const TYPE_ALIASES = {
+  'image/vnd.microsoft.icon': 'image/x-icon',
+  'image/ico': 'image/x-icon',
+  'image/icon': 'image/x-icon',
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg'
+};
+
+/**
+ * Checks whether a buffer starts with the given bytes
+ * @param {Buffer} buffer - File header
+ * @param {Array<number>} bytes - Expected bytes
+ * @param {number} [offset] - Position to compare at
+ * @returns {boolean} - Whether the bytes match
+ */
+function startsWith(buffer, bytes, offset = 0) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+/**
+ * Recognises an image format from its magic bytes
+ * @param {Buffer} buffer - Start of the file (at least SNIFF_BYTES, if the file is that long)
+ * @returns {string|null} - MIME type, or null if the contents aren't a known image format
+ */
+function sniffType(buffer) {
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0x00])) {
+    return 'image/x-icon';
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  const ascii = buffer.toString('latin1', 0, Math.min(buffer.length, SNIFF_BYTES));
+  if (ascii.startsWith('GIF87a') || ascii.startsWith('GIF89a')) {
+    return 'image/gif';
+  }
+  if (ascii.startsWith('RIFF') && ascii.slice(8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (ascii.slice(4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii.slice(8, 12))) {
+    return 'image/avif';
+  }
+
+  // SVG is text: skip a BOM, XML declaration, doctype and comments before the root element
+  const text = ascii.replace(/^\xef\xbb\xbf/, '');
+  if (/^\s*(?:<\?xml[\s\S]*?\?>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text)) {
+    return 'image/svg+xml';
+  }
+  return null;
+}
+
+/**
+ * Reads the dimensions of every image in an ICO file's directory
+ * @param {Buffer} buffer - File header
+ * @returns {Array<{width: number, height: number}>} - Image sizes, as listed
+ */
+function readIcoSizes(buffer) {
+  const count = buffer.length >= 6 ? buffer.readUInt16LE(4) : 0;
+  const images = [];
+  for (let i = 0; i < count && 6 + (i + 1) * 16 <= buffer.length; i++) {
+    // A stored 0 means 256 pixels
+    const entry = 6 + i * 16;
+    images.push({ width: buffer[entry] || 256, height: buffer[entry + 1] || 256 });
+  }
+  return images;
+}
+
+/**
+ * Reads the dimensions of a WebP image from its first chunk
+ * @param {Buffer} buffer - File header
+ * @returns {{width: number, height: number}|null} - Dimensions, if the header holds them
+ */
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+/**
+ * Reads the dimensions of an AVIF image from its image spatial extents ('ispe') property
+ * @param {Buffer} buffer - File header
+ * @returns {{width: number, height: number}|null} - Dimensions, if the header holds them
+ */
+function readAvifSize(buffer) {
+  const box = buffer.indexOf('ispe', 0, 'latin1');
+  if (box < 0 || box + 16 > buffer.length) {
+    return null;
+  }
+  // The box type is followed by a version and flags, then the width and height
+  return { width: buffer.readUInt32BE(box + 8), height: buffer.readUInt32BE(box + 12) };
+}
+
+/**
+ * Recognises an image and reads its dimensions from the file header
+ * @param {Buffer} buffer - Start of the file (at least SNIFF_BYTES, if the file is that long)
+ * @returns {{type: string|null, sizes: string|null}} - MIME type and the value for a `sizes` attribute:
+ *   'WxH' (every size of a multi-resolution ICO, smallest first), 'any' for SVG, or null if unknown
+ */
+function readImageInfo(buffer) {
+  const type = sniffType(buffer);
+  let dimensions = [];
+
+  if (type === 'image/png' && buffer.length >= 24) {
+    dimensions = [{ width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }];
+  } else if (type === 'image/gif' && buffer.length >= 10) {
+    dimensions = [{ width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }];
+  } else if (type === 'image/x-icon') {
+    dimensions = readIcoSizes(buffer);
+  } else if (type === 'image/webp') {
+    dimensions = [readWebpSize(buffer)].filter(Boolean);
+  } else if (type === 'image/avif') {
+    dimensions = [readAvifSize(buffer)].filter(Boolean);
+  } else if (type === 'image/svg+xml') {
+    // Vector icons scale to any size
+    return { type, sizes: 'any' };
+  }
+
+  const sizes = [...new Set(dimensions
+    .filter(({ width, height }) => width > 0 && height > 0)
+    .sort((a, b) => a.width - b.width || a.height - b.height)
+    .map(({ width, height }) => `${width}x${height}`))];
+  return { type, sizes: sizes.length > 0 ? sizes.join(' ') : null };
+}
+
+/**
+ * Maps a MIME type to the name we compare on
+ * @param {string|null} type - MIME type
+ * @returns {string|null} - Canonical MIME type
+ */
+function canonicalType(type) {
+  if (!type) {
+    return null;
+  }
+  const lower = type.trim().toLowerCase();
+  return TYPE_ALIASES[lower] || lower;
+}
+
+/**
+ * Reads the start of a file and recognises its format
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<{size: number, type: string|null, sizes: string|null}>} - File size in bytes, sniffed
+ *   MIME type and image sizes (see readImageInfo)
+ */
+async function sniffFile(filePath) {
+  const { size } = await fs.stat(filePath);
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(Math.min(size, SNIFF_BYTES));
+    await fs.read(handle, buffer, 0, buffer.length, 0);
+    return { size, ...readImageInfo(buffer) };
+  } finally {
+    await fs.close(handle);
+  }
+}
+
+/**
+ * Fills in the type and sizes of an icon from the icon file itself.
+ * The file is looked up under the root directory, like the site would serve it.
+ * Values given in the descriptor are kept; a type that was only guessed from
+ * the extension is replaced by the file's real type. Each file is read once
+ * per run through the cache.
+ * @param {Object} icon - Normalized icon descriptor
+ * @param {Object} context - Detection settings
+ * @param {string} context.root - Directory the icon path is relative to
+ * @param {boolean} context.keepType - The type was given explicitly
+ * @param {boolean} context.keepSizes - The sizes were given explicitly
+ * @param {Map} context.cache - Results shared between files, keyed by icon file
+ * @returns {Promise<Object>} - Descriptor with the detected type and sizes, or the original if the file can't be read
+ */
+async function detectIcon(icon, context) {
+  if (isAbsoluteUrl(icon.path) || (context.keepType && context.keepSizes)) {
+    return icon;
+  }
+
+  const pathPart = icon.path.split(/[?#]/)[0];
+  const iconFile = path.join(context.root, pathPart.replace(/^\/+/, ''));
+  if (!context.cache.has(iconFile)) {
+    // A missing icon is simply linked as configured
+    context.cache.set(iconFile, sniffFile(iconFile).catch(() => null));
+  }
+
+  const info = await context.cache.get(iconFile);
+  if (!info || !info.type) {
+    return icon;
+  }
+  return {
+    ...icon,
+    type: context.keepType ? icon.type : info.type,
+    sizes: context.keepSizes || !info.sizes ? icon.sizes : info.sizes
+  };
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffType,
+  readImageInfo,
+  canonicalType,
+  sniffFile,
+  detectIcon
+};
@@ -0,0 +1,275 @@
+'use strict';
+
+const { Transform } = require('stream');
+const { validateOptions, injectSource, getPage } = require('./injector');
+const { decodeDocument, encodeDocument } = require('./encoding');
+const { getTemplate, maskTemplate } = require('./templates');
+
+/**
+ * Elements that may appear in a <head>; any other tag starts the body
+ */
+const HEAD_ELEMENTS = ['html', 'head', 'base', 'link', 'meta', 'noscript', 'script', 'style', 'template', 'title'];
+
+/**
+ * Head elements whose content is skipped as a whole, so markup inside them isn't mistaken for the end of the head
+ */
+const OPAQUE_ELEMENTS = ['noscript', 'script', 'style', 'template', 'title'];
+
+/**
+ * Finds the end of the head in the start of a document: just after `</head>`, or at
+ * the first tag or text that belongs in the body when the head is closed implicitly
+ * @param {string} text - Start of the document, with template tags masked
+ * @returns {{offset: number, document: boolean}|null} - Where the head ends and whether the text before
+ *   it is a whole document rather than a fragment (as isDocument in lib/writer.js decides), or null if the end isn't in the text yet
+ */
+function findHeadEnd(text) {
+  const token = /<!--|<[!?]|<(\/?)([a-z][^\s/>]*)|<\/?|[^\t\n\f\r <]/gi;
+  // The rest of a start tag, quoted attribute values included
+  const rest = /(?:[^>"']|"[^"]*"|'[^']*')*>/y;
+  let document = false;
+  let match;
+
+  // A UTF-8 byte order mark reads as three latin1 characters
+  const bom = '\u00EF\u00BB\u00BF';
+  if (bom.startsWith(text)) {
+    return null;
+  }
+  token.lastIndex = text.startsWith(bom) ? bom.length : 0;
+
+  while ((match = token.exec(text))) {
+    if (match[0] === '<!--') {
+      const end = text.indexOf('-->', token.lastIndex);
+      if (end === -1) {
+        return null;
+      }
+      token.lastIndex = end + 3;
+      continue;
+    }
+
+    // Doctypes, processing instructions and bogus comments run to the next '>'
+    if (match[0] === '<!' || match[0] === '<?') {
+      const start = text.slice(match.index, match.index + 4);
+      const end = text.indexOf('>', token.lastIndex);
+      // A comment start may go on in the next chunk
+      if (end === -1 || '<!--'.startsWith(start)) {
+        return null;
+      }
+      if (/^<!doctype\b/i.test(text.slice(match.index, end))) {
+        document = true;
+      }
+      token.lastIndex = end + 1;
+      continue;
+    }
+
+    // Text, or a '<' that doesn't start a tag, starts the body
+    if (match[2] === undefined) {
+      return token.lastIndex === text.length && match[0].startsWith('<') ? null : { offset: match.index, document };
+    }
+
+    // The tag name may go on in the next chunk
+    if (token.lastIndex === text.length) {
+      return null;
+    }
+    const closing = match[1] === '/';
+    const name = match[2].toLowerCase();
+    if (!HEAD_ELEMENTS.includes(name)) {
+      return { offset: match.index, document };
+    }
+
+    rest.lastIndex = token.lastIndex;
+    if (!rest.exec(text)) {
+      return null;
+    }
+    token.lastIndex = rest.lastIndex;
+
+    if (closing) {
+      if (name === 'head') {
+        return { offset: token.lastIndex, document };
+      }
+      continue;
+    }
+    if (name === 'head' || name === 'html') {
+      document = true;
+    }
+    if (OPAQUE_ELEMENTS.includes(name)) {
+      const close = new RegExp(`</${name}[\\s/>]`, 'gi');
+      close.lastIndex = token.lastIndex;
+      if (!close.exec(text)) {
+        return null;
+      }
+      token.lastIndex = close.lastIndex;
+    }
+  }
+  return null;
+}
+
+/**
+ * Injects the icon set into the start of a document, or a whole one
+ * @param {Buffer} buffer - Bytes as read
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} context - State shared by the files of one stream (see injectFile)
+ * @param {Object} page - Where the document comes from (see getPage)
+ * @returns {Promise<{contents: Buffer, status: string}>} - Bytes to send on in the document's own encoding
+ *   (the original ones if nothing changed), and the injection status
+ */
+async function injectBuffer(buffer, options, context, page) {
+  const fallbackEncoding = options && typeof options === 'object' && !Array.isArray(options) ? options.fallbackEncoding : undefined;
+  const source = decodeDocument(buffer, { fallbackEncoding });
+  const result = await injectSource(source.html, options, context, page);
+  if (result.status !== 'injected' && result.status !== 'replaced') {
+    return { contents: buffer, status: result.status };
+  }
+  return { contents: encodeDocument(result.html, source), status: result.status };
+}
+
+/**
+ * Creates the byte-level transform for one document. Bytes are held back only until
+ * the end of the head is seen, explicit or implied; the head is then sent on with the
+ * icons added, and the rest of the document passes straight through. A fragment (or a
+ * document in an encoding that isn't ASCII-compatible, like UTF-16) is buffered whole,
+ * so the noHead policy sees all of it.
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} context - State shared by the files of one stream (see injectFile)
+ * @param {Object} page - Where the document comes from (see getPage)
+ * @returns {Transform} - Byte stream
+ */
+function createHtmlStream(options, context, page) {
+  const name = page.filePath || 'stream';
+  const chunks = [];
+  let scanning = true;
+  let passing = false;
+
+  const inject = async buffer => {
+    try {
+      const { contents, status } = await injectBuffer(buffer, options, context, page);
+      if (status === 'no-head' && page.filePath) {
+        console.warn(`No <head> tag found in ${page.filePath}`);
+      }
+      return contents;
+    } catch (error) {
+      console.error(`Error injecting favicon into ${name}:`, error);
+      return buffer;
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (passing) {
+        callback(null, chunk);
+        return;
+      }
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+      if (!scanning) {
+        callback();
+        return;
+      }
+
+      // Markup is ASCII, so offsets in a latin1 reading are byte offsets
+      const buffered = Buffer.concat(chunks.splice(0));
+      chunks.push(buffered);
+      const end = findHeadEnd(maskTemplate(buffered.toString('latin1'), page.template));
+      if (!end) {
+        callback();
+        return;
+      }
+      if (!end.document) {
+        scanning = false;
+        callback();
+        return;
+      }
+
+      passing = true;
+      chunks.length = 0;
+      inject(buffered.subarray(0, end.offset)).then(head => {
+        this.push(head);
+        callback(null, buffered.subarray(end.offset));
+      });
+    },
+
+    flush(callback) {
+      const buffered = Buffer.concat(chunks.splice(0));
+      if (passing || buffered.length === 0) {
+        callback();
+        return;
+      }
+      inject(buffered).then(contents => callback(null, contents));
+    }
+  });
+}
+
+/**
+ * Injects the icon set into a Vinyl-like file, in place
+ * @param {Object} file - File with `path` and Buffer or stream `contents`
+ * @param {Object|Array|string} options - Injector options
+ * @param {Object} context - State shared by the files of one stream (see injectFile)
+ * @returns {Promise<void>}
+ */
+async function injectVinyl(file, options, context) {
+  const page = file.path ? { filePath: file.path, template: getTemplate(file.path) } : getPage(options);
+  // Files in formats we can't inject into (stylesheets, images, ...) go through as they are
+  if (!file.contents || !page.template) {
+    return;
+  }
+  // Icons are looked up from the base of the glob, the site root of a gulp build
+  const fileContext = { ...context, root: context.root || file.base };
+
+  if (typeof file.contents.pipe === 'function') {
+    file.contents = file.contents.pipe(createHtmlStream(options, fileContext, page));
+    return;
+  }
+  if (!Buffer.isBuffer(file.contents)) {
+    return;
+  }
+
+  try {
+    const { contents, status } = await injectBuffer(file.contents, options, fileContext, page);
+    if (status === 'no-head') {
+      console.warn(`No <head> tag found in ${file.path}`);
+    }
+    file.contents = contents;
+  } catch (error) {
+    console.error(`Error injecting favicon into ${file.path}:`, error);
+  }
+}
+
+/**
+ * Creates a transform stream that injects favicon links, with the same results as injectFavicon.
+ * By default it is an object-mode stream of Vinyl-like `{path, contents}` files, as in a gulp
+ * pipeline: HTML files and templates are updated in place and everything else passes through.
+ * With `objectMode: false` it transforms the bytes of a single document instead, and sends the
+ * head on as soon as it has been read rather than waiting for the whole document. Favicon links
+ * after the head aren't looked at. No files are written, except hashed icon copies for
+ * `cacheBust: 'filename'`; a page that can't be injected into passes through untouched.
+ * @param {Object|Array|string} options - Same options as injectFavicon
+ * @param {boolean} options.objectMode - Transform Vinyl-like files (default: true) rather than bytes
+ * @param {string} options.filePath - For bytes: where the page lives, for its template format, icon files and relative hrefs
+ * @param {string} options.template - For bytes: template format of the source (default: 'html')
+ * @returns {Transform} - Transform stream
+ * @throws {Error} - On invalid options
+ */
+function createInjectStream(options = '/favicon.ico') {
+  validateOptions(options);
+
+  const context = { hashes: new Map(), images: new Map() };
+  const objectMode = !(options && typeof options === 'object' && !Array.isArray(options) && options.objectMode === false);
+  if (!objectMode) {
+    return createHtmlStream(options, context, getPage(options));
+  }
+
+  return new Transform({
+    objectMode: true,
+    transform(file, encoding, callback) {
+      if (!file || typeof file !== 'object' || Buffer.isBuffer(file) || !('contents' in file)) {
+        callback(null, file);
+        return;
+      }
+      injectVinyl(file, options, context).then(() => callback(null, file));
+    }
+  });
+}
+
+module.exports = {
+  createInjectStream,
+  // Export for testing
+  findHeadEnd
+};
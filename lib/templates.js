@@ -0,0 +1,103 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Extensions scanned when no `extensions` option is given
+ */
+const DEFAULT_EXTENSIONS = ['.html'];
+
+/**
+ * Handlers for the file formats we can inject into.
+ * `syntax` matches the template tags of a format; plain HTML has none.
+ * Patterns earlier in an alternation win, so comments come before expressions.
+ */
+const TEMPLATES = [
+  {
+    name: 'html',
+    extensions: ['.html', '.htm', '.xhtml'],
+    syntax: null
+  },
+  {
+    // <% code %>, <%= escaped %>, <%- raw %>, <%# comment %>
+    name: 'ejs',
+    extensions: ['.ejs'],
+    syntax: /<%[\s\S]*?%>/g
+  },
+  {
+    // {{!-- comment --}}, {{{raw}}}, {{expr}}, {{> partial}}, {{#block}}
+    name: 'handlebars',
+    extensions: ['.hbs', '.handlebars'],
+    syntax: /\{\{!--[\s\S]*?--\}\}|\{\{\{?[\s\S]*?\}?\}\}/g
+  },
+  {
+    // {# comment #}, {% tag %}, {{ expr }}
+    name: 'nunjucks',
+    extensions: ['.njk', '.nunjucks'],
+    syntax: /\{#[\s\S]*?#\}|\{%[\s\S]*?%\}|\{\{[\s\S]*?\}\}/g
+  },
+  {
+    // <?php ... ?> and <?= ... ?>; a block left open runs to the end of the file
+    name: 'php',
+    extensions: ['.php'],
+    syntax: /<\?(?:php\b|=)[\s\S]*?(?:\?>|$)/g
+  }
+];
+
+/**
+ * Normalizes an extension to lowercase with a leading dot
+ * @param {string} extension - Extension, with or without the dot
+ * @returns {string} - Normalized extension
+ */
+function normalizeExtension(extension) {
+  const ext = String(extension).trim().toLowerCase();
+  return ext.startsWith('.') ? ext : `.${ext}`;
+}
+
+/**
+ * Finds the handler for a file
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} - Template handler, or null if the format isn't supported
+ */
+function getTemplate(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  return TEMPLATES.find(template => template.extensions.includes(ext)) || null;
+}
+
+/**
+ * Finds a handler by format name
+ * @param {string} name - Format name, e.g. 'ejs'
+ * @returns {Object} - Template handler
+ */
+function findTemplate(name) {
+  const template = TEMPLATES.find(item => item.name === name);
+  if (!template) {
+    throw new Error(`Unknown template '${name}' (expected one of: ${TEMPLATES.map(item => item.name).join(', ')})`);
+  }
+  return template;
+}
+
+/**
+ * Blanks out template tags so the HTML parser only sees the markup.
+ * Every character of a tag except line breaks becomes a space, so offsets,
+ * line numbers and indentation in the masked source match the original and
+ * edits planned on it can be applied to the original untouched.
+ * @param {string} source - Original file contents
+ * @param {Object} template - Template handler
+ * @returns {string} - Source with the template tags masked
+ */
+function maskTemplate(source, template) {
+  if (!template || !template.syntax) {
+    return source;
+  }
+  return source.replace(template.syntax, tag => tag.replace(/[^\r\n]/g, ' '));
+}
+
+module.exports = {
+  DEFAULT_EXTENSIONS,
+  TEMPLATES,
+  normalizeExtension,
+  getTemplate,
+  findTemplate,
+  maskTemplate
+};
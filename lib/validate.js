@@ -0,0 +1,101 @@
+'use strict';
+
+const { detectType } = require('./icons');
+const { hrefToFile } = require('./hrefs');
+const { canonicalType, sniffFile } = require('./sniff');
+
+/**
+ * Icon files larger than this many bytes are reported as oversized when no `maxSize` option is given
+ */
+const DEFAULT_MAX_SIZE = 100 * 1024;
+
+/**
+ * Kinds of problems an icon can have:
+ * - `broken`: the href doesn't point to a file in the site
+ * - `mismatched`: the file's contents aren't the declared (or implied) image type
+ * - `oversized`: the file is larger than the size limit
+ */
+const PROBLEMS = ['broken', 'mismatched', 'oversized'];
+
+/**
+ * Reads the size and format of an icon file once per run
+ * @param {string} iconFile - Path to the icon file
+ * @param {Map} cache - Results shared between pages, keyed by file path
+ * @returns {Promise<{size: number, type: string|null}|null>} - File details, or null if there's no such file
+ */
+function inspectIconFile(iconFile, cache) {
+  if (!cache.has(iconFile)) {
+    cache.set(iconFile, sniffFile(iconFile).catch(error => {
+      // A directory or missing file is a broken link; anything else is a real error
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EISDIR') {
+        return null;
+      }
+      throw error;
+    }));
+  }
+  return cache.get(iconFile);
+}
+
+/**
+ * Checks that an icon href points to an existing file of the right type and size
+ * @param {Object} icon - Link to check
+ * @param {string} icon.href - Href of the link
+ * @param {string} icon.rel - Rel of the link
+ * @param {string|null} icon.type - Declared MIME type (the extension's type is expected if there is none)
+ * @param {Object} context - Page details and limits
+ * @param {string} context.filePath - Path to the page
+ * @param {string} context.siteRoot - Directory served as the site root
+ * @param {string|null} context.publicPath - URL prefix the site is served under
+ * @param {string|null} context.baseHref - Base href of the page
+ * @param {number} context.maxSize - Largest acceptable icon file, in bytes
+ * @param {Map} context.cache - Icon file details shared between pages
+ * @returns {Promise<{href: string, rel: string, file: string|null, external: boolean, declaredType: string|null,
+ *   actualType: string|null, size: number|null, problems: Array<{problem: string, message: string}>}>} - Findings
+ */
+async function validateIcon(icon, context) {
+  const declaredType = icon.type || detectType(icon.href);
+  const file = hrefToFile(icon.href, context);
+  const result = {
+    href: icon.href,
+    rel: icon.rel,
+    file,
+    external: file === null,
+    declaredType,
+    actualType: null,
+    size: null,
+    problems: []
+  };
+
+  // Full URLs can't be checked without fetching them
+  if (result.external) {
+    return result;
+  }
+
+  const info = await inspectIconFile(file, context.cache);
+  if (!info) {
+    result.problems.push({ problem: 'broken', message: `${icon.href} not found (${file})` });
+    return result;
+  }
+
+  result.actualType = info.type;
+  result.size = info.size;
+
+  if (!info.type) {
+    result.problems.push({ problem: 'mismatched', message: `${icon.href} is not a recognised image` });
+  } else if (declaredType && canonicalType(declaredType) !== info.type) {
+    result.problems.push({ problem: 'mismatched', message: `${icon.href} is declared as ${declaredType} but contains ${info.type}` });
+  }
+  if (info.size > context.maxSize) {
+    result.problems.push({
+      problem: 'oversized',
+      message: `${icon.href} is ${info.size} bytes (limit: ${context.maxSize})`
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  DEFAULT_MAX_SIZE,
+  PROBLEMS,
+  validateIcon
+};
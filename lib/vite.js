@@ -0,0 +1,194 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const { ICON_KEYS, listIcons, normalizeIcons } = require('./icons');
+const { isAbsoluteUrl } = require('./hrefs');
+const { hashFile, hashedName } = require('./cachebust');
+const { detectIcon } = require('./sniff');
+const { validateOptions, injectHtml } = require('./injector');
+
+/**
+ * Directory hashed icons are emitted to when Vite doesn't say (Vite's own default)
+ */
+const DEFAULT_ASSETS_DIR = 'assets';
+
+/**
+ * Options that only make sense for files on disk, or that the plugin takes care of itself
+ */
+const PLUGIN_HANDLED = ['icons', 'detect', 'cacheBust', 'siteRoot', 'publicPath', 'baseUrl', 'filePath', 'template'];
+
+/**
+ * Reads the injector settings that apply to every page, without the icons
+ * @param {Object|Array|string} options - Plugin options
+ * @returns {Object} - Options for injectHtml, to be completed with the icons
+ */
+function getPageOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return {};
+  }
+  const page = { ...options };
+  for (const key of ICON_KEYS.concat(PLUGIN_HANDLED)) {
+    delete page[key];
+  }
+  return page;
+}
+
+/**
+ * Finds the file behind a local icon path: in the project root, or in Vite's public directory
+ * @param {string} iconPath - Configured path, without query or fragment
+ * @param {Object} settings - Build settings
+ * @returns {Promise<{file: string, isPublic: boolean}|null>} - Icon file, or null if there is none
+ */
+async function findIconFile(iconPath, settings) {
+  const relPath = iconPath.replace(/^\/+/, '');
+  const file = path.join(settings.root, relPath);
+  if (await fs.pathExists(file)) {
+    return { file, isPublic: false };
+  }
+  if (settings.publicDir && await fs.pathExists(path.join(settings.publicDir, relPath))) {
+    return { file: path.join(settings.publicDir, relPath), isPublic: true };
+  }
+  return null;
+}
+
+/**
+ * Works out the href of every configured icon, and the asset to emit for it in a build.
+ * In a build, icons from the project root are emitted with a content hash in their name;
+ * the dev server serves them from the root as they are. Icons in Vite's public directory
+ * are copied by Vite itself and keep their name.
+ * @param {Object|Array|string} options - Plugin options
+ * @param {Object} settings - Build settings
+ * @param {string} settings.root - Project root icon paths are relative to
+ * @param {string|null} settings.publicDir - Vite's public directory
+ * @param {string} settings.base - URL prefix the app is served under
+ * @param {string} settings.assetsDir - Output directory for emitted icons
+ * @param {string} settings.command - 'build' or 'serve'
+ * @returns {Promise<Array<{icon: Object, file: string|null, fileName: string|null, source: Buffer|null}>>} - Icon
+ *   descriptors with their final hrefs, their files and the assets to emit
+ */
+async function prepareIcons(options, settings) {
+  const given = listIcons(options);
+  const detect = !(options && typeof options === 'object' && !Array.isArray(options) && options.detect === false);
+  const cache = new Map();
+
+  return Promise.all(normalizeIcons(options).map(async (icon, index) => {
+    const entry = { icon, file: null, fileName: null, source: null };
+    const [, pathPart, suffix] = icon.path.match(/^([^?#]*)(.*)$/);
+    if (isAbsoluteUrl(icon.path)) {
+      return entry;
+    }
+
+    const found = await findIconFile(pathPart, settings);
+    if (!found) {
+      console.warn(`Icon ${icon.path} not found in ${settings.root}, linking it as configured`);
+      return entry;
+    }
+
+    // Fill in the type and sizes from the file, like the injector does
+    const raw = typeof given[index] === 'object' && given[index] ? given[index] : {};
+    const root = path.dirname(found.file);
+    const detected = detect
+      ? await detectIcon({ ...icon, path: path.basename(found.file) }, { root, cache, keepType: Boolean(raw.type), keepSizes: Boolean(raw.sizes) })
+      : icon;
+
+    entry.file = found.file;
+    if (found.isPublic || settings.command !== 'build') {
+      const servedPath = found.isPublic ? path.relative(settings.publicDir, found.file) : path.relative(settings.root, found.file);
+      entry.icon = { ...detected, path: `${settings.base}${servedPath.split(path.sep).join('/')}${suffix}` };
+      return entry;
+    }
+
+    entry.fileName = path.posix.join(settings.assetsDir, hashedName(path.basename(found.file), await hashFile(found.file)));
+    entry.source = await fs.readFile(found.file);
+    entry.icon = { ...detected, path: `${settings.base}${entry.fileName}${suffix}` };
+    return entry;
+  }));
+}
+
+/**
+ * Creates a Vite (4 or later) and Rollup plugin that injects favicon links into the HTML of a build.
+ * Vite's index.html files are handled in `transformIndexHtml`, in builds and on the dev server;
+ * HTML assets of a plain Rollup build are handled in `generateBundle`. Local icons are emitted
+ * as build assets with hashed names.
+ * @param {Object|Array|string} options - Same options as injectHtml; icon paths are files relative to the
+ *   project root (or Vite's public directory). `publicPath` sets the URL prefix when there is no Vite `base`.
+ * @returns {Object} - Plugin
+ * @throws {Error} - On invalid options
+ */
+function faviconPlugin(options = '/favicon.ico') {
+  validateOptions(options);
+
+  const publicPath = options && typeof options === 'object' && !Array.isArray(options)
+    ? options.publicPath || options.baseUrl
+    : null;
+  const settings = {
+    root: process.cwd(),
+    publicDir: null,
+    base: publicPath ? `${publicPath.replace(/\/+$/, '')}/` : '/',
+    assetsDir: DEFAULT_ASSETS_DIR,
+    command: 'build'
+  };
+  let prepared = null;
+
+  // Icons are read once per build
+  const getIcons = () => {
+    if (!prepared) {
+      prepared = prepareIcons(options, settings);
+    }
+    return prepared;
+  };
+
+  const inject = async html => {
+    const icons = (await getIcons()).map(entry => entry.icon);
+    return injectHtml(html, { ...getPageOptions(options), icons }).html;
+  };
+
+  return {
+    name: 'auto-favicon-injector',
+
+    configResolved(config) {
+      settings.root = config.root;
+      settings.publicDir = config.publicDir || null;
+      settings.base = config.base;
+      settings.assetsDir = config.build && config.build.assetsDir !== undefined ? config.build.assetsDir : DEFAULT_ASSETS_DIR;
+      settings.command = config.command;
+    },
+
+    async buildStart() {
+      // The dev server serves the icons from the project root
+      if (settings.command !== 'build') {
+        return;
+      }
+
+      // Pick up changed icons on every build in watch mode
+      prepared = null;
+      for (const entry of await getIcons()) {
+        if (entry.file) {
+          this.addWatchFile(entry.file);
+        }
+        if (entry.fileName) {
+          this.emitFile({ type: 'asset', fileName: entry.fileName, source: entry.source });
+        }
+      }
+    },
+
+    // Run after Vite has rewritten the page's own URLs, so it leaves the emitted icon hrefs alone
+    transformIndexHtml: {
+      order: 'post',
+      handler: inject
+    },
+
+    async generateBundle(outputOptions, bundle) {
+      for (const asset of Object.values(bundle)) {
+        if (asset.type === 'asset' && /\.html?$/i.test(asset.fileName)) {
+          asset.source = await inject(String(asset.source));
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  faviconPlugin
+};
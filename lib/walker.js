@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs-extra');
+const path = require('path');
+const picomatch = require('picomatch');
+const ignore = require('ignore');
+const { DEFAULT_EXTENSIONS, normalizeExtension } = require('./templates');
+const { DEFAULT_CONCURRENCY, mapLimit } = require('./concurrency');
+
+/**
+ * Directories that are never worth scanning unless asked for
+ */
+const DEFAULT_EXCLUDES = ['node_modules', '.git', 'bower_components', 'jspm_packages'];
+
+/**
+ * Name of the project ignore file read from the scanned directory
+ */
+const IGNORE_FILE = '.faviconignore';
+
+/**
+ * Turns a string or array option into an array
+ * @param {string|Array<string>} value - Option value
+ * @returns {Array<string>} - Array of values
+ */
+function toArray(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Compiles a glob. Patterns without a slash match the base name at any depth,
+ * like in .gitignore; `dir/**` also matches the directory itself.
+ * @param {string} pattern - Glob pattern
+ * @returns {Function} - Matcher for paths relative to the scanned directory
+ */
+function compileGlob(pattern) {
+  return picomatch(pattern, { dot: true, basename: !pattern.includes('/') });
+}
+
+/**
+ * Loads an ignore file from the scanned directory
+ * @param {string} dirPath - Scanned directory
+ * @param {string} fileName - Ignore file name
+ * @returns {Promise<Object|null>} - Ignore matcher, or null if the file doesn't exist
+ */
+async function loadIgnoreFile(dirPath, fileName) {
+  const filePath = path.join(dirPath, fileName);
+  if (!(await fs.pathExists(filePath))) {
+    return null;
+  }
+  return ignore().add(await fs.readFile(filePath, 'utf8'));
+}
+
+/**
+ * Builds the list of exclusion rules for a scan.
+ * Each rule has a label, used to report how many entries it skipped, and a test function.
+ * @param {string} dirPath - Scanned directory
+ * @param {Object} options - Scan options (see findHtmlFiles)
+ * @returns {Promise<Array<{label: string, test: Function}>>} - Exclusion rules, in the order they are checked
+ */
+async function buildRules(dirPath, options) {
+  const rules = [];
+
+  const patterns = (options.defaultExcludes === false ? [] : DEFAULT_EXCLUDES).concat(toArray(options.exclude));
+  for (const pattern of patterns) {
+    const isMatch = compileGlob(pattern);
+    rules.push({ label: pattern, test: relPath => isMatch(relPath) });
+  }
+
+  const ignoreFiles = [];
+  if (options.ignoreFile !== false) {
+    ignoreFiles.push(options.ignoreFile || IGNORE_FILE);
+  }
+  if (options.gitignore) {
+    ignoreFiles.push('.gitignore');
+  }
+
+  for (const fileName of ignoreFiles) {
+    const matcher = await loadIgnoreFile(dirPath, fileName);
+    if (matcher) {
+      rules.push({
+        label: fileName,
+        test: (relPath, isDirectory) => matcher.ignores(isDirectory ? `${relPath}/` : relPath)
+      });
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Stats a directory entry, following symlinks
+ * @param {string} itemPath - Path to the entry
+ * @returns {Promise<{stat: fs.Stats|null, error: Error|null}>} - Stats of the entry or its target, or the error
+ *   that kept it from being read; both are null for a symlink whose target is gone
+ */
+async function statEntry(itemPath) {
+  try {
+    return { stat: await fs.stat(itemPath), error: null };
+  } catch (error) {
+    // A dangling symlink is nothing to scan, not a failure
+    if (error.code === 'ENOENT') {
+      const link = await fs.lstat(itemPath).catch(() => null);
+      if (link && link.isSymbolicLink()) {
+        return { stat: null, error: null };
+      }
+    }
+    return { stat: null, error };
+  }
+}
+
+/**
+ * Recursively collects the HTML and template files in a directory.
+ * Entries and subdirectories that cannot be read are reported in `errors` and
+ * skipped, so one bad entry doesn't stop the rest of the scan; only a scanned
+ * directory that can't be read at all is an error.
+ * @param {string} dirPath - Path to the directory
+ * @param {Object} options - Scan options
+ * @param {Array<string>} options.extensions - File extensions to collect (default: ['.html'])
+ * @param {string|Array<string>} options.include - Only collect files matching these globs
+ * @param {string|Array<string>} options.exclude - Skip files and directories matching these globs
+ * @param {boolean} options.defaultExcludes - Skip node_modules, .git, bower_components and jspm_packages (default: true)
+ * @param {string|boolean} options.ignoreFile - Ignore file to read from the directory (default: '.faviconignore', false to disable)
+ * @param {boolean} options.gitignore - Also honour the directory's .gitignore (default: false)
+ * @param {number} options.concurrency - Maximum number of entries stat'ed at once (default: 8)
+ * @returns {Promise<{files: Array<string>, excluded: Object<string, number>, notIncluded: number,
+ *   errors: Array<{path: string, error: Error}>}>} - Files found in traversal order, how many files and
+ *   directories each exclusion skipped, how many files didn't match the include globs, and the entries
+ *   that couldn't be read
+ * @throws {Error} - When the directory itself can't be read
+ */
+async function findHtmlFiles(dirPath, options = {}) {
+  const result = { files: [], excluded: {}, notIncluded: 0, errors: [] };
+  const rules = await buildRules(dirPath, options);
+  const includes = toArray(options.include).map(compileGlob);
+  const extensions = toArray(options.extensions || DEFAULT_EXTENSIONS).map(normalizeExtension);
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+
+  // Returns the rule that excludes an entry, if any
+  const excludedBy = (relPath, isDirectory) => rules.find(rule => rule.test(relPath, isDirectory));
+
+  // Reports an entry that couldn't be read and carries on with the rest
+  const fail = (message, itemPath, error) => {
+    console.error(`${message} ${itemPath}:`, error);
+    result.errors.push({ path: itemPath, error });
+  };
+
+  async function walk(currentDir) {
+    // Read all files in the directory, skipping macOS metadata files
+    const items = (await fs.readdir(currentDir)).filter(item => !item.startsWith('._'));
+
+    // Stat the entries concurrently; they are still handled in directory order
+    const entries = await mapLimit(items, concurrency, item => statEntry(path.join(currentDir, item)));
+
+    for (const [index, item] of items.entries()) {
+      const itemPath = path.join(currentDir, item);
+      const relPath = path.relative(dirPath, itemPath).split(path.sep).join('/');
+      const { stat, error } = entries[index];
+      if (error) {
+        fail('Error reading', itemPath, error);
+        continue;
+      }
+      if (!stat) {
+        continue;
+      }
+      const isMatch = stat.isFile() && extensions.includes(path.extname(item).toLowerCase());
+
+      if (!stat.isDirectory() && !isMatch) {
+        continue;
+      }
+
+      const rule = excludedBy(relPath, stat.isDirectory());
+      if (rule) {
+        result.excluded[rule.label] = (result.excluded[rule.label] || 0) + 1;
+        continue;
+      }
+
+      if (stat.isDirectory()) {
+        // Recursively process subdirectories; one that can't be read doesn't stop its siblings
+        await walk(itemPath).catch(walkError => fail('Error scanning directory', itemPath, walkError));
+      } else if (includes.length > 0 && !includes.some(isMatch => isMatch(relPath))) {
+        result.notIncluded++;
+      } else {
+        result.files.push(itemPath);
+      }
+    }
+  }
+
+  await walk(dirPath);
+  return result;
+}
+
+module.exports = {
+  DEFAULT_EXCLUDES,
+  IGNORE_FILE,
+  findHtmlFiles
+};
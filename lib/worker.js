@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Worker thread entry point for the pool in lib/concurrency.js.
+ * Receives file paths and answers with the same result injectDir gets on the main thread.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { injectFile } = require('./injector');
+
+// Each worker hashes and inspects the icons once for the files it handles, and backs
+// up originals into the journal run started on the main thread
+const context = { root: workerData.root, hashes: new Map(), images: new Map(), journal: workerData.journal };
+
+parentPort.on('message', async ({ filePath }) => {
+  parentPort.postMessage({ result: await injectFile(filePath, workerData.options, context) });
+});
@@ -0,0 +1,342 @@
+'use strict';
+
+const { escapeAttr, buildLinkTag } = require('./icons');
+
+/**
+ * Detects the line ending style of a document; in a file with mixed line
+ * endings the most common one wins
+ * @param {string} html - Original HTML source
+ * @returns {string} - '\r\n' or '\n'
+ */
+function detectEol(html) {
+  const crlf = (html.match(/\r\n/g) || []).length;
+  const lf = (html.match(/\n/g) || []).length - crlf;
+  return crlf > 0 && crlf >= lf ? '\r\n' : '\n';
+}
+
+/**
+ * Returns the indentation before an offset if nothing else precedes it on its line
+ * @param {string} html - Original HTML source
+ * @param {number} offset - Offset in the source
+ * @returns {string|null} - Leading whitespace, or null if the offset isn't at the start of a line
+ */
+function indentOf(html, offset) {
+  const lineStart = html.lastIndexOf('\n', offset - 1) + 1;
+  const prefix = html.slice(lineStart, offset);
+  return /^[ \t]*$/.test(prefix) ? prefix : null;
+}
+
+/**
+ * Widens the range of an element that sits on a line of its own to the whole line,
+ * so removing it doesn't leave a blank line behind
+ * @param {string} html - Original HTML source
+ * @param {number} start - Start offset of the element
+ * @param {number} end - End offset of the element
+ * @returns {Array<number>} - Range to remove
+ */
+function removalRange(html, start, end) {
+  const indent = indentOf(html, start);
+  const after = html.slice(end).match(/^[ \t]*(\r?\n|$)/);
+
+  if (indent !== null && after) {
+    return [start - indent.length, end + after[0].length];
+  }
+  return [start, end];
+}
+
+/**
+ * Ways of dealing with fragments: files with no <head> or <html> tag and no doctype in their source
+ */
+const NO_HEAD_POLICIES = ['skip', 'create-head', 'prepend'];
+
+/**
+ * Checks whether the document's <head> actually appears in the source.
+ * The parser always creates a head, even for partials and fragments, so only
+ * a head with a source location counts.
+ * @param {CheerioAPI} $ - Cheerio instance loaded with source locations
+ * @returns {boolean} - Whether the source has a real <head>
+ */
+function hasRealHead($) {
+  const head = $('head')[0];
+  return Boolean(head && head.sourceCodeLocation);
+}
+
+/**
+ * Checks whether the source is a whole document rather than a fragment: it has a
+ * real <head> or <html> start tag, or a doctype. The head tags are optional in
+ * HTML5, so a page without them still has a head, closed at the first body content.
+ * @param {CheerioAPI} $ - Cheerio instance loaded with source locations
+ * @returns {boolean} - Whether the source is a whole document
+ */
+function isDocument($) {
+  const root = $('html')[0];
+  if (hasRealHead($) || (root && root.sourceCodeLocation && root.sourceCodeLocation.startTag)) {
+    return true;
+  }
+  return $.root()[0].children.some(node => node.type === 'directive' && node.name === '!doctype');
+}
+
+/**
+ * Finds the element children of the head that appear in the source
+ * @param {Element} head - Head element
+ * @returns {Array<Element>} - Located child elements
+ */
+function locatedChildren(head) {
+  return head.children.filter(child => child.tagName && child.sourceCodeLocation);
+}
+
+/**
+ * Works out how to indent a tag added as the last child of the head
+ * @param {string} html - Original HTML source
+ * @param {Element} head - Head element
+ * @param {string} closeIndent - Indentation of the closing </head> tag
+ * @returns {string} - Indentation for new children
+ */
+function childIndent(html, head, closeIndent) {
+  const children = locatedChildren(head);
+  for (let i = children.length - 1; i >= 0; i--) {
+    const indent = indentOf(html, children[i].sourceCodeLocation.startOffset);
+    if (indent !== null) {
+      return indent;
+    }
+  }
+  return closeIndent + (closeIndent.includes('\t') ? '\t' : '  ');
+}
+
+/**
+ * Builds the edit that adds tags at the end of the head. A head without tags in
+ * the source ends after its last child, or gets a <head> of its own if it is empty.
+ * @param {string} html - Original HTML source
+ * @param {CheerioAPI} $ - Cheerio instance loaded with source locations
+ * @param {Array<string>} tags - Tags to add
+ * @param {string} eol - Line ending
+ * @returns {Object} - Edit
+ */
+function appendEdit(html, $, tags, eol) {
+  const head = $('head')[0];
+  const location = head.sourceCodeLocation;
+
+  if (location && location.endTag) {
+    const offset = location.endTag.startOffset;
+    const closeIndent = indentOf(html, offset);
+
+    // </head> on a line of its own: add each tag on its own line above it
+    if (closeIndent !== null) {
+      const indent = childIndent(html, head, closeIndent);
+      const start = offset - closeIndent.length;
+      return { start, end: start, text: tags.map(tag => indent + tag + eol).join('') };
+    }
+    return { start: offset, end: offset, text: tags.join('') };
+  }
+
+  // The head is closed implicitly: add the tags after its last child
+  const children = locatedChildren(head);
+  const last = children[children.length - 1];
+  if (!last && !location) {
+    return createHeadEdit(html, $, tags, eol);
+  }
+  const offset = last ? last.sourceCodeLocation.endOffset : location.startTag.endOffset;
+  const indent = last ? indentOf(html, last.sourceCodeLocation.startOffset) : null;
+  const text = indent !== null ? tags.map(tag => eol + indent + tag).join('') : tags.join('');
+
+  return { start: offset, end: offset, text };
+}
+
+/**
+ * Builds the edit that wraps tags in a new <head> for a document without one.
+ * The head goes straight after the <html> start tag, or after the doctype if
+ * there is no <html> tag either.
+ * @param {string} html - Original HTML source
+ * @param {CheerioAPI} $ - Cheerio instance loaded with source locations
+ * @param {Array<string>} tags - Tags to add
+ * @param {string} eol - Line ending
+ * @returns {Object} - Edit
+ */
+function createHeadEdit(html, $, tags, eol) {
+  const root = $('html')[0];
+  let offset;
+
+  if (root && root.sourceCodeLocation && root.sourceCodeLocation.startTag) {
+    offset = root.sourceCodeLocation.startTag.endOffset;
+  } else {
+    const doctype = html.match(/^\uFEFF?\s*<!doctype[^>]*>/i);
+    offset = doctype ? doctype[0].length : (html.startsWith('\uFEFF') ? 1 : 0);
+  }
+
+  // Single-line documents get a single-line head
+  const rest = html.slice(offset);
+  if (!rest.includes('\n')) {
+    return { start: offset, end: offset, text: `<head>${tags.join('')}</head>` };
+  }
+
+  // Indent the head like the element that follows it
+  const next = rest.match(/^\r?\n([ \t]*)/);
+  const indent = next ? next[1] : '';
+  const unit = indent.includes('\t') ? '\t' : '  ';
+  const children = tags.map(tag => indent + unit + tag + eol).join('');
+  const text = `${eol}${indent}<head>${eol}${children}${indent}</head>`;
+
+  // Without a line break after the insertion point the head needs one of its own
+  return { start: offset, end: offset, text: next ? text : text + eol };
+}
+
+/**
+ * Builds the edit that adds tags at the very start of a fragment, for partials
+ * that are included inside a <head> elsewhere
+ * @param {string} html - Original HTML source
+ * @param {Array<string>} tags - Tags to add
+ * @param {string} eol - Line ending
+ * @returns {Object} - Edit
+ */
+function prependEdit(html, tags, eol) {
+  const bom = html.startsWith('\uFEFF') ? 1 : 0;
+  const indent = html.slice(bom).match(/^[ \t]*/)[0];
+  const offset = bom + indent.length;
+
+  // Keep the fragment's first-line indentation for every tag
+  const separator = html.includes('\n') ? eol + indent : '';
+  return { start: offset, end: offset, text: tags.map(tag => tag + separator).join('') };
+}
+
+/**
+ * Translates planned changes into text edits on the original source
+ * @param {string} html - Original HTML source
+ * @param {CheerioAPI} $ - Cheerio instance loaded with source locations
+ * @param {Array<Object>} changes - Changes from planChanges
+ * @param {Object} options - Writer options
+ * @param {string} options.noHead - How to add tags to a fragment (see NO_HEAD_POLICIES)
+ * @returns {Array<Object>|null} - Edits, or null if a change can't be made in place
+ */
+function planEdits(html, $, changes, options = {}) {
+  const eol = detectEol(html);
+
+  // Match the document's style for void elements (e.g. XHTML's <link />)
+  const selfClosing = /<(?:link|meta)\b[^>]*\/>/i.test(html);
+  const renderTags = icons => icons
+    .map(buildLinkTag)
+    .map(tag => (selfClosing ? tag.replace(/>$/, ' />') : tag));
+
+  const edits = [];
+
+  for (const change of changes) {
+    if (change.type === 'append') {
+      const tags = renderTags(change.icons);
+
+      if (isDocument($)) {
+        edits.push(appendEdit(html, $, tags, eol));
+      } else if (options.noHead === 'create-head') {
+        edits.push(createHeadEdit(html, $, tags, eol));
+      } else if (options.noHead === 'prepend') {
+        edits.push(prependEdit(html, tags, eol));
+      } else {
+        return null;
+      }
+    } else if (change.type === 'replace') {
+      const [first, ...rest] = change.links.map(link => link.sourceCodeLocation);
+      const indent = indentOf(html, first.startOffset);
+      const text = renderTags(change.icons).join(indent !== null ? eol + indent : '');
+
+      edits.push({ start: first.startOffset, end: first.endOffset, text });
+      for (const location of rest) {
+        const [start, end] = removalRange(html, location.startOffset, location.endOffset);
+        edits.push({ start, end, text: '' });
+      }
+    } else if (change.type === 'attr') {
+      const location = change.link.sourceCodeLocation;
+      const attr = `${change.name}="${escapeAttr(change.value)}"`;
+      const attrLocation = location.attrs && location.attrs[change.name];
+
+      if (attrLocation) {
+        edits.push({ start: attrLocation.startOffset, end: attrLocation.endOffset, text: attr });
+      } else {
+        // Add the attribute straight after the tag name
+        const offset = location.startOffset + '<link'.length;
+        edits.push({ start: offset, end: offset, text: ` ${attr}` });
+      }
+    } else if (change.type === 'remove') {
+      for (const link of change.links) {
+        const [start, end] = removalRange(html, link.sourceCodeLocation.startOffset, link.sourceCodeLocation.endOffset);
+        edits.push({ start, end, text: '' });
+      }
+    }
+  }
+
+  return edits;
+}
+
+/**
+ * Applies text edits to a string, leaving every other byte untouched
+ * @param {string} html - Original HTML source
+ * @param {Array<Object>} edits - Non-overlapping edits with start, end and text
+ * @returns {string} - Updated source
+ */
+function applyEdits(html, edits) {
+  // Apply from the end so earlier offsets stay valid
+  const sorted = edits.slice().sort((a, b) => b.start - a.start || b.end - a.end);
+  return sorted.reduce((result, edit) => result.slice(0, edit.start) + edit.text + result.slice(edit.end), html);
+}
+
+/**
+ * Applies planned changes to the cheerio document
+ * @param {CheerioAPI} $ - Cheerio instance loaded with HTML
+ * @param {Array<Object>} changes - Changes from planChanges
+ */
+function applyChanges($, changes) {
+  const head = $('head');
+
+  for (const change of changes) {
+    const tags = change.icons ? change.icons.map(buildLinkTag).join('') : '';
+
+    if (change.type === 'append') {
+      head.append(tags);
+    } else if (change.type === 'replace') {
+      $(change.links[0]).before(tags);
+      change.links.forEach(link => $(link).remove());
+    } else if (change.type === 'attr') {
+      $(change.link).attr(change.name, change.value);
+    } else if (change.type === 'remove') {
+      change.links.forEach(link => $(link).remove());
+    }
+  }
+}
+
+/**
+ * Renders the document with the planned changes applied.
+ * By default only the changed tags are spliced into the original source, so
+ * quoting, entities, whitespace and line endings stay exactly as they were.
+ * With `reserialize`, or when a change can't be made in place, cheerio
+ * serializes the whole document instead. Prepending to a fragment is always
+ * done on the source, since cheerio would wrap the fragment in a document.
+ * @param {string} html - Original HTML source
+ * @param {CheerioAPI} $ - Cheerio instance loaded with source locations
+ * @param {Array<Object>} changes - Changes from planChanges
+ * @param {Object} options - Writer options
+ * @param {boolean} options.reserialize - Reserialize the whole document with cheerio
+ * @param {string} options.noHead - How to add tags to a fragment (see NO_HEAD_POLICIES)
+ * @returns {string} - Updated HTML
+ */
+function renderChanges(html, $, changes, options = {}) {
+  const prepend = options.noHead === 'prepend' && !isDocument($);
+
+  if (!options.reserialize || prepend) {
+    const edits = planEdits(html, $, changes, options);
+    if (edits) {
+      return applyEdits(html, edits);
+    }
+  }
+
+  // The parser turns every line ending into \n; put the document's own style back
+  applyChanges($, changes);
+  const eol = detectEol(html);
+  return eol === '\n' ? $.html() : $.html().replace(/\n/g, eol);
+}
+
+module.exports = {
+  NO_HEAD_POLICIES,
+  isDocument,
+  detectEol,
+  planEdits,
+  applyEdits,
+  applyChanges,
+  renderChanges
+};
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Vite and Rollup plugin: `import favicon from 'auto-favicon-injector/vite'`,
+ * then `plugins: [favicon({ path: 'src/favicon.svg' })]`. See lib/vite.js.
+ */
+
+const { faviconPlugin } = require('./lib/vite');
+
+module.exports = faviconPlugin;
+module.exports.faviconPlugin = faviconPlugin;